@@ -0,0 +1,108 @@
+/**
+ * Application Database
+ * Shared connection to the MongoDB database holding the explorer's own data
+ * (sessions, connection profiles, ...), configured with SESSION_DB_URI and
+ * SESSION_DB_NAME
+ */
+import { MongoClient } from 'mongodb';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const APP_DB_URI = process.env.SESSION_DB_URI || 'mongodb://localhost:27017';
+const APP_DB_NAME = process.env.SESSION_DB_NAME || 'mongo_explorer_sessions';
+const INIT_RETRY_INTERVAL = 30 * 1000; // Wait before retrying a failed connection
+
+let appClient = null;
+let connectPromise = null;
+let lastConnectFailure = 0;
+
+/**
+ * Build the error returned while the application database is unavailable
+ * @returns {Error} - Error with a 503 status code
+ */
+function appDatabaseUnavailableError() {
+  const error = new Error('Application database is unavailable');
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Get the application database, connecting on first use
+ * @returns {Promise<import('mongodb').Db>} - Application database
+ * @throws {Error} - With statusCode 503 if the database cannot be reached
+ */
+export async function getAppDb() {
+  if (appClient) {
+    return appClient.db(APP_DB_NAME);
+  }
+
+  if (!connectPromise) {
+    if (Date.now() - lastConnectFailure < INIT_RETRY_INTERVAL) {
+      throw appDatabaseUnavailableError();
+    }
+
+    console.log(`[App DB] Connecting to: ${APP_DB_URI.replace(/\/\/[^:]+:[^@]+@/, '//***:***@')}`);
+
+    const client = new MongoClient(APP_DB_URI, {
+      maxPoolSize: 10,
+      minPoolSize: 2,
+      serverSelectionTimeoutMS: 3000,
+      connectTimeoutMS: 3000,
+    });
+
+    connectPromise = client.connect()
+      .then(() => {
+        appClient = client;
+        console.log('[App DB] ✅ Connected to MongoDB database');
+      })
+      .catch(async (error) => {
+        lastConnectFailure = Date.now();
+        await client.close().catch(() => {});
+
+        // Provide helpful error messages
+        if (error.message.includes('ECONNREFUSED')) {
+          console.error('[App DB] → MongoDB server is not running or not accessible');
+        } else if (error.message.includes('authentication')) {
+          console.error('[App DB] → Check username and password in SESSION_DB_URI');
+        } else if (error.message.includes('timeout')) {
+          console.error('[App DB] → Connection timeout - check network/firewall');
+        }
+        console.error('[App DB] ❌ Failed to connect:', error.message);
+        throw error;
+      })
+      .finally(() => {
+        connectPromise = null;
+      });
+  }
+
+  try {
+    await connectPromise;
+  } catch (error) {
+    throw appDatabaseUnavailableError();
+  }
+
+  return appClient.db(APP_DB_NAME);
+}
+
+/**
+ * Get a collection of the application database
+ * @param {string} name - Collection name
+ * @returns {Promise<import('mongodb').Collection>} - Collection
+ */
+export async function getAppCollection(name) {
+  const db = await getAppDb();
+  return db.collection(name);
+}
+
+/**
+ * Close the application database connection (for graceful shutdown)
+ */
+export async function closeAppDb() {
+  if (appClient) {
+    const closing = appClient;
+    appClient = null;
+    await closing.close();
+    console.log('[App DB] Connection closed');
+  }
+}
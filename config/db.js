@@ -1,56 +1,188 @@
 /**
  * Database configuration and connection management
  * This module provides functions to connect to MongoDB and manage client instances
+ *
+ * Client health is tracked from driver SDAM events (topology/server changes and
+ * heartbeats) and connection pool events instead of pinging on every request.
+ * A circuit breaker fails fast for deployments that keep failing.
  */
 import { MongoClient } from 'mongodb';
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+dotenv.config();
 
 // Keep per-connection MongoClient instances in memory keyed by hashed connection string
 const clients = new Map();
 
+// Clients being connected, so concurrent requests share one connection attempt
+const pendingClients = new Map();
+
+// Circuit breakers keyed like clients, they outlive failed clients
+const breakers = new Map();
+
 // Configuration
 const CONNECTION_TIMEOUT = 30000; // Increased to 30 seconds for Atlas
 const MAX_POOL_SIZE = 10;
 const CLIENT_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
 const CLEANUP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const BREAKER_FAILURE_THRESHOLD = 3; // Consecutive failures before the circuit opens
+const BREAKER_COOLDOWN = 30 * 1000; // Time the circuit stays open before a retry is allowed
+const USABLE_SERVER_TYPES = ['Standalone', 'Mongos', 'RSPrimary', 'RSSecondary', 'LoadBalancer'];
+
+// Track if we're in serverless environment (no background timers there)
+const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.FUNCTION_NAME;
+const TLS_CERT_DIR = process.env.TLS_CERT_DIR ? path.resolve(process.env.TLS_CERT_DIR) : null;
 
 
 
 /**
- * Generate a secure hash key for the connection string
+ * Generate a secure hash key for the connection string and its options
+ * Sessions with different options (e.g. read preference) never share a client
  * @param {string} connStr - MongoDB connection string
+ * @param {Object} [options] - Connection options
  * @returns {string} - Hashed key for the connection
  */
-function getClientKey(connStr) {
-  return crypto.createHash('sha256').update(connStr).digest('hex');
+function getClientKey(connStr, options = {}) {
+  return crypto
+    .createHash('sha256')
+    .update(connStr)
+    .update('\n')
+    .update(stableStringify(options))
+    .digest('hex');
 }
 
+/**
+ * JSON.stringify with sorted object keys, so equal options always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Deterministic JSON
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
 
+/**
+ * Resolve a TLS file name inside the configured certificate directory
+ * @param {string} fileName - File name relative to TLS_CERT_DIR
+ * @returns {string} - Absolute path of the file
+ * @throws {Error} - With statusCode 400 if the directory is not configured or the file is invalid
+ */
+function resolveTlsFile(fileName) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (!TLS_CERT_DIR) {
+    throw fail('TLS certificate files are not available: TLS_CERT_DIR is not configured');
+  }
+
+  // Only plain file names are accepted, never paths outside the certificate directory
+  const filePath = path.resolve(TLS_CERT_DIR, fileName);
+  if (path.dirname(filePath) !== TLS_CERT_DIR) {
+    throw fail(`Invalid TLS file name '${fileName}'`);
+  }
+  if (!fs.existsSync(filePath)) {
+    throw fail(`TLS file '${fileName}' not found in the certificate directory`);
+  }
+
+  return filePath;
+}
 
 /**
- * Get or create a MongoDB client for the given connection string
+ * Translate validated session connection options into MongoClient options
+ * @param {Object} [options] - Connection options (see connectionOptionsSchema)
+ * @returns {Object} - MongoClient options
+ */
+function buildClientOptions(options = {}) {
+  const {
+    tlsCAFile,
+    tlsCertificateKeyFile,
+    readConcern,
+    ...driverOptions
+  } = options;
+
+  const clientOptions = { ...driverOptions };
+
+  if (tlsCAFile) {
+    clientOptions.tlsCAFile = resolveTlsFile(tlsCAFile);
+  }
+  if (tlsCertificateKeyFile) {
+    clientOptions.tlsCertificateKeyFile = resolveTlsFile(tlsCertificateKeyFile);
+  }
+  if (readConcern) {
+    clientOptions.readConcern = { level: readConcern };
+  }
+
+  return clientOptions;
+}
+
+
+
+/**
+ * Get or create a MongoDB client for the given connection string and options
+ * Cached clients are reused as long as their topology reports a usable server
  * @param {string} connStr - MongoDB connection string
+ * @param {Object} [options] - Connection options stored with the session
  * @returns {Promise<MongoClient>} - MongoDB client instance
+ * @throws {Error} - With statusCode 503 while the circuit breaker is open
  */
-export async function getMongoClient(connStr) {
-  const key = getClientKey(connStr);
+export async function getMongoClient(connStr, options = {}) {
+  const key = getClientKey(connStr, options);
   
-  // Return existing client if available and still connected
+  // Return existing client if its topology is healthy
   if (clients.has(key)) {
     const existing = clients.get(key);
+    
+    if (existing.state.healthy) {
+      existing.lastUsed = Date.now();
+      return existing.client;
+    }
+    
+    // Unhealthy: fail fast while the circuit is open, otherwise probe it once
+    assertCircuitClosed(key);
     try {
-      // Test if connection is still alive
       await existing.client.db().admin().ping();
+      recordSuccess(key);
       existing.lastUsed = Date.now();
       return existing.client;
     } catch (error) {
-      // Connection is dead, remove it
+      recordFailure(key, error);
       console.log('Removing dead connection');
       clients.delete(key);
+      existing.client.close().catch(() => {});
+      throw error;
     }
   }
   
-  // Create new client if not exists
+  assertCircuitClosed(key);
+  
+  // Share an in-flight connection attempt for the same key
+  if (!pendingClients.has(key)) {
+    pendingClients.set(key, createClient(key, connStr, options).finally(() => {
+      pendingClients.delete(key);
+    }));
+  }
+  
+  return pendingClients.get(key);
+}
+
+/**
+ * Create, monitor and connect a new client
+ * @param {string} key - Client key
+ * @param {string} connStr - MongoDB connection string
+ * @param {Object} options - Connection options
+ * @returns {Promise<MongoClient>} - Connected client
+ */
+async function createClient(key, connStr, options) {
   const client = new MongoClient(connStr, {
     connectTimeoutMS: CONNECTION_TIMEOUT,
     serverSelectionTimeoutMS: CONNECTION_TIMEOUT,
@@ -58,27 +190,206 @@ export async function getMongoClient(connStr) {
     maxPoolSize: MAX_POOL_SIZE,
     retryWrites: true,
     retryReads: true,
+    ...buildClientOptions(options),
   });
   
-  // Connect and store the client
-  await client.connect();
-  clients.set(key, { 
-    client, 
+  const entry = {
+    client,
     created: Date.now(),
-    lastUsed: Date.now()
-  });
+    lastUsed: Date.now(),
+    state: createClientState()
+  };
+  monitorClient(key, entry);
+  
+  // Connect and store the client
+  try {
+    await client.connect();
+  } catch (error) {
+    recordFailure(key, error);
+    await client.close().catch(() => {});
+    throw error;
+  }
+  
+  recordSuccess(key);
+  entry.state.healthy = true;
+  clients.set(key, entry);
   
   console.log(`New MongoDB connection established (Total: ${clients.size})`);
   return client;
 }
 
+/**
+ * Initial health state of a client
+ * @returns {Object} - Client state
+ */
+function createClientState() {
+  return {
+    healthy: false,
+    topologyType: 'Unknown',
+    servers: {},
+    lastHeartbeat: null,
+    pool: {}
+  };
+}
+
+/**
+ * Subscribe to driver SDAM and connection pool events to keep client state current
+ * @param {string} key - Client key
+ * @param {Object} entry - Client cache entry
+ */
+function monitorClient(key, entry) {
+  const { client, state } = entry;
+  
+  const poolFor = (address) => {
+    if (!state.pool[address]) {
+      state.pool[address] = { totalConnections: 0, checkedOut: 0, cleared: 0 };
+    }
+    return state.pool[address];
+  };
+  
+  client.on('topologyDescriptionChanged', (event) => {
+    const description = event.newDescription;
+    state.topologyType = description.type;
+    
+    const servers = {};
+    for (const [address, server] of description.servers) {
+      servers[address] = {
+        type: server.type,
+        roundTripTime: server.roundTripTime,
+        lastUpdateTime: server.lastUpdateTime,
+        setName: server.setName ?? null,
+        error: server.error ? server.error.message : null
+      };
+    }
+    state.servers = servers;
+    
+    // Healthy as long as at least one server can serve operations
+    const wasHealthy = state.healthy;
+    state.healthy = Object.values(servers).some(server => USABLE_SERVER_TYPES.includes(server.type));
+    
+    if (wasHealthy && !state.healthy) {
+      console.warn(`MongoDB client ${key.substring(0, 8)}... lost all usable servers`);
+    } else if (!wasHealthy && state.healthy && clients.has(key)) {
+      console.log(`MongoDB client ${key.substring(0, 8)}... recovered`);
+      recordSuccess(key);
+    }
+  });
+  
+  client.on('serverHeartbeatSucceeded', (event) => {
+    state.lastHeartbeat = {
+      address: event.connectionId,
+      at: Date.now(),
+      durationMS: event.duration,
+      succeeded: true,
+      error: null
+    };
+  });
+  
+  client.on('serverHeartbeatFailed', (event) => {
+    state.lastHeartbeat = {
+      address: event.connectionId,
+      at: Date.now(),
+      durationMS: event.duration,
+      succeeded: false,
+      error: event.failure?.message || 'Heartbeat failed'
+    };
+    
+    // Only count failures of cached clients that have no usable server left,
+    // a failing connect() is already counted once by createClient
+    if (!state.healthy && clients.get(key) === entry) {
+      recordFailure(key, event.failure);
+    }
+  });
+  
+  client.on('connectionCreated', (event) => {
+    poolFor(event.address).totalConnections++;
+  });
+  client.on('connectionClosed', (event) => {
+    const pool = poolFor(event.address);
+    pool.totalConnections = Math.max(0, pool.totalConnections - 1);
+  });
+  client.on('connectionCheckedOut', (event) => {
+    poolFor(event.address).checkedOut++;
+  });
+  client.on('connectionCheckedIn', (event) => {
+    const pool = poolFor(event.address);
+    pool.checkedOut = Math.max(0, pool.checkedOut - 1);
+  });
+  client.on('connectionPoolCleared', (event) => {
+    poolFor(event.address).cleared++;
+  });
+}
+
+/**
+ * Get (or create) the circuit breaker of a client key
+ * @param {string} key - Client key
+ * @returns {Object} - Breaker state
+ */
+function getBreaker(key) {
+  if (!breakers.has(key)) {
+    breakers.set(key, { status: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+  return breakers.get(key);
+}
+
+/**
+ * Record a failed connection attempt, opening the circuit past the threshold
+ * @param {string} key - Client key
+ * @param {Error} [error] - Failure
+ */
+function recordFailure(key, error) {
+  const breaker = getBreaker(key);
+  breaker.failures++;
+  breaker.lastError = error?.message || null;
+  
+  if (breaker.status === 'half-open' || breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    if (breaker.status !== 'open') {
+      console.warn(`Circuit opened for MongoDB client ${key.substring(0, 8)}... after ${breaker.failures} failure(s)`);
+    }
+    breaker.status = 'open';
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Record a successful connection, closing the circuit
+ * @param {string} key - Client key
+ */
+function recordSuccess(key) {
+  breakers.delete(key);
+}
+
+/**
+ * Fail fast while the circuit of a client key is open
+ * After the cooldown a single attempt is let through (half-open)
+ * @param {string} key - Client key
+ * @throws {Error} - With statusCode 503 while the circuit is open
+ */
+function assertCircuitClosed(key) {
+  const breaker = breakers.get(key);
+  if (!breaker || breaker.status !== 'open') {
+    return;
+  }
+  
+  const remaining = BREAKER_COOLDOWN - (Date.now() - breaker.openedAt);
+  if (remaining <= 0) {
+    breaker.status = 'half-open';
+    return;
+  }
+  
+  const error = new Error(`MongoDB server is unavailable (${breaker.lastError || 'repeated failures'}), retry in ${Math.ceil(remaining / 1000)}s`);
+  error.statusCode = 503;
+  throw error;
+}
+
 /**
  * Close a specific MongoDB client connection
  * @param {string} connStr - MongoDB connection string
+ * @param {Object} [options] - Connection options the client was created with
  * @returns {Promise<boolean>} - True if connection was closed, false if not found
  */
-export async function closeMongoClient(connStr) {
-  const key = getClientKey(connStr);
+export async function closeMongoClient(connStr, options = {}) {
+  const key = getClientKey(connStr, options);
   
   if (clients.has(key)) {
     const { client } = clients.get(key);
@@ -95,6 +406,29 @@ export async function closeMongoClient(connStr) {
   return false;
 }
 
+/**
+ * Build the public view of a client cache entry
+ * @param {string} key - Client key
+ * @param {Object} value - Client cache entry
+ * @returns {Object} - Connection information
+ */
+function describeConnection(key, value) {
+  const breaker = breakers.get(key);
+  
+  return {
+    connectionKey: key.substring(0, 8) + '...', // Show only first 8 chars of hash
+    createdAt: value.created,
+    lastUsed: value.lastUsed,
+    idleTime: Date.now() - value.lastUsed,
+    healthy: value.state.healthy,
+    topologyType: value.state.topologyType,
+    servers: value.state.servers,
+    lastHeartbeat: value.state.lastHeartbeat,
+    pool: value.state.pool,
+    circuit: breaker ? { status: breaker.status, failures: breaker.failures, lastError: breaker.lastError } : { status: 'closed', failures: 0, lastError: null }
+  };
+}
+
 /**
  * Get all active MongoDB client connections
  * @returns {Array} - Array of connection information objects
@@ -103,17 +437,23 @@ export function getActiveConnections() {
   const connections = [];
   
   for (const [key, value] of clients.entries()) {
-    connections.push({
-      connectionKey: key.substring(0, 8) + '...', // Show only first 8 chars of hash
-      createdAt: value.created,
-      lastUsed: value.lastUsed,
-      idleTime: Date.now() - value.lastUsed
-    });
+    connections.push(describeConnection(key, value));
   }
   
   return connections;
 }
 
+/**
+ * Get the health state of the client used for a connection string and options
+ * @param {string} connStr - MongoDB connection string
+ * @param {Object} [options] - Connection options
+ * @returns {Object|null} - Connection information or null if no client is cached
+ */
+export function getConnectionHealth(connStr, options = {}) {
+  const key = getClientKey(connStr, options);
+  return clients.has(key) ? describeConnection(key, clients.get(key)) : null;
+}
+
 /**
  * Cleanup idle connections
  */
@@ -129,14 +469,21 @@ function cleanupIdleConnections() {
   
   toRemove.forEach(async (key) => {
     const { client } = clients.get(key);
+    clients.delete(key);
     try {
       await client.close();
-      clients.delete(key);
       console.log(`Idle connection cleaned up (Total: ${clients.size})`);
     } catch (error) {
       console.error('Error cleaning up connection:', error.message);
     }
   });
+  
+  // Forget breakers of deployments nobody has tried for a while
+  for (const [key, breaker] of breakers.entries()) {
+    if (!clients.has(key) && breaker.openedAt && now - breaker.openedAt > CLIENT_IDLE_TIMEOUT) {
+      breakers.delete(key);
+    }
+  }
 }
 
 
@@ -146,3 +493,48 @@ function cleanupIdleConnections() {
 export function performConnectionCleanup() {
   cleanupIdleConnections();
 }
+
+// Long-running mode: clean up idle connections on a timer
+// The timer does not keep the process alive on its own
+let cleanupTimer = null;
+if (!isServerless) {
+  cleanupTimer = setInterval(cleanupIdleConnections, CLEANUP_INTERVAL);
+  cleanupTimer.unref();
+}
+
+/**
+ * Stop the idle connection cleanup timer
+ */
+export function stopConnectionCleanup() {
+  if (cleanupTimer) {
+    clearInterval(cleanupTimer);
+    cleanupTimer = null;
+  }
+}
+
+/**
+ * Close every cached MongoDB client (for graceful shutdown)
+ * Waits for connection attempts still in progress before closing them
+ * @returns {Promise<number>} - Number of closed clients
+ */
+export async function closeAllMongoClients() {
+  stopConnectionCleanup();
+  
+  // Let in-flight connection attempts settle so their clients land in the map
+  await Promise.allSettled(pendingClients.values());
+  
+  const entries = [...clients.values()];
+  clients.clear();
+  breakers.clear();
+  
+  await Promise.all(entries.map(async ({ client }) => {
+    try {
+      await client.close();
+    } catch (error) {
+      console.error('Error closing client:', error.message);
+    }
+  }));
+  
+  console.log(`Closed ${entries.length} MongoDB connection(s)`);
+  return entries.length;
+}
@@ -0,0 +1,145 @@
+/**
+ * Connection String Encryption
+ * AES-256-GCM encryption for secrets persisted by the session store
+ *
+ * Keys are read from SESSION_ENCRYPTION_KEYS as a comma-separated list of
+ * `keyId:base64Key` pairs (32-byte keys). The first entry is the active key
+ * used for new writes; the remaining entries are only used to decrypt values
+ * written before a rotation. To rotate, prepend a new key and keep the old
+ * ones in the list until every session encrypted with them has expired.
+ *
+ * Example: SESSION_ENCRYPTION_KEYS=k2:<base64>,k1:<base64>
+ * Generate a key with: node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ */
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32; // 256 bits
+const IV_LENGTH = 12; // Recommended IV size for GCM
+const PAYLOAD_PREFIX = 'enc:v1';
+
+// Key ring: keyId -> Buffer, plus the id of the key used for new writes
+const keyRing = new Map();
+let activeKeyId = null;
+
+/**
+ * Parse the configured key list into the key ring
+ * Falls back to an ephemeral key when nothing is configured
+ */
+function loadKeys() {
+  const rawKeys = (process.env.SESSION_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  for (const entry of rawKeys) {
+    const separatorIndex = entry.indexOf(':');
+    if (separatorIndex <= 0) {
+      throw new Error('[Encryption] Invalid SESSION_ENCRYPTION_KEYS entry, expected "keyId:base64Key"');
+    }
+
+    const keyId = entry.substring(0, separatorIndex);
+    const key = Buffer.from(entry.substring(separatorIndex + 1), 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`[Encryption] Key "${keyId}" must decode to ${KEY_LENGTH} bytes (got ${key.length})`);
+    }
+    if (keyRing.has(keyId)) {
+      throw new Error(`[Encryption] Duplicate key id "${keyId}" in SESSION_ENCRYPTION_KEYS`);
+    }
+
+    keyRing.set(keyId, key);
+    if (!activeKeyId) {
+      activeKeyId = keyId;
+    }
+  }
+
+  if (!activeKeyId) {
+    // No key configured - encrypt with a per-process key so nothing is ever stored in plaintext
+    activeKeyId = `ephemeral-${crypto.randomBytes(4).toString('hex')}`;
+    keyRing.set(activeKeyId, crypto.randomBytes(KEY_LENGTH));
+    console.warn('[Encryption] ⚠️  SESSION_ENCRYPTION_KEYS is not set, using an ephemeral key');
+    console.warn('[Encryption] ⚠️  Stored sessions will NOT be readable after a server restart');
+  }
+}
+
+loadKeys();
+
+/**
+ * Encrypt a value with the active key
+ * @param {string} plaintext - Value to encrypt
+ * @returns {string} - Encoded payload: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>
+ */
+export function encrypt(plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keyRing.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [
+    PAYLOAD_PREFIX,
+    activeKeyId,
+    iv.toString('base64'),
+    authTag.toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a payload produced by encrypt()
+ * @param {string} payload - Encoded payload
+ * @returns {string} - Decrypted value
+ * @throws {Error} - If the payload is malformed, the key is unknown or authentication fails
+ */
+export function decrypt(payload) {
+  const { keyId, iv, authTag, ciphertext } = parsePayload(payload);
+  const key = keyRing.get(keyId);
+
+  if (!key) {
+    throw new Error(`Unknown encryption key "${keyId}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check whether a payload was encrypted with an older key and should be re-encrypted
+ * @param {string} payload - Encoded payload
+ * @returns {boolean} - True if the payload does not use the active key
+ */
+export function needsReencryption(payload) {
+  try {
+    return parsePayload(payload).keyId !== activeKeyId;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Split an encoded payload into its parts
+ * @param {string} payload - Encoded payload
+ * @returns {Object} - keyId, iv, authTag and ciphertext buffers
+ */
+function parsePayload(payload) {
+  if (typeof payload !== 'string' || !payload.startsWith(`${PAYLOAD_PREFIX}:`)) {
+    throw new Error('Value is not an encrypted payload');
+  }
+
+  const parts = payload.substring(PAYLOAD_PREFIX.length + 1).split(':');
+  if (parts.length !== 4) {
+    throw new Error('Malformed encrypted payload');
+  }
+
+  const [keyId, iv, authTag, ciphertext] = parts;
+  return {
+    keyId,
+    iv: Buffer.from(iv, 'base64'),
+    authTag: Buffer.from(authTag, 'base64'),
+    ciphertext: Buffer.from(ciphertext, 'base64')
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Document History Manager
+ * Opt-in version history of documents changed through the API
+ *
+ * When DOCUMENT_HISTORY_ENABLED=true, the previous version of every document
+ * updated, replaced or deleted through the API is stored in the application
+ * database together with the operation, session, user and time. Versions
+ * expire after DOCUMENT_HISTORY_TTL_DAYS.
+ *
+ * Versions are scoped to the connection string they were captured with
+ * (stored only as a hash), so they are only visible to sessions using the
+ * same deployment and credentials.
+ */
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { getAppCollection } from './appDatabase.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const HISTORY_COLLECTION = 'document_history';
+const HISTORY_ENABLED = process.env.DOCUMENT_HISTORY_ENABLED === 'true';
+const HISTORY_TTL_DAYS = Number(process.env.DOCUMENT_HISTORY_TTL_DAYS) || 30;
+export const HISTORY_MAX_BULK = Number(process.env.DOCUMENT_HISTORY_MAX_BULK) || 1000;
+
+let indexesCreated = false;
+
+/**
+ * Whether document history is enabled
+ * @returns {boolean} - True when versions are captured
+ */
+export function isHistoryEnabled() {
+  return HISTORY_ENABLED;
+}
+
+/**
+ * Get the history collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - History collection
+ */
+async function getHistoryCollection() {
+  const collection = await getAppCollection(HISTORY_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ versionId: 1 }, { unique: true, name: 'history_version_id_index' });
+    await collection.createIndex(
+      { clusterKey: 1, dbName: 1, collName: 1, documentId: 1, createdAt: -1 },
+      { name: 'history_document_index' }
+    );
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'history_ttl_index' });
+    indexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Hash a connection string into the key versions are scoped to
+ * @param {string} connStr - MongoDB connection string
+ * @returns {string} - Cluster key
+ */
+export function getClusterKey(connStr) {
+  return crypto.createHash('sha256').update(connStr).digest('hex');
+}
+
+/**
+ * Convert a stored version to its public shape
+ * @param {Object} doc - Stored version
+ * @param {boolean} [withDocument] - Include the captured document
+ * @returns {Object} - Public version
+ */
+function toPublicVersion(doc, withDocument = false) {
+  const version = {
+    versionId: doc.versionId,
+    operation: doc.operation,
+    exists: doc.exists,
+    userId: doc.userId,
+    sessionId: doc.sessionId,
+    createdAt: doc.createdAt
+  };
+
+  if (withDocument) {
+    version.document = doc.document;
+  }
+
+  return version;
+}
+
+/**
+ * Record the previous versions of documents about to change
+ * Does nothing when history is disabled
+ * @param {Object} context - Who changes the documents
+ * @param {string} context.connStr - Connection string of the session
+ * @param {string} context.sessionId - Session ID
+ * @param {string} context.userId - User ID
+ * @param {Object} target - What changes
+ * @param {string} target.dbName - Database name
+ * @param {string} target.collName - Collection name
+ * @param {string} target.operation - Operation (update, replace, delete, restore, ...)
+ * @param {Array<Object>} [target.documents] - Previous versions (documents with _id)
+ * @param {Array} [target.missingIds] - IDs of documents that did not exist before the change
+ * @returns {Promise<number>} - Number of recorded versions
+ */
+export async function recordVersions({ connStr, sessionId, userId }, { dbName, collName, operation, documents = [], missingIds = [] }) {
+  if (!HISTORY_ENABLED || documents.length + missingIds.length === 0) {
+    return 0;
+  }
+
+  const collection = await getHistoryCollection();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + HISTORY_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const clusterKey = getClusterKey(connStr);
+
+  const toVersion = (documentId, document) => ({
+    versionId: uuidv4(),
+    clusterKey,
+    dbName,
+    collName,
+    documentId,
+    operation,
+    exists: document !== null,
+    document,
+    sessionId,
+    userId,
+    createdAt: now,
+    expiresAt
+  });
+
+  await collection.insertMany([
+    ...documents.map(document => toVersion(document._id, document)),
+    ...missingIds.map(documentId => toVersion(documentId, null))
+  ], { ordered: false });
+
+  return documents.length + missingIds.length;
+}
+
+/**
+ * List the versions of a document, newest first
+ * @param {string} connStr - Connection string of the session
+ * @param {Object} target - Document location
+ * @param {string} target.dbName - Database name
+ * @param {string} target.collName - Collection name
+ * @param {*} target.documentId - Document _id
+ * @returns {Promise<Array>} - Versions without document bodies
+ */
+export async function listVersions(connStr, { dbName, collName, documentId }) {
+  const collection = await getHistoryCollection();
+  const docs = await collection
+    .find({ clusterKey: getClusterKey(connStr), dbName, collName, documentId }, { projection: { document: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+  return docs.map(doc => toPublicVersion(doc));
+}
+
+/**
+ * Get one version of a document
+ * @param {string} connStr - Connection string of the session
+ * @param {Object} target - Document location
+ * @param {string} target.dbName - Database name
+ * @param {string} target.collName - Collection name
+ * @param {*} target.documentId - Document _id
+ * @param {string} versionId - Version ID
+ * @returns {Promise<Object|null>} - Version with the captured document or null if not found
+ */
+export async function getVersion(connStr, { dbName, collName, documentId }, versionId) {
+  const collection = await getHistoryCollection();
+  const doc = await collection.findOne({ clusterKey: getClusterKey(connStr), dbName, collName, documentId, versionId });
+  return doc ? toPublicVersion(doc, true) : null;
+}
@@ -0,0 +1,170 @@
+/**
+ * Connection Profile Manager
+ * Stores named connection profiles in the application database, each owned by a user
+ *
+ * Connection strings are encrypted at rest (see encryption.js) and only
+ * returned in redacted form; the plaintext is used solely to open sessions.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { encrypt, decrypt, needsReencryption } from './encryption.js';
+import { getAppCollection } from './appDatabase.js';
+import { redactConnectionString } from '../utils/connectionString.js';
+
+// Configuration
+const PROFILE_COLLECTION = 'profiles';
+
+let indexesCreated = false;
+
+/**
+ * Get the profiles collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - Profiles collection
+ */
+async function getProfileCollection() {
+  const collection = await getAppCollection(PROFILE_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ profileId: 1 }, { unique: true, name: 'profile_id_index' });
+    await collection.createIndex({ ownerId: 1, name: 1 }, { unique: true, name: 'profile_owner_name_index' });
+    indexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Convert a stored profile to its public shape (credentials redacted)
+ * @param {Object} doc - Stored profile document
+ * @returns {Object} - Public profile
+ */
+function toPublicProfile(doc) {
+  let connStr = null;
+  try {
+    connStr = redactConnectionString(decrypt(doc.encryptedConnStr));
+  } catch (error) {
+    console.warn(`[Profiles] Could not decrypt profile "${doc.name}": ${error.message}`);
+  }
+
+  return {
+    profileId: doc.profileId,
+    name: doc.name,
+    environment: doc.environment,
+    color: doc.color,
+    mode: doc.mode || 'readWrite',
+    connStr,
+    options: doc.options || {},
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Create a connection profile
+ * @param {string} ownerId - ID of the owning user
+ * @param {Object} profile - Profile fields (name, connStr, environment, color, mode, options)
+ * @returns {Promise<Object>} - Created profile (redacted)
+ */
+export async function createProfile(ownerId, { name, connStr, environment = 'dev', color = null, mode = 'readWrite', options = {} }) {
+  const collection = await getProfileCollection();
+  const now = new Date();
+
+  const doc = {
+    profileId: uuidv4(),
+    ownerId,
+    name,
+    environment,
+    color,
+    mode,
+    encryptedConnStr: encrypt(connStr),
+    options,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await collection.insertOne(doc);
+  return toPublicProfile(doc);
+}
+
+/**
+ * List the connection profiles of a user
+ * @param {string} ownerId - ID of the owning user
+ * @returns {Promise<Array>} - Profiles (redacted), sorted by name
+ */
+export async function listProfiles(ownerId) {
+  const collection = await getProfileCollection();
+  const docs = await collection.find({ ownerId }).sort({ name: 1 }).toArray();
+  return docs.map(toPublicProfile);
+}
+
+/**
+ * Get a connection profile
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>} - Profile (redacted) or null if not found
+ */
+export async function getProfile(ownerId, profileId) {
+  const collection = await getProfileCollection();
+  const doc = await collection.findOne({ ownerId, profileId });
+  return doc ? toPublicProfile(doc) : null;
+}
+
+/**
+ * Update a connection profile
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} profileId - Profile ID
+ * @param {Object} changes - Fields to change (name, connStr, environment, color, mode, options)
+ * @returns {Promise<Object|null>} - Updated profile (redacted) or null if not found
+ */
+export async function updateProfile(ownerId, profileId, changes) {
+  const collection = await getProfileCollection();
+  const { connStr, ...fields } = changes;
+
+  const updates = { ...fields, updatedAt: new Date() };
+  if (connStr) {
+    updates.encryptedConnStr = encrypt(connStr);
+  }
+
+  const doc = await collection.findOneAndUpdate(
+    { ownerId, profileId },
+    { $set: updates },
+    { returnDocument: 'after' }
+  );
+
+  return doc ? toPublicProfile(doc) : null;
+}
+
+/**
+ * Delete a connection profile
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<boolean>} - True if deleted, false if not found
+ */
+export async function deleteProfile(ownerId, profileId) {
+  const collection = await getProfileCollection();
+  const result = await collection.deleteOne({ ownerId, profileId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Get the decrypted connection details of a profile (for opening a session)
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<Object|null>} - { profile, connStr } or null if not found
+ * @throws {Error} - If the stored connection string cannot be decrypted
+ */
+export async function getProfileConnection(ownerId, profileId) {
+  const collection = await getProfileCollection();
+  const doc = await collection.findOne({ ownerId, profileId });
+
+  if (!doc) {
+    return null;
+  }
+
+  const connStr = decrypt(doc.encryptedConnStr);
+
+  // Move profiles written with a retired key onto the active one
+  if (needsReencryption(doc.encryptedConnStr)) {
+    await collection.updateOne({ profileId }, { $set: { encryptedConnStr: encrypt(connStr) } });
+  }
+
+  return { profile: toPublicProfile(doc), connStr };
+}
@@ -0,0 +1,304 @@
+/**
+ * Query Manager
+ * Saved queries and per-user query history, stored in the application database
+ *
+ * When QUERY_HISTORY_ENABLED=true, every find and aggregation run through the
+ * API is recorded in the history of the user (with session, namespace,
+ * parameters, duration and result count). Entries expire after
+ * QUERY_HISTORY_TTL_DAYS.
+ *
+ * Saved queries are named, tagged find or aggregation parameters owned by a
+ * user. Shared saved queries can be listed and run by every user, but only
+ * changed by their owner.
+ *
+ * Query parameters are stored as canonical Extended JSON text: filters and
+ * pipelines are full of $-prefixed keys and typed values (ObjectId, Date, ...)
+ * that must come back exactly as they were sent.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { getAppCollection } from './appDatabase.js';
+import { getClusterKey } from './historyManager.js';
+import { stringifyExtendedJson, parseExtendedJson } from '../utils/ejson.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const SAVED_QUERY_COLLECTION = 'saved_queries';
+const QUERY_HISTORY_COLLECTION = 'query_history';
+const QUERY_HISTORY_ENABLED = process.env.QUERY_HISTORY_ENABLED === 'true';
+const QUERY_HISTORY_TTL_DAYS = Number(process.env.QUERY_HISTORY_TTL_DAYS) || 30;
+
+let savedIndexesCreated = false;
+let historyIndexesCreated = false;
+
+/**
+ * Whether query history is recorded
+ * @returns {boolean} - True when runs are recorded
+ */
+export function isQueryHistoryEnabled() {
+  return QUERY_HISTORY_ENABLED;
+}
+
+/**
+ * Get the saved queries collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - Saved queries collection
+ */
+async function getSavedQueryCollection() {
+  const collection = await getAppCollection(SAVED_QUERY_COLLECTION);
+
+  if (!savedIndexesCreated) {
+    await collection.createIndex({ queryId: 1 }, { unique: true, name: 'saved_query_id_index' });
+    await collection.createIndex({ ownerId: 1, name: 1 }, { unique: true, name: 'saved_query_owner_name_index' });
+    await collection.createIndex({ shared: 1, tags: 1 }, { name: 'saved_query_shared_tags_index' });
+    savedIndexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Get the query history collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - Query history collection
+ */
+async function getQueryHistoryCollection() {
+  const collection = await getAppCollection(QUERY_HISTORY_COLLECTION);
+
+  if (!historyIndexesCreated) {
+    await collection.createIndex({ entryId: 1 }, { unique: true, name: 'query_history_entry_id_index' });
+    await collection.createIndex({ userId: 1, createdAt: -1 }, { name: 'query_history_user_index' });
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'query_history_ttl_index' });
+    historyIndexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Convert a stored saved query to its public shape
+ * @param {Object} doc - Stored saved query
+ * @returns {Object} - Public saved query
+ */
+function toPublicSavedQuery(doc) {
+  return {
+    queryId: doc.queryId,
+    name: doc.name,
+    description: doc.description,
+    tags: doc.tags,
+    shared: doc.shared,
+    type: doc.type,
+    dbName: doc.dbName,
+    collName: doc.collName,
+    parameters: parseExtendedJson(doc.parameters),
+    ownerId: doc.ownerId,
+    ownerName: doc.ownerName,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Convert a stored history entry to its public shape
+ * @param {Object} doc - Stored history entry
+ * @returns {Object} - Public history entry
+ */
+function toPublicHistoryEntry(doc) {
+  return {
+    entryId: doc.entryId,
+    type: doc.type,
+    dbName: doc.dbName,
+    collName: doc.collName,
+    parameters: parseExtendedJson(doc.parameters),
+    durationMs: doc.durationMs,
+    resultCount: doc.resultCount,
+    savedQueryId: doc.savedQueryId,
+    sessionId: doc.sessionId,
+    createdAt: doc.createdAt
+  };
+}
+
+/**
+ * Create a saved query
+ * @param {Object} owner - Owning user ({ userId, username })
+ * @param {Object} query - Query fields (name, description, tags, shared, type, dbName, collName, parameters)
+ * @returns {Promise<Object>} - Created saved query
+ */
+export async function createSavedQuery({ userId, username }, { name, description = '', tags = [], shared = false, type, dbName = null, collName = null, parameters }) {
+  const collection = await getSavedQueryCollection();
+  const now = new Date();
+
+  const doc = {
+    queryId: uuidv4(),
+    ownerId: userId,
+    ownerName: username,
+    name,
+    description,
+    tags,
+    shared,
+    type,
+    dbName,
+    collName,
+    parameters: stringifyExtendedJson(parameters, 'canonical'),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await collection.insertOne(doc);
+  return toPublicSavedQuery(doc);
+}
+
+/**
+ * List the saved queries visible to a user (own and shared), sorted by name
+ * @param {string} userId - ID of the user
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.tag] - Only queries with this tag
+ * @param {string} [filters.type] - Only 'find' or 'aggregate' queries
+ * @param {string} [filters.dbName] - Only queries for this database
+ * @param {string} [filters.collName] - Only queries for this collection
+ * @param {boolean} [filters.mine] - Only the user's own queries
+ * @returns {Promise<Array>} - Saved queries
+ */
+export async function listSavedQueries(userId, { tag, type, dbName, collName, mine = false } = {}) {
+  const collection = await getSavedQueryCollection();
+
+  const query = mine ? { ownerId: userId } : { $or: [{ ownerId: userId }, { shared: true }] };
+  if (tag) query.tags = tag;
+  if (type) query.type = type;
+  if (dbName) query.dbName = dbName;
+  if (collName) query.collName = collName;
+
+  const docs = await collection.find(query).sort({ name: 1 }).toArray();
+  return docs.map(toPublicSavedQuery);
+}
+
+/**
+ * Get a saved query visible to a user (own or shared)
+ * @param {string} userId - ID of the user
+ * @param {string} queryId - Saved query ID
+ * @returns {Promise<Object|null>} - Saved query or null if not found
+ */
+export async function getSavedQuery(userId, queryId) {
+  const collection = await getSavedQueryCollection();
+  const doc = await collection.findOne({ queryId, $or: [{ ownerId: userId }, { shared: true }] });
+  return doc ? toPublicSavedQuery(doc) : null;
+}
+
+/**
+ * Update a saved query owned by a user
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} queryId - Saved query ID
+ * @param {Object} changes - Fields to change (name, description, tags, shared, dbName, collName, parameters)
+ * @returns {Promise<Object|null>} - Updated saved query or null if not found
+ */
+export async function updateSavedQuery(ownerId, queryId, changes) {
+  const collection = await getSavedQueryCollection();
+  const { parameters, ...fields } = changes;
+
+  const updates = { ...fields, updatedAt: new Date() };
+  if (parameters) {
+    updates.parameters = stringifyExtendedJson(parameters, 'canonical');
+  }
+
+  const doc = await collection.findOneAndUpdate(
+    { ownerId, queryId },
+    { $set: updates },
+    { returnDocument: 'after' }
+  );
+
+  return doc ? toPublicSavedQuery(doc) : null;
+}
+
+/**
+ * Delete a saved query owned by a user
+ * @param {string} ownerId - ID of the owning user
+ * @param {string} queryId - Saved query ID
+ * @returns {Promise<boolean>} - True if deleted, false if not found
+ */
+export async function deleteSavedQuery(ownerId, queryId) {
+  const collection = await getSavedQueryCollection();
+  const result = await collection.deleteOne({ ownerId, queryId });
+  return result.deletedCount > 0;
+}
+
+/**
+ * Record a query run in the history of a user
+ * Does nothing when query history is disabled
+ * @param {Object} context - Who ran the query
+ * @param {string} context.connStr - Connection string of the session
+ * @param {string} context.sessionId - Session ID
+ * @param {string} context.userId - User ID
+ * @param {Object} run - What ran
+ * @param {string} run.type - 'find' or 'aggregate'
+ * @param {string} run.dbName - Database name
+ * @param {string} run.collName - Collection name
+ * @param {Object} run.parameters - Filter/sort/projection or pipeline
+ * @param {number} run.durationMs - Duration in milliseconds
+ * @param {number} run.resultCount - Number of returned documents
+ * @param {string} [run.savedQueryId] - Saved query the run came from
+ */
+export async function recordQueryRun({ connStr, sessionId, userId }, { type, dbName, collName, parameters, durationMs, resultCount, savedQueryId = null }) {
+  if (!QUERY_HISTORY_ENABLED) {
+    return;
+  }
+
+  const collection = await getQueryHistoryCollection();
+  const now = new Date();
+
+  await collection.insertOne({
+    entryId: uuidv4(),
+    userId,
+    sessionId,
+    clusterKey: getClusterKey(connStr),
+    type,
+    dbName,
+    collName,
+    parameters: stringifyExtendedJson(parameters, 'canonical'),
+    durationMs,
+    resultCount,
+    savedQueryId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + QUERY_HISTORY_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+}
+
+/**
+ * List the query history of a user, newest first
+ * @param {string} userId - ID of the user
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.sessionId] - Only runs of this session
+ * @param {string} [filters.type] - Only 'find' or 'aggregate' runs
+ * @param {string} [filters.dbName] - Only runs on this database
+ * @param {string} [filters.collName] - Only runs on this collection
+ * @param {Date} [filters.before] - Only runs before this time (for paging)
+ * @param {number} [filters.limit] - Maximum number of entries
+ * @returns {Promise<Array>} - History entries
+ */
+export async function listQueryHistory(userId, { sessionId, type, dbName, collName, before, limit = 50 } = {}) {
+  const collection = await getQueryHistoryCollection();
+
+  const query = { userId };
+  if (sessionId) query.sessionId = sessionId;
+  if (type) query.type = type;
+  if (dbName) query.dbName = dbName;
+  if (collName) query.collName = collName;
+  if (before) query.createdAt = { $lt: before };
+
+  const docs = await collection.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+  return docs.map(toPublicHistoryEntry);
+}
+
+/**
+ * Delete the query history of a user
+ * @param {string} userId - ID of the user
+ * @param {Object} [filters] - Optional filters
+ * @param {string} [filters.sessionId] - Only runs of this session
+ * @returns {Promise<number>} - Number of deleted entries
+ */
+export async function clearQueryHistory(userId, { sessionId } = {}) {
+  const collection = await getQueryHistoryCollection();
+
+  const query = { userId };
+  if (sessionId) query.sessionId = sessionId;
+
+  const result = await collection.deleteMany(query);
+  return result.deletedCount;
+}
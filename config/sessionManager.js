@@ -1,144 +1,266 @@
 /**
- * Session Manager - Serverless Optimized
- * In-memory session storage with on-demand cleanup
- * 
- * IMPORTANT: In serverless environments, sessions are stored in memory
- * and will be lost when the function cold-starts. For production,
- * consider using Redis or a database for session persistence.
+ * Session Manager
+ * Single entry point for session storage on top of a pluggable SessionStore
+ *
+ * The backend (memory, MongoDB, file or Redis) is selected with SESSION_STORE,
+ * see sessionStores/index.js. Expiry, encryption of connection strings and
+ * key rotation are handled here so every backend behaves the same way.
+ *
+ * If the configured backend cannot be initialized, requests fail with a 503
+ * instead of silently writing to a different store. Set
+ * SESSION_STORE_FALLBACK=memory to explicitly switch the whole process to the
+ * in-memory store in that case.
  */
 import { v4 as uuidv4 } from 'uuid';
+import { encrypt, decrypt, needsReencryption } from './encryption.js';
+import { createSessionStore, getConfiguredStoreType } from './sessionStores/index.js';
 import dotenv from 'dotenv';
 dotenv.config();
-// Session storage: sessionId -> { connStr, createdAt, lastAccessed }
-const sessions = new Map();
 
-// Configuration - hardcoded for serverless
-const SESSION_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours
-const MAX_SESSIONS = 10000; // Increased limit
-const CLEANUP_INTERVAL = 600000; // 10 minutes (not used in serverless)
+// Configuration
+const SESSION_TIMEOUT = Number(process.env.SESSION_TIMEOUT_MS) || 2 * 60 * 60 * 1000; // 2 hours
+const CLEANUP_PROBABILITY = 0.05; // 5% chance to cleanup on each request
+const INIT_RETRY_INTERVAL = 30 * 1000; // Wait before retrying a failed backend
+const FALLBACK_TO_MEMORY = process.env.SESSION_STORE_FALLBACK === 'memory';
 
-// Track if we're in serverless environment
-const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.FUNCTION_NAME;
+let store = null;
+let initPromise = null;
+let lastInitFailure = 0;
 
-// Log session stats periodically
-let lastLogTime = Date.now();
-const LOG_INTERVAL = 5 * 60 * 1000; // 5 minutes
 /**
- * Create a new session with connection string
- * @param {string} connStr - MongoDB connection string
- * @returns {string} - Session ID (token)
+ * Initialize the configured session store, falling back to memory only if enabled
+ * @returns {Promise<import('./sessionStores/index.js').SessionStore>} - Ready store
+ */
+async function initStore() {
+  const type = getConfiguredStoreType();
+  const candidate = createSessionStore(type, { sessionTimeout: SESSION_TIMEOUT });
+
+  try {
+    await candidate.init();
+    console.log(`[Session Storage] ✅ Using "${candidate.name}" session store`);
+    return candidate;
+  } catch (error) {
+    console.error(`[Session Storage] ❌ Failed to initialize "${type}" session store: ${error.message}`);
+
+    if (!FALLBACK_TO_MEMORY || type === 'memory') {
+      throw error;
+    }
+
+    console.warn('[Session Storage] ⚠️  SESSION_STORE_FALLBACK=memory, using in-memory storage for this process');
+    console.warn('[Session Storage] ⚠️  Sessions will NOT persist across server restarts');
+    const fallback = createSessionStore('memory', { sessionTimeout: SESSION_TIMEOUT });
+    await fallback.init();
+    return fallback;
+  }
+}
+
+/**
+ * Get the initialized session store
+ * @returns {Promise<import('./sessionStores/index.js').SessionStore>} - Ready store
+ * @throws {Error} - With statusCode 503 if the store is unavailable
  */
+async function getStore() {
+  if (store) {
+    return store;
+  }
 
-export function createSession(connStr) {
-  // Check session limit
-  if (sessions.size >= MAX_SESSIONS) {
-    // Remove oldest session
-    const oldestSession = Array.from(sessions.entries())
-      .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed)[0];
-    if (oldestSession) {
-      console.log(`[Session Manager] Max sessions reached (${MAX_SESSIONS}), removing oldest session`);
-      sessions.delete(oldestSession[0]);
+  if (!initPromise) {
+    if (Date.now() - lastInitFailure < INIT_RETRY_INTERVAL) {
+      throw storeUnavailableError();
     }
+
+    initPromise = initStore()
+      .then(ready => {
+        store = ready;
+        return ready;
+      })
+      .catch(() => {
+        lastInitFailure = Date.now();
+        throw storeUnavailableError();
+      })
+      .finally(() => {
+        initPromise = null;
+      });
   }
 
+  return initPromise;
+}
+
+/**
+ * Build the error returned while the session store is unavailable
+ * @returns {Error} - Error with a 503 status code
+ */
+function storeUnavailableError() {
+  const error = new Error('Session store is unavailable');
+  error.statusCode = 503;
+  return error;
+}
+
+/**
+ * Check whether a record is past its inactivity timeout
+ * @param {Object} record - Session record
+ * @returns {boolean} - True if expired
+ */
+function isExpired(record) {
+  return Date.now() - record.lastAccessed > SESSION_TIMEOUT;
+}
+
+/**
+ * Create a new session with connection string
+ * @param {string} connStr - MongoDB connection string
+ * @param {Object} [metadata] - Extra session data kept alongside the connection string
+ * @returns {Promise<string>} - Session ID (token)
+ */
+export async function createSession(connStr, metadata = {}) {
+  const sessionStore = await getStore();
   const sessionId = uuidv4();
-  sessions.set(sessionId, {
-    connStr,
-    createdAt: Date.now(),
-    lastAccessed: Date.now()
+  const now = Date.now();
+
+  await sessionStore.set({
+    sessionId,
+    encryptedConnStr: encrypt(connStr),
+    metadata,
+    createdAt: now,
+    lastAccessed: now
   });
 
-  console.log(`[Session Manager] Session created: ${sessionId.substring(0, 8)}... (Total: ${sessions.size})`);
-  
+  console.log(`[Session Storage] Session created: ${sessionId.substring(0, 8)}...`);
   return sessionId;
 }
 
 /**
- * Get connection string from session ID
+ * Get a session with its decrypted connection string
+ * Refreshes the last access time of the session
  * @param {string} sessionId - Session ID
- * @returns {string|null} - Connection string or null if not found/expired
+ * @returns {Promise<Object|null>} - Session ({ sessionId, connStr, metadata, createdAt, lastAccessed }) or null if not found/expired
  */
-export function getConnectionString(sessionId) {
-  // Occasional cleanup (10% chance)
-  if (Math.random() < 0.1) {
-    performCleanup();
+export async function getSession(sessionId) {
+  if (!sessionId) {
+    return null;
   }
 
-  // Log session stats periodically
-  if (Date.now() - lastLogTime > LOG_INTERVAL) {
-    console.log(`[Session Manager] Active sessions: ${sessions.size}, Serverless: ${isServerless}`);
-    lastLogTime = Date.now();
+  const sessionStore = await getStore();
+  const record = await sessionStore.get(sessionId);
+
+  if (!record) {
+    return null;
   }
 
-  if (!sessionId) {
-    console.warn('[Session Manager] No session ID provided');
+  if (isExpired(record)) {
+    await sessionStore.delete(sessionId);
     return null;
   }
 
-  if (!sessions.has(sessionId)) {
-    console.warn(`[Session Manager] Session not found: ${sessionId.substring(0, 8)}... (Total sessions: ${sessions.size})`);
+  // Sessions that cannot be decrypted (unknown key or tampered data) are invalid
+  let connStr;
+  try {
+    connStr = decrypt(record.encryptedConnStr);
+  } catch (error) {
+    console.warn(`[Session Storage] Could not decrypt session ${sessionId.substring(0, 8)}...: ${error.message}`);
+    await sessionStore.delete(sessionId);
     return null;
   }
 
-  const session = sessions.get(sessionId);
+  // Update last accessed time, moving sessions written with a retired key onto the active one
+  const updates = { lastAccessed: Date.now() };
+  if (needsReencryption(record.encryptedConnStr)) {
+    updates.encryptedConnStr = encrypt(connStr);
+  }
+  await sessionStore.update(sessionId, updates);
 
-  // Check if session expired
-  const timeSinceLastAccess = Date.now() - session.lastAccessed;
-  if (timeSinceLastAccess > SESSION_TIMEOUT) {
-    console.log(`[Session Manager] Session expired: ${sessionId.substring(0, 8)}... (inactive for ${Math.round(timeSinceLastAccess / 1000 / 60)} minutes)`);
-    sessions.delete(sessionId);
-    return null;
+  // Occasional cleanup
+  if (Math.random() < CLEANUP_PROBABILITY) {
+    performCleanup();
   }
 
-  // Update last accessed time
-  session.lastAccessed = Date.now();
-  return session.connStr;
+  return {
+    sessionId,
+    connStr,
+    metadata: record.metadata || {},
+    createdAt: record.createdAt,
+    lastAccessed: updates.lastAccessed
+  };
+}
+
+/**
+ * Get connection string from session ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<string|null>} - Connection string or null if not found/expired
+ */
+export async function getConnectionString(sessionId) {
+  const session = await getSession(sessionId);
+  return session ? session.connStr : null;
 }
 
 /**
  * Delete a session
  * @param {string} sessionId - Session ID
- * @returns {boolean} - True if deleted, false if not found
+ * @returns {Promise<boolean>} - True if deleted, false if not found
  */
-export function deleteSession(sessionId) {
-  return sessions.delete(sessionId);
+export async function deleteSession(sessionId) {
+  const sessionStore = await getStore();
+  return sessionStore.delete(sessionId);
 }
 
 /**
- * Get all active sessions info (without connection strings)
- * @returns {Array} - Array of session info
+ * Get active sessions info (without connection strings)
+ * @param {Object} [filter] - Optional filter
+ * @param {string} [filter.userId] - Only return sessions owned by this user
+ * @returns {Promise<Array>} - Array of session info
  */
-export function getActiveSessions() {
-  return Array.from(sessions.entries()).map(([id, data]) => ({
-    sessionId: id,
-    createdAt: data.createdAt,
-    lastAccessed: data.lastAccessed,
-    expiresIn: SESSION_TIMEOUT - (Date.now() - data.lastAccessed)
-  }));
+export async function getActiveSessions({ userId } = {}) {
+  const sessionStore = await getStore();
+  const records = await sessionStore.list();
+
+  return records
+    .filter(record => !isExpired(record))
+    .filter(record => !userId || record.metadata?.userId === userId)
+    .map(record => ({
+      sessionId: record.sessionId,
+      userId: record.metadata?.userId || null,
+      mode: record.metadata?.mode || 'readWrite',
+      createdAt: record.createdAt,
+      lastAccessed: record.lastAccessed,
+      expiresIn: SESSION_TIMEOUT - (Date.now() - record.lastAccessed)
+    }));
 }
 
 /**
- * Cleanup expired sessions
+ * Perform cleanup of expired sessions
+ * Note: Mongo TTL indexes and Redis key expiry handle most cleanup automatically
  */
-function cleanupExpiredSessions() {
-  const now = Date.now();
-  let cleaned = 0;
-  for (const [sessionId, session] of sessions.entries()) {
-    if (now - session.lastAccessed > SESSION_TIMEOUT) {
-      sessions.delete(sessionId);
-      cleaned++;
+export async function performCleanup() {
+  try {
+    const sessionStore = await getStore();
+    const cleaned = await sessionStore.deleteExpired(Date.now() - SESSION_TIMEOUT);
+
+    if (cleaned > 0) {
+      console.log(`[Session Storage] Cleaned up ${cleaned} expired session(s)`);
     }
-  }
-  if (cleaned > 0) {
-    console.log(`Cleaned up ${cleaned} expired session(s)`);
+  } catch (error) {
+    console.error('[Session Storage] Error during cleanup:', error.message);
   }
 }
 
-
+/**
+ * Get information about the active session store backend
+ * @returns {Object} - Backend name and readiness
+ */
+export function getSessionStoreInfo() {
+  return {
+    configured: getConfiguredStoreType(),
+    active: store ? store.name : null,
+    ready: !!store
+  };
+}
 
 /**
- * Perform on-demand cleanup (for serverless environments)
+ * Close the session store (for graceful shutdown)
  */
-export function performCleanup() {
-  cleanupExpiredSessions();
+export async function closeSessionStore() {
+  if (store) {
+    const closing = store;
+    store = null;
+    await closing.close();
+  }
 }
@@ -0,0 +1,106 @@
+/**
+ * File Session Store
+ * Persists session records to a local JSON file
+ *
+ * Records are held in memory and flushed to disk after every change using an
+ * atomic write (temp file + rename). Suitable for single-instance deployments
+ * that need sessions to survive a restart without running a database.
+ */
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a file-backed session store
+ * @param {Object} options - Store options
+ * @param {string} options.filePath - Path of the JSON file
+ * @returns {import('./index.js').SessionStore} - Session store instance
+ */
+export function createFileStore({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  const sessions = new Map();
+
+  // Serialize writes so concurrent changes never interleave on disk
+  let writeQueue = Promise.resolve();
+
+  const flush = () => {
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const tempPath = `${resolvedPath}.${process.pid}.tmp`;
+        const contents = JSON.stringify(Array.from(sessions.values()));
+        await fs.writeFile(tempPath, contents, { mode: 0o600 });
+        await fs.rename(tempPath, resolvedPath);
+      });
+    return writeQueue;
+  };
+
+  return {
+    name: 'file',
+
+    async init() {
+      await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+
+      try {
+        const contents = await fs.readFile(resolvedPath, 'utf8');
+        const records = contents.trim() ? JSON.parse(contents) : [];
+        records.forEach(record => sessions.set(record.sessionId, record));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Could not read session file ${resolvedPath}: ${error.message}`);
+        }
+      }
+
+      console.log(`[Session Storage] Using session file ${resolvedPath} (${sessions.size} session(s) loaded)`);
+    },
+
+    async set(record) {
+      sessions.set(record.sessionId, { ...record });
+      await flush();
+    },
+
+    async get(sessionId) {
+      const record = sessions.get(sessionId);
+      return record ? { ...record } : null;
+    },
+
+    async update(sessionId, fields) {
+      const record = sessions.get(sessionId);
+      if (!record) {
+        return false;
+      }
+      Object.assign(record, fields);
+      await flush();
+      return true;
+    },
+
+    async delete(sessionId) {
+      const deleted = sessions.delete(sessionId);
+      if (deleted) {
+        await flush();
+      }
+      return deleted;
+    },
+
+    async list() {
+      return Array.from(sessions.values()).map(record => ({ ...record }));
+    },
+
+    async deleteExpired(cutoff) {
+      let cleaned = 0;
+      for (const [sessionId, record] of sessions.entries()) {
+        if (record.lastAccessed < cutoff) {
+          sessions.delete(sessionId);
+          cleaned++;
+        }
+      }
+      if (cleaned > 0) {
+        await flush();
+      }
+      return cleaned;
+    },
+
+    async close() {
+      await writeQueue.catch(() => {});
+    }
+  };
+}
@@ -0,0 +1,81 @@
+/**
+ * Session Store Factory
+ * Builds the session store backend selected through environment config
+ *
+ * SESSION_STORE selects the backend:
+ *   - memory  : in-process Map (default when SESSION_DB_URI is not set)
+ *   - mongodb : SESSION_DB_URI / SESSION_DB_NAME (default when SESSION_DB_URI is set)
+ *   - file    : JSON file at SESSION_FILE_PATH
+ *   - redis   : any Redis-protocol server at SESSION_REDIS_URL
+ */
+import { createMemoryStore } from './memoryStore.js';
+import { createMongoStore } from './mongoStore.js';
+import { createFileStore } from './fileStore.js';
+import { createRedisStore } from './redisStore.js';
+
+/**
+ * Session record as kept by every backend
+ * @typedef {Object} SessionRecord
+ * @property {string} sessionId - Session ID
+ * @property {string} encryptedConnStr - Encrypted connection string
+ * @property {number} createdAt - Creation time (ms since epoch)
+ * @property {number} lastAccessed - Last access time (ms since epoch)
+ */
+
+/**
+ * Common interface implemented by all session store backends
+ * @typedef {Object} SessionStore
+ * @property {string} name - Backend name
+ * @property {() => Promise<void>} init - Connect/load the backend, throws on failure
+ * @property {(record: SessionRecord) => Promise<void>} set - Create or replace a record
+ * @property {(sessionId: string) => Promise<SessionRecord|null>} get - Read a record
+ * @property {(sessionId: string, fields: Object) => Promise<boolean>} update - Patch a record
+ * @property {(sessionId: string) => Promise<boolean>} delete - Remove a record
+ * @property {() => Promise<SessionRecord[]>} list - Read all records
+ * @property {(cutoff: number) => Promise<number>} deleteExpired - Remove records last accessed before cutoff
+ * @property {() => Promise<void>} close - Release backend resources
+ */
+
+export const SESSION_STORE_TYPES = ['memory', 'mongodb', 'file', 'redis'];
+
+/**
+ * Resolve the configured backend type
+ * @returns {string} - Backend type
+ */
+export function getConfiguredStoreType() {
+  const type = (process.env.SESSION_STORE || (process.env.SESSION_DB_URI ? 'mongodb' : 'memory')).toLowerCase();
+
+  if (!SESSION_STORE_TYPES.includes(type)) {
+    throw new Error(`Unknown SESSION_STORE "${type}", expected one of: ${SESSION_STORE_TYPES.join(', ')}`);
+  }
+
+  return type;
+}
+
+/**
+ * Create a session store backend
+ * @param {string} type - Backend type
+ * @param {Object} options - Shared options
+ * @param {number} options.sessionTimeout - Session timeout in ms
+ * @returns {SessionStore} - Session store instance (not yet initialized)
+ */
+export function createSessionStore(type, { sessionTimeout }) {
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'mongodb':
+      return createMongoStore({ sessionTimeout });
+    case 'file':
+      return createFileStore({
+        filePath: process.env.SESSION_FILE_PATH || './data/sessions.json'
+      });
+    case 'redis':
+      return createRedisStore({
+        url: process.env.SESSION_REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.SESSION_REDIS_PREFIX,
+        sessionTimeout
+      });
+    default:
+      throw new Error(`Unknown session store type "${type}"`);
+  }
+}
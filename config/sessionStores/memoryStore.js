@@ -0,0 +1,72 @@
+/**
+ * In-Memory Session Store
+ * Keeps session records in a Map inside the current process
+ *
+ * Sessions are lost on restart and are not shared between instances,
+ * so this backend is only suitable for local development and tests.
+ */
+
+// Configuration
+const MAX_SESSIONS = 10000;
+
+/**
+ * Create an in-memory session store
+ * @returns {import('./index.js').SessionStore} - Session store instance
+ */
+export function createMemoryStore() {
+  const sessions = new Map();
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async set(record) {
+      // Evict the least recently used session once the limit is reached
+      if (!sessions.has(record.sessionId) && sessions.size >= MAX_SESSIONS) {
+        const oldest = Array.from(sessions.values())
+          .sort((a, b) => a.lastAccessed - b.lastAccessed)[0];
+        if (oldest) {
+          console.log(`[Session Storage] Max sessions reached (${MAX_SESSIONS}), removing oldest session`);
+          sessions.delete(oldest.sessionId);
+        }
+      }
+      sessions.set(record.sessionId, { ...record });
+    },
+
+    async get(sessionId) {
+      const record = sessions.get(sessionId);
+      return record ? { ...record } : null;
+    },
+
+    async update(sessionId, fields) {
+      const record = sessions.get(sessionId);
+      if (!record) {
+        return false;
+      }
+      Object.assign(record, fields);
+      return true;
+    },
+
+    async delete(sessionId) {
+      return sessions.delete(sessionId);
+    },
+
+    async list() {
+      return Array.from(sessions.values()).map(record => ({ ...record }));
+    },
+
+    async deleteExpired(cutoff) {
+      let cleaned = 0;
+      for (const [sessionId, record] of sessions.entries()) {
+        if (record.lastAccessed < cutoff) {
+          sessions.delete(sessionId);
+          cleaned++;
+        }
+      }
+      return cleaned;
+    },
+
+    async close() {}
+  };
+}
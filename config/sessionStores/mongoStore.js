@@ -0,0 +1,108 @@
+/**
+ * MongoDB Session Store
+ * Persists session records in a collection of the application database
+ * (SESSION_DB_URI / SESSION_DB_NAME) with a TTL index
+ */
+import { getAppCollection } from '../appDatabase.js';
+
+/**
+ * Create a MongoDB-backed session store
+ * @param {Object} options - Store options
+ * @param {string} [options.collectionName] - Collection name
+ * @param {number} options.sessionTimeout - Session timeout in ms, used for the TTL index
+ * @returns {import('./index.js').SessionStore} - Session store instance
+ */
+export function createMongoStore({ collectionName = 'sessions', sessionTimeout }) {
+  let collection = null;
+
+  // Mongo keeps timestamps as Dates so the TTL index can expire them
+  const toDocument = (record) => ({
+    ...record,
+    createdAt: new Date(record.createdAt),
+    lastAccessed: new Date(record.lastAccessed)
+  });
+
+  const toRecord = (doc) => {
+    if (!doc) {
+      return null;
+    }
+    const { _id, ...record } = doc;
+    return {
+      ...record,
+      createdAt: doc.createdAt.getTime(),
+      lastAccessed: doc.lastAccessed.getTime()
+    };
+  };
+
+  return {
+    name: 'mongodb',
+
+    async init() {
+      collection = await getAppCollection(collectionName);
+
+      // Create TTL index for automatic cleanup
+      await collection.createIndex(
+        { lastAccessed: 1 },
+        {
+          expireAfterSeconds: Math.floor(sessionTimeout / 1000),
+          name: 'session_ttl_index'
+        }
+      );
+
+      // Create index on sessionId for fast lookups
+      await collection.createIndex(
+        { sessionId: 1 },
+        { unique: true, name: 'session_id_index' }
+      );
+
+      // Purge sessions written before encryption at rest, they hold plaintext credentials
+      const legacy = await collection.deleteMany({ connStr: { $exists: true } });
+      if (legacy.deletedCount > 0) {
+        console.warn(`[Session Storage] Removed ${legacy.deletedCount} legacy plaintext session(s)`);
+      }
+    },
+
+    async set(record) {
+      await collection.replaceOne(
+        { sessionId: record.sessionId },
+        toDocument(record),
+        { upsert: true }
+      );
+    },
+
+    async get(sessionId) {
+      return toRecord(await collection.findOne({ sessionId }));
+    },
+
+    async update(sessionId, fields) {
+      const updates = { ...fields };
+      if (updates.lastAccessed !== undefined) {
+        updates.lastAccessed = new Date(updates.lastAccessed);
+      }
+      const result = await collection.updateOne({ sessionId }, { $set: updates });
+      return result.matchedCount > 0;
+    },
+
+    async delete(sessionId) {
+      const result = await collection.deleteOne({ sessionId });
+      return result.deletedCount > 0;
+    },
+
+    async list() {
+      const docs = await collection.find({}).toArray();
+      return docs.map(toRecord);
+    },
+
+    async deleteExpired(cutoff) {
+      const result = await collection.deleteMany({
+        lastAccessed: { $lt: new Date(cutoff) }
+      });
+      return result.deletedCount;
+    },
+
+    async close() {
+      // The connection is shared with other app data, see closeAppDb()
+      collection = null;
+    }
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Redis Session Store
+ * Persists session records in any server speaking the Redis protocol
+ * (Redis, Valkey, KeyDB, DragonflyDB, ...)
+ *
+ * Each session is a JSON string under `<prefix><sessionId>` whose TTL is
+ * refreshed on every write, so expired sessions are removed by the server.
+ */
+import { createClient } from 'redis';
+
+/**
+ * Create a Redis-backed session store
+ * @param {Object} options - Store options
+ * @param {string} options.url - Redis connection URL (redis:// or rediss://)
+ * @param {string} [options.keyPrefix] - Prefix for session keys
+ * @param {number} options.sessionTimeout - Session timeout in ms, used as key TTL
+ * @returns {import('./index.js').SessionStore} - Session store instance
+ */
+export function createRedisStore({ url, keyPrefix = 'mongo_explorer:session:', sessionTimeout }) {
+  let client = null;
+
+  const keyFor = (sessionId) => `${keyPrefix}${sessionId}`;
+
+  const write = (record) => client.set(keyFor(record.sessionId), JSON.stringify(record), {
+    expiration: { type: 'PX', value: sessionTimeout }
+  });
+
+  return {
+    name: 'redis',
+
+    async init() {
+      console.log(`[Session Storage] Connecting to: ${url.replace(/\/\/([^:@]*):[^@]+@/, '//$1:***@')}`);
+
+      client = createClient({
+        url,
+        socket: {
+          connectTimeout: 3000,
+          // Fail fast on startup instead of retrying forever
+          reconnectStrategy: (retries) => (client?.isReady || retries < 3 ? Math.min(retries * 200, 3000) : false)
+        }
+      });
+      client.on('error', (error) => {
+        console.error('[Session Storage] Redis error:', error.message);
+      });
+
+      try {
+        await client.connect();
+      } catch (error) {
+        client = null;
+        throw error;
+      }
+    },
+
+    async set(record) {
+      await write(record);
+    },
+
+    async get(sessionId) {
+      const value = await client.get(keyFor(sessionId));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async update(sessionId, fields) {
+      const value = await client.get(keyFor(sessionId));
+      if (!value) {
+        return false;
+      }
+      await write({ ...JSON.parse(value), ...fields });
+      return true;
+    },
+
+    async delete(sessionId) {
+      return (await client.del(keyFor(sessionId))) > 0;
+    },
+
+    async list() {
+      const records = [];
+      for await (const keys of client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 100 })) {
+        if (keys.length === 0) {
+          continue;
+        }
+        const values = await client.mGet(keys);
+        values.filter(Boolean).forEach(value => records.push(JSON.parse(value)));
+      }
+      return records;
+    },
+
+    async deleteExpired() {
+      // Keys expire on their own through their TTL
+      return 0;
+    },
+
+    async close() {
+      if (client) {
+        await client.close();
+        client = null;
+        console.log('[Session Storage] Redis connection closed');
+      }
+    }
+  };
+}
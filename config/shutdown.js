@@ -0,0 +1,158 @@
+/**
+ * Graceful Shutdown
+ * Coordinates process shutdown on SIGTERM/SIGINT
+ *
+ * On the first signal the server is marked as draining (reported by /health)
+ * and new API requests are refused. After SHUTDOWN_READINESS_DELAY_MS, which
+ * gives load balancers time to observe the readiness change, the server stops
+ * accepting connections and waits for in-flight requests up to
+ * SHUTDOWN_TIMEOUT_MS. Every cached MongoDB client, the session store and the
+ * application database client are then closed before the process exits.
+ * A second signal exits immediately.
+ */
+import { closeAllMongoClients } from './db.js';
+import { closeSessionStore } from './sessionManager.js';
+import { closeAppDb } from './appDatabase.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const SHUTDOWN_TIMEOUT = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 30 * 1000; // 30 seconds
+const READINESS_DELAY = Number(process.env.SHUTDOWN_READINESS_DELAY_MS) || 0; // Keep listening while draining
+
+let draining = false;
+let inFlight = 0;
+const idleWaiters = [];
+
+/**
+ * Whether the server is draining and no longer ready for traffic
+ * @returns {boolean} - True once shutdown has started
+ */
+export function isDraining() {
+  return draining;
+}
+
+/**
+ * Number of requests currently being handled
+ * @returns {number} - In-flight request count
+ */
+export function getInFlightCount() {
+  return inFlight;
+}
+
+/**
+ * Middleware counting in-flight requests
+ * Requests arriving while draining are refused with a 503
+ */
+export function trackRequests(req, res, next) {
+  if (draining) {
+    res.set('Connection', 'close');
+    return res.error('Server is shutting down', 503);
+  }
+
+  inFlight++;
+
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    inFlight--;
+
+    if (inFlight === 0) {
+      idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  };
+
+  // 'close' also fires for aborted requests that never finish
+  res.on('finish', finish);
+  res.on('close', finish);
+  next();
+}
+
+/**
+ * Wait until no request is in flight or the deadline passes
+ * @param {number} timeout - Deadline in milliseconds
+ * @returns {Promise<boolean>} - True if every request completed in time
+ */
+function waitForRequests(timeout) {
+  if (inFlight === 0) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), timeout);
+    idleWaiters.push(() => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+/**
+ * Close every external resource, logging failures instead of aborting
+ */
+async function closeResources() {
+  const results = await Promise.allSettled([
+    closeAllMongoClients(),
+    closeSessionStore(),
+    closeAppDb()
+  ]);
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error('[Shutdown] Error closing resource:', result.reason?.message || result.reason);
+    }
+  }
+}
+
+/**
+ * Drain the HTTP server and close all resources
+ * @param {import('http').Server} server - HTTP server
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(server, signal) {
+  if (draining) {
+    console.warn(`[Shutdown] ${signal} received again, exiting immediately`);
+    process.exit(1);
+  }
+
+  draining = true;
+  console.log(`[Shutdown] ${signal} received: draining ${inFlight} in-flight request(s), deadline ${SHUTDOWN_TIMEOUT}ms`);
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT;
+
+  if (READINESS_DELAY > 0) {
+    await new Promise(resolve => setTimeout(resolve, READINESS_DELAY));
+  }
+
+  // Stop accepting connections and drop idle keep-alive sockets
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  const completed = await waitForRequests(Math.max(0, deadline - Date.now()));
+
+  if (!completed) {
+    console.warn(`[Shutdown] Deadline reached with ${inFlight} request(s) still in flight, closing their connections`);
+  }
+  server.closeAllConnections();
+  await serverClosed;
+
+  await closeResources();
+
+  console.log('[Shutdown] Complete');
+  process.exit(completed ? 0 : 1);
+}
+
+/**
+ * Register SIGTERM/SIGINT handlers for the given HTTP server
+ * @param {import('http').Server} server - HTTP server
+ */
+export function registerShutdownHandlers(server) {
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      shutdown(server, signal).catch((error) => {
+        console.error('[Shutdown] Failed:', error.message);
+        process.exit(1);
+      });
+    });
+  }
+}
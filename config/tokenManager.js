@@ -0,0 +1,135 @@
+/**
+ * Token Manager
+ * Issues and verifies signed access/refresh tokens (JWT, HS256)
+ *
+ * Access tokens are short-lived and stateless. Refresh tokens carry a token
+ * ID that is recorded in the application database, so they can be rotated
+ * on every refresh and revoked on logout.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getAppCollection } from './appDatabase.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Configuration
+const ACCESS_TOKEN_TTL = process.env.AUTH_ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_SECONDS = Number(process.env.AUTH_REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60; // 7 days
+const REFRESH_TOKEN_COLLECTION = 'refresh_tokens';
+const TOKEN_ISSUER = 'mongodb-data-explorer';
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+  // No secret configured - sign with a per-process secret so tokens are never forgeable
+  tokenSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Auth] ⚠️  AUTH_TOKEN_SECRET is not set, using an ephemeral secret');
+  console.warn('[Auth] ⚠️  Issued tokens will NOT be valid after a server restart');
+}
+
+let indexesCreated = false;
+
+/**
+ * Get the refresh token collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - Refresh token collection
+ */
+async function getRefreshTokenCollection() {
+  const collection = await getAppCollection(REFRESH_TOKEN_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ tokenId: 1 }, { unique: true, name: 'refresh_token_id_index' });
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'refresh_token_ttl_index' });
+    indexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Issue a new access/refresh token pair for a user
+ * @param {Object} user - User (userId, username, role)
+ * @returns {Promise<Object>} - { accessToken, refreshToken, tokenType, expiresIn }
+ */
+export async function issueTokens(user) {
+  const collection = await getRefreshTokenCollection();
+  const tokenId = crypto.randomUUID();
+
+  const accessToken = jwt.sign(
+    { type: 'access', username: user.username, role: user.role },
+    tokenSecret,
+    { subject: user.userId, expiresIn: ACCESS_TOKEN_TTL, issuer: TOKEN_ISSUER }
+  );
+
+  const refreshToken = jwt.sign(
+    { type: 'refresh' },
+    tokenSecret,
+    { subject: user.userId, expiresIn: REFRESH_TOKEN_TTL_SECONDS, issuer: TOKEN_ISSUER, jwtid: tokenId }
+  );
+
+  await collection.insertOne({
+    tokenId,
+    userId: user.userId,
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+  });
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+/**
+ * Verify an access token
+ * @param {string} token - Access token
+ * @returns {Object|null} - Token claims ({ userId, username, role }) or null if invalid/expired
+ */
+export function verifyAccessToken(token) {
+  try {
+    const claims = jwt.verify(token, tokenSecret, { issuer: TOKEN_ISSUER, algorithms: ['HS256'] });
+    if (claims.type !== 'access') {
+      return null;
+    }
+    return { userId: claims.sub, username: claims.username, role: claims.role };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Consume a refresh token (single use)
+ * The token is revoked so it cannot be used again
+ * @param {string} token - Refresh token
+ * @param {string} [userId] - Only consume the token if it belongs to this user
+ * @returns {Promise<string|null>} - User ID or null if invalid, expired, already used
+ *   or owned by another user
+ */
+export async function consumeRefreshToken(token, userId = null) {
+  let claims;
+  try {
+    claims = jwt.verify(token, tokenSecret, { issuer: TOKEN_ISSUER, algorithms: ['HS256'] });
+  } catch (error) {
+    return null;
+  }
+
+  if (claims.type !== 'refresh' || !claims.jti || (userId && claims.sub !== userId)) {
+    return null;
+  }
+
+  const collection = await getRefreshTokenCollection();
+  const result = await collection.deleteOne({ tokenId: claims.jti, userId: claims.sub });
+
+  return result.deletedCount > 0 ? claims.sub : null;
+}
+
+/**
+ * Revoke every refresh token of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+export async function revokeUserTokens(userId) {
+  const collection = await getRefreshTokenCollection();
+  const result = await collection.deleteMany({ userId });
+  return result.deletedCount;
+}
@@ -0,0 +1,188 @@
+/**
+ * User Manager
+ * Local user accounts stored in the application database
+ *
+ * Passwords are hashed with scrypt and a per-user random salt. Registered
+ * accounts are regular users. The first admin is created at startup from
+ * AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD; admins can then create more.
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { getAppCollection } from './appDatabase.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const scrypt = promisify(crypto.scrypt);
+
+// Configuration
+const USER_COLLECTION = 'users';
+const SALT_LENGTH = 16;
+const HASH_LENGTH = 64;
+export const USER_ROLES = ['user', 'admin'];
+const ADMIN_USERNAME = process.env.AUTH_ADMIN_USERNAME;
+const ADMIN_PASSWORD = process.env.AUTH_ADMIN_PASSWORD;
+
+let indexesCreated = false;
+
+/**
+ * Get the users collection, creating its indexes on first use
+ * @returns {Promise<import('mongodb').Collection>} - Users collection
+ */
+async function getUserCollection() {
+  const collection = await getAppCollection(USER_COLLECTION);
+
+  if (!indexesCreated) {
+    await collection.createIndex({ userId: 1 }, { unique: true, name: 'user_id_index' });
+    await collection.createIndex({ username: 1 }, { unique: true, name: 'username_index' });
+    indexesCreated = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash: scrypt:<salt>:<hash>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, HASH_LENGTH);
+  return `scrypt:${salt.toString('base64')}:${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Encoded hash from hashPassword()
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Checked when the username does not exist, so unknown users cost the same scrypt run
+const dummyPasswordHash = hashPassword(crypto.randomBytes(SALT_LENGTH).toString('hex'));
+
+/**
+ * Convert a stored user to its public shape (no password hash)
+ * @param {Object} doc - Stored user document
+ * @returns {Object} - Public user
+ */
+function toPublicUser(doc) {
+  return {
+    userId: doc.userId,
+    username: doc.username,
+    role: doc.role,
+    createdAt: doc.createdAt
+  };
+}
+
+/**
+ * Build a new user document
+ * @param {Object} user - Account fields (username, password, role)
+ * @returns {Promise<Object>} - User document with a hashed password
+ */
+async function buildUserDocument({ username, password, role }) {
+  return {
+    userId: uuidv4(),
+    username: username.toLowerCase(),
+    passwordHash: await hashPassword(password),
+    role,
+    createdAt: new Date()
+  };
+}
+
+/**
+ * Create a user account
+ * @param {Object} user - Account fields
+ * @param {string} user.username - Unique username
+ * @param {string} user.password - Plaintext password
+ * @param {string} [user.role] - Role ('user' or 'admin')
+ * @returns {Promise<Object>} - Created user
+ */
+export async function createUser({ username, password, role = 'user' }) {
+  const collection = await getUserCollection();
+  const doc = await buildUserDocument({ username, password, role });
+
+  await collection.insertOne(doc);
+  console.log(`[Users] Account created: ${doc.username} (${doc.role})`);
+  return toPublicUser(doc);
+}
+
+/**
+ * Check credentials and return the matching user
+ * @param {string} username - Username
+ * @param {string} password - Plaintext password
+ * @returns {Promise<Object|null>} - User or null if the credentials are invalid
+ */
+export async function authenticateUser(username, password) {
+  const collection = await getUserCollection();
+  const doc = await collection.findOne({ username: String(username).toLowerCase() });
+
+  if (!doc) {
+    await verifyPassword(password, await dummyPasswordHash);
+    return null;
+  }
+
+  if (!(await verifyPassword(password, doc.passwordHash))) {
+    return null;
+  }
+
+  return toPublicUser(doc);
+}
+
+/**
+ * Get a user by ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - User or null if not found
+ */
+export async function getUser(userId) {
+  const collection = await getUserCollection();
+  const doc = await collection.findOne({ userId });
+  return doc ? toPublicUser(doc) : null;
+}
+
+/**
+ * List all users
+ * @returns {Promise<Array>} - Users sorted by username
+ */
+export async function listUsers() {
+  const collection = await getUserCollection();
+  const docs = await collection.find({}).sort({ username: 1 }).toArray();
+  return docs.map(toPublicUser);
+}
+
+/**
+ * Create the admin account configured with AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD
+ * Runs at startup; an existing account with that username is left untouched
+ * (the upsert makes concurrent starts create it only once)
+ * @returns {Promise<boolean>} - True if the account was created
+ */
+export async function ensureAdminAccount() {
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    return false;
+  }
+
+  const collection = await getUserCollection();
+  const doc = await buildUserDocument({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+
+  const result = await collection.updateOne(
+    { username: doc.username },
+    { $setOnInsert: doc },
+    { upsert: true }
+  );
+
+  if (result.upsertedCount > 0) {
+    console.log(`[Users] Admin account created: ${doc.username}`);
+  }
+  return result.upsertedCount > 0;
+}
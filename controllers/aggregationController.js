@@ -3,6 +3,7 @@
  * Handles MongoDB aggregation pipeline operations
  */
 import { getMongoClient } from '../config/db.js';
+import { recordQuery } from './queryController.js';
 
 /**
  * Execute aggregation pipeline
@@ -11,7 +12,7 @@ import { getMongoClient } from '../config/db.js';
  */
 export const executeAggregation = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { pipeline, options = {} } = req.body;
     
@@ -27,7 +28,7 @@ export const executeAggregation = async (req, res) => {
       return res.error('Pipeline too long (max 50 stages)', 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Execute aggregation with timeout
@@ -38,6 +39,15 @@ export const executeAggregation = async (req, res) => {
     }).toArray();
     const executionTime = Date.now() - startTime;
     
+    recordQuery(req, {
+      type: 'aggregate',
+      dbName,
+      collName,
+      parameters: { pipeline },
+      durationMs: executionTime,
+      resultCount: results.length
+    });
+    
     return res.success({
       results,
       count: results.length,
@@ -58,10 +68,10 @@ export const executeAggregation = async (req, res) => {
  */
 export const getAggregationSuggestions = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Get sample document to suggest fields
@@ -216,7 +226,7 @@ export const validatePipeline = async (req, res) => {
  */
 export const explainAggregation = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { pipeline } = req.body;
     
@@ -224,7 +234,7 @@ export const explainAggregation = async (req, res) => {
       return res.error('Pipeline must be an array', 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Get execution plan
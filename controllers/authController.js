@@ -0,0 +1,179 @@
+/**
+ * Auth Controller
+ * Handles user registration, login and token refresh
+ */
+import { createUser, authenticateUser, getUser, listUsers as listStoredUsers } from '../config/userManager.js';
+import { issueTokens, consumeRefreshToken, revokeUserTokens } from '../config/tokenManager.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Self-registration is opt-in: by default accounts are created by an admin
+const REGISTRATION_ENABLED = process.env.AUTH_ALLOW_REGISTRATION === 'true';
+
+/**
+ * Register a new local account (role 'user')
+ * Disabled unless AUTH_ALLOW_REGISTRATION is 'true'
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const register = async (req, res) => {
+  try {
+    if (!REGISTRATION_ENABLED) {
+      return res.error('Self-registration is disabled, ask an admin to create your account', 403);
+    }
+
+    const { username, password } = req.body;
+    const user = await createUser({ username, password });
+    const tokens = await issueTokens(user);
+
+    return res.success({ user, ...tokens }, 'Account created successfully', 201);
+
+  } catch (error) {
+    console.error('Register error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error('Username is already taken', 409);
+    }
+
+    return res.error(`Failed to register: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Log in with username and password
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const login = async (req, res) => {
+  try {
+    const { username, password } = req.body;
+
+    const user = await authenticateUser(username, password);
+
+    if (!user) {
+      return res.error('Invalid username or password', 401);
+    }
+
+    const tokens = await issueTokens(user);
+
+    return res.success({ user, ...tokens }, 'Logged in successfully');
+
+  } catch (error) {
+    console.error('Login error:', error.message);
+    return res.error(`Failed to log in: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Refresh tokens are single use
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const userId = await consumeRefreshToken(refreshToken);
+    const user = userId ? await getUser(userId) : null;
+
+    if (!user) {
+      return res.error('Invalid or expired refresh token', 401);
+    }
+
+    const tokens = await issueTokens(user);
+
+    return res.success({ user, ...tokens }, 'Tokens refreshed successfully');
+
+  } catch (error) {
+    console.error('Refresh token error:', error.message);
+    return res.error(`Failed to refresh tokens: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Log out by revoking a refresh token (or all of the user's refresh tokens)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken, all = false } = req.body;
+
+    if (all) {
+      const revoked = await revokeUserTokens(req.user.userId);
+      return res.success({ revoked }, 'Logged out from all devices');
+    }
+
+    // Only the caller's own refresh tokens can be revoked
+    if (refreshToken) {
+      await consumeRefreshToken(refreshToken, req.user.userId);
+    }
+
+    return res.success(null, 'Logged out successfully');
+
+  } catch (error) {
+    console.error('Logout error:', error.message);
+    return res.error(`Failed to log out: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get the current user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getCurrentUser = async (req, res) => {
+  try {
+    const user = await getUser(req.user.userId);
+
+    if (!user) {
+      return res.error('User not found', 404);
+    }
+
+    return res.success(user, 'User retrieved successfully');
+
+  } catch (error) {
+    console.error('Get current user error:', error.message);
+    return res.error(`Failed to get user: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Create an account (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createUserAccount = async (req, res) => {
+  try {
+    const user = await createUser(req.body);
+
+    return res.success(user, `User '${user.username}' created successfully`, 201);
+
+  } catch (error) {
+    console.error('Create user error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error('Username is already taken', 409);
+    }
+
+    return res.error(`Failed to create user: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * List all accounts (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listUsers = async (req, res) => {
+  try {
+    const users = await listStoredUsers();
+
+    return res.success(users, 'Users retrieved successfully');
+
+  } catch (error) {
+    console.error('List users error:', error.message);
+    return res.error(`Failed to list users: ${error.message}`, error.statusCode || 500);
+  }
+};
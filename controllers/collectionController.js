@@ -3,20 +3,23 @@
  * Handles MongoDB collection operations
  */
 import { getMongoClient } from '../config/db.js';
+import { findBucketNames, getGridFSRole } from '../utils/gridfs.js';
 
 /**
  * List all collections in a database
+ * Collections of GridFS buckets are marked with gridfs: { bucket, role }
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const listCollections = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName } = req.params;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     const collections = await db.listCollections().toArray();
+    const bucketNames = findBucketNames(collections.map(coll => coll.name));
     
     // Enhance each collection with size and document count
     const enhancedCollections = await Promise.all(
@@ -27,6 +30,7 @@ export const listCollections = async (req, res) => {
           const stats = await db.command({ collStats: coll.name });
           return {
             ...coll,
+            gridfs: getGridFSRole(coll.name, bucketNames),
             count,
             size: stats.size || 0,
             avgObjSize: stats.avgObjSize || 0
@@ -35,6 +39,7 @@ export const listCollections = async (req, res) => {
           // Fallback if stats fail
           return {
             ...coll,
+            gridfs: getGridFSRole(coll.name, bucketNames),
             count: 0,
             size: 0,
             error: 'Could not retrieve stats'
@@ -57,10 +62,10 @@ export const listCollections = async (req, res) => {
  */
 export const getCollectionStats = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     
     // Use db.command() with collStats instead of .stats()
@@ -81,11 +86,11 @@ export const getCollectionStats = async (req, res) => {
  */
 export const createCollection = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName } = req.params;
     const { collName, options } = req.body;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     await db.createCollection(collName, options || {});
     
@@ -104,7 +109,7 @@ export const createCollection = async (req, res) => {
  */
 export const dropCollection = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     
     // Prevent dropping system collections
@@ -112,7 +117,7 @@ export const dropCollection = async (req, res) => {
       return res.error(`Cannot drop system collection '${collName}'`, 403);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     await db.collection(collName).drop();
     
@@ -131,7 +136,7 @@ export const dropCollection = async (req, res) => {
  */
 export const renameCollection = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { newName } = req.body;
     const { dbName, collName } = req.params;
     
@@ -144,7 +149,7 @@ export const renameCollection = async (req, res) => {
       return res.error(`Cannot rename system collection '${collName}'`, 403);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     await db.collection(collName).rename(newName);
     
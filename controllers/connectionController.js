@@ -2,9 +2,10 @@
  * Connection Controller
  * Handles MongoDB connection management operations
  */
-import { getMongoClient, closeMongoClient, getActiveConnections } from '../config/db.js';
-// Use database-backed session manager for serverless persistence
-import { createSession, deleteSession, getActiveSessions } from '../config/sessionManagerDB.js';
+import { getMongoClient, closeMongoClient, getActiveConnections, getConnectionHealth } from '../config/db.js';
+import { createSession, deleteSession, getActiveSessions, getSession } from '../config/sessionManager.js';
+import { isAdmin } from '../middleware/authMiddleware.js';
+import { inspectConnectionString as inspect } from '../utils/connectionString.js';
 
 /**
  * Test and establish a MongoDB connection
@@ -14,45 +15,82 @@ import { createSession, deleteSession, getActiveSessions } from '../config/sessi
  */
 export const connectToDatabase = async (req, res) => {
   try {
-    const { connStr } = req.body;
+    const { connStr, mode = 'readWrite', options = {} } = req.body;
     
     if (!connStr) {
       return res.error('Connection string is required', 400);
     }
     
-    // Test connection
-    const client = await getMongoClient(connStr);
-    
-    // Get server information
-    const admin = client.db().admin();
-    const serverInfo = await admin.serverStatus();
+    const connection = await establishSession(connStr, { userId: req.user.userId, mode, options });
     
-    // Create session and return session ID (now async with DB storage)
-    const sessionId = await createSession(connStr);
-    
-    // Return connection information with session ID
-    return res.success({
-      sessionId,
-      connected: true,
-      serverInfo: {
-        version: serverInfo.version,
-        uptime: serverInfo.uptime,
-        host: serverInfo.host,
-        process: serverInfo.process,
-        connections: {
-          current: serverInfo.connections?.current,
-          available: serverInfo.connections?.available
-        }
-      }
-    }, 'Successfully connected to MongoDB');
+    return res.success(connection, 'Successfully connected to MongoDB');
     
   } catch (error) {
     console.error('Connection error:', error.message);
-    return res.error(`Failed to connect: ${error.message}`, 500);
+    return res.error(`Failed to connect: ${error.message}`, error.statusCode || 500);
   }
 };
 
+/**
+ * Connect to MongoDB and create a session for the connection
+ * Shared by every route that opens a session
+ * @param {string} connStr - MongoDB connection string
+ * @param {Object} [metadata] - Extra session data kept alongside the connection string
+ * @returns {Promise<Object>} - Session ID and server information
+ */
+export async function establishSession(connStr, metadata = {}) {
+  // Test connection
+  const client = await getMongoClient(connStr, metadata.options);
+  
+  // Get server information
+  const admin = client.db().admin();
+  const serverInfo = await admin.serverStatus();
+  
+  // Create session and return session ID
+  const sessionId = await createSession(connStr, metadata);
+  
+  // Return connection information with session ID
+  return {
+    sessionId,
+    connected: true,
+    mode: metadata.mode || 'readWrite',
+    options: metadata.options || {},
+    serverInfo: {
+      version: serverInfo.version,
+      uptime: serverInfo.uptime,
+      host: serverInfo.host,
+      process: serverInfo.process,
+      connections: {
+        current: serverInfo.connections?.current,
+        available: serverInfo.connections?.available
+      }
+    }
+  };
+}
+
+
 
+/**
+ * Parse a connection string without connecting
+ * Reports hosts, credentials (redacted), options with their meaning, errors and warnings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const inspectConnectionString = async (req, res) => {
+  try {
+    const { connStr } = req.body;
+    
+    const inspection = inspect(connStr);
+    
+    return res.success(inspection, inspection.valid
+      ? 'Connection string is valid'
+      : 'Connection string has errors');
+    
+  } catch (error) {
+    console.error('Inspect connection string error:', error.message);
+    return res.error(`Failed to inspect connection string: ${error.message}`, 500);
+  }
+};
 
 /**
  * Disconnect from a MongoDB instance (close session)
@@ -67,18 +105,46 @@ export const disconnectFromDatabase = async (req, res) => {
       return res.error('Session ID is required', 400);
     }
     
-    // Delete session
-    const deleted = deleteSession(sessionId);
+    const session = await getSession(sessionId);
     
-    if (deleted) {
-      return res.success(null, 'Successfully disconnected from MongoDB');
-    } else {
+    if (!session || session.metadata.userId !== req.user.userId) {
       return res.error('Session not found', 404);
     }
     
+    // Delete session
+    await deleteSession(sessionId);
+    
+    return res.success(null, 'Successfully disconnected from MongoDB');
+    
   } catch (error) {
     console.error('Disconnection error:', error.message);
-    return res.error(`Failed to disconnect: ${error.message}`, 500);
+    return res.error(`Failed to disconnect: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Revoke a session by ID
+ * Users can revoke their own sessions, admins can revoke any session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const sessions = await getActiveSessions(isAdmin(req) ? {} : { userId: req.user.userId });
+    
+    if (!sessions.some(session => session.sessionId === sessionId)) {
+      return res.error('Session not found', 404);
+    }
+    
+    await deleteSession(sessionId);
+    
+    return res.success({ sessionId }, 'Session revoked successfully');
+    
+  } catch (error) {
+    console.error('Revoke session error:', error.message);
+    return res.error(`Failed to revoke session: ${error.message}`, error.statusCode || 500);
   }
 };
 
@@ -95,13 +161,13 @@ export const validateSession = async (req, res) => {
       return res.error('Session ID is required', 400);
     }
     
-    const { getConnectionString } = await import('../config/sessionManagerDB.js');
-    const connStr = await getConnectionString(sessionId);
+    const session = await getSession(sessionId);
     
-    if (connStr) {
+    if (session && session.metadata.userId === req.user.userId) {
       return res.success({
         valid: true,
-        sessionId
+        sessionId,
+        mode: session.metadata.mode || 'readWrite'
       }, 'Session is valid');
     } else {
       return res.error('Session is invalid or expired', 401);
@@ -113,13 +179,52 @@ export const validateSession = async (req, res) => {
 };
 
 /**
- * Get all active sessions
+ * Get the health of the MongoDB client behind the current session
+ * Reports topology, heartbeat, pool and circuit breaker state tracked from driver events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSessionConnectionHealth = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    
+    const health = getConnectionHealth(connStr, connOptions);
+    
+    if (!health) {
+      return res.success({
+        connected: false
+      }, 'No open connection for this session, it is created on the next request');
+    }
+    
+    return res.success({
+      connected: true,
+      ...health
+    }, 'Connection health retrieved successfully');
+  } catch (error) {
+    console.error('Get connection health error:', error.message);
+    return res.error(`Failed to get connection health: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get active sessions
+ * Regular users only see their own sessions, admins get the global view
+ * including pooled MongoDB connections
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getSessions = async (req, res) => {
   try {
-    const sessions = getActiveSessions();
+    if (!isAdmin(req)) {
+      const sessions = await getActiveSessions({ userId: req.user.userId });
+      
+      return res.success({
+        sessions,
+        totalSessions: sessions.length
+      }, 'Active sessions retrieved successfully');
+    }
+    
+    const sessions = await getActiveSessions();
     const connections = getActiveConnections();
     
     return res.success({
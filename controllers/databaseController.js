@@ -11,9 +11,9 @@ import { getMongoClient } from '../config/db.js';
  */
 export const listDatabases = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const admin = client.db().admin();
     const { databases } = await admin.listDatabases();
     
@@ -57,10 +57,10 @@ export const listDatabases = async (req, res) => {
  */
 export const getDatabaseInfo = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName } = req.params;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     const stats = await db.stats();
     
@@ -79,12 +79,12 @@ export const getDatabaseInfo = async (req, res) => {
  */
 export const createDatabase = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName } = req.params;
     
     // In MongoDB, databases are created when a collection is added
     // So we create a temporary collection
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const db = client.db(dbName);
     await db.createCollection('_temp_init_collection');
     
@@ -103,7 +103,7 @@ export const createDatabase = async (req, res) => {
  */
 export const dropDatabase = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName } = req.params;
     
     // Prevent dropping admin or config databases
@@ -111,7 +111,7 @@ export const dropDatabase = async (req, res) => {
       return res.error(`Cannot drop system database '${dbName}'`, 403);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     await client.db(dbName).dropDatabase();
     
     return res.success(null, `Database '${dbName}' dropped successfully`);
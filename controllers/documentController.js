@@ -2,98 +2,403 @@
  * Document Controller
  * Handles MongoDB document operations
  */
-import { getMongoClient } from '../config/db.js';
 import { ObjectId } from 'mongodb';
+import { getMongoClient } from '../config/db.js';
+import { recordHistory, recordPreviousVersions } from './historyController.js';
+import { recordQuery } from './queryController.js';
+import { validateAgainstCollection, describeValidation } from './validatorController.js';
+import { parseDocumentId } from '../utils/documentId.js';
+import { isPlainObject, stringifyExtendedJson } from '../utils/ejson.js';
+import { parseQueryText } from '../utils/shellSyntax.js';
+import { JSON_PATCH_TYPE, MERGE_PATCH_TYPE, applyJsonPatch, applyMergePatch, buildPatchUpdate, listTestedFields } from '../utils/jsonPatch.js';
+import { computeDocumentEtag, matchesIfMatch } from '../utils/documentEtag.js';
+import { buildMatchFilter, buildReplaceStage } from '../utils/findReplace.js';
+import { parseSearchTerms, findTextIndex, buildRegexSearchFilter, collectStringPaths, highlightDocument } from '../utils/textSearch.js';
+import { normalizeSort, toSortSpec, queryFingerprint, encodeCursor, decodeCursor, buildKeysetFilter } from '../utils/pagination.js';
+import { applyUpdateOperators } from '../utils/updateOperators.js';
 
 /**
  * Query documents with pagination, sorting, and filtering
+ * Two pagination modes are supported:
+ * - offset (default): page/pageSize with skip(), fine for small collections
+ * - keyset: an opaque cursor from the previous page, see utils/pagination.js
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const queryDocuments = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { 
       filter = {}, 
       projection = null, 
       sort = {}, 
       page = 1, 
-      pageSize = 25 
+      pageSize = 25,
+      cursor = null
     } = req.body;
     
-    const client = await getMongoClient(connStr);
-    const collection = client.db(dbName).collection(collName);
+    // A cursor always means keyset pagination
+    const paginationMode = cursor ? 'keyset' : (req.body.pagination || 'offset');
+    const countMode = req.body.count || (paginationMode === 'keyset' ? 'estimate' : 'exact');
     
-    // Parse string filter to object if needed
-    let parsedFilter = filter;
-    if (typeof filter === 'string') {
-      try {
-        parsedFilter = JSON.parse(filter);
-      } catch (err) {
-        return res.error('Invalid filter JSON', 400);
-      }
+    // Parse and sanitize filter to prevent NoSQL injection
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
     }
     
-    // Sanitize filter to prevent NoSQL injection
-    parsedFilter = sanitizeFilter(parsedFilter);
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    if (paginationMode === 'keyset') {
+      return await queryDocumentsByKeyset(req, res, collection, {
+        filter: parsedFilter,
+        projection,
+        sort,
+        pageSize: Math.min(pageSize, 100),
+        cursor,
+        countMode
+      });
+    }
     
     // Calculate skip value for pagination
     const skip = (Math.max(1, page) - 1) * pageSize;
     
     // Query documents with pagination
-    const cursor = collection
+    const startTime = Date.now();
+    const cursorResult = collection
       .find(parsedFilter, { projection })
       .sort(sort)
       .skip(skip)
       .limit(Math.min(pageSize, 100)); // Max 100 per page
     
-    const documents = await cursor.toArray();
+    const documents = await cursorResult.toArray();
     
     // Get total count for pagination
-    const total = await collection.countDocuments(parsedFilter);
+    const { total, estimated } = await countDocuments(collection, parsedFilter, countMode);
+    
+    recordQuery(req, {
+      type: 'find',
+      dbName,
+      collName,
+      parameters: { filter: parsedFilter, projection, sort },
+      durationMs: Date.now() - startTime,
+      resultCount: documents.length
+    });
     
     return res.success({
       documents,
       pagination: {
+        mode: 'offset',
         total,
+        totalIsEstimate: estimated,
         page,
         pageSize,
-        totalPages: Math.ceil(total / pageSize)
+        totalPages: total === null ? null : Math.ceil(total / pageSize)
       }
     }, 'Documents retrieved successfully');
     
   } catch (error) {
     console.error('Query documents error:', error.message);
-    return res.error(`Failed to query documents: ${error.message}`, 500);
+    return res.error(`Failed to query documents: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+// Documents sampled to discover string fields for the regex fallback
+const SEARCH_FIELD_SAMPLE_SIZE = 50;
+// Name of the projected $text score, removed from the returned documents
+const TEXT_SCORE_FIELD = '__textScore';
+
+/**
+ * Search documents for words typed by the user
+ * Uses the collection's text index when there is one ($text, results sorted
+ * by relevance). Otherwise, or with mode 'regex', runs a case-insensitive
+ * regex over the given string fields (discovered from a sample when none
+ * are given), scanning at most maxScan documents. Every result carries a
+ * score, the matched field paths and highlighted snippets.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const searchDocuments = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const {
+      q,
+      fields = [],
+      filter = {},
+      mode = 'auto',
+      page = 1,
+      pageSize = 25,
+      maxScan = 10000,
+      snippetLength = 120
+    } = req.body;
+    
+    const terms = parseSearchTerms(q);
+    if (terms.words.length + terms.phrases.length === 0) {
+      return res.error('Search text must contain at least one word or phrase', 400);
+    }
+    
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    const textIndex = mode === 'regex' ? null : findTextIndex(await collection.indexes());
+    if (mode === 'text' && !textIndex) {
+      return res.error('Collection has no text index, use mode auto or regex', 400);
+    }
+    
+    const skip = (page - 1) * pageSize;
+    const withFilter = (search) => (Object.keys(parsedFilter).length > 0 ? { $and: [parsedFilter, search] } : search);
+    const toResult = (document, score, highlightFields) => {
+      const { matchedFields, highlights, hits } = highlightDocument(document, terms, { fields: highlightFields, snippetLength });
+      return { document, score: score ?? hits, matchedFields, highlights };
+    };
+    
+    if (textIndex) {
+      const searchFilter = withFilter({ $text: { $search: q } });
+      const highlightFields = fields.length > 0 ? fields : (textIndex.wildcard ? null : textIndex.fields);
+      
+      const [documents, { total }] = await Promise.all([
+        collection
+          .find(searchFilter, { projection: { [TEXT_SCORE_FIELD]: { $meta: 'textScore' } } })
+          .sort({ [TEXT_SCORE_FIELD]: { $meta: 'textScore' }, _id: 1 })
+          .skip(skip)
+          .limit(pageSize)
+          .toArray(),
+        countDocuments(collection, searchFilter, 'exact')
+      ]);
+      
+      return res.success({
+        mode: 'text',
+        index: textIndex.name,
+        results: documents.map(({ [TEXT_SCORE_FIELD]: score, ...document }) => toResult(document, score, highlightFields)),
+        pagination: {
+          mode: 'offset',
+          total,
+          totalIsEstimate: false,
+          page,
+          pageSize,
+          totalPages: Math.ceil(total / pageSize)
+        }
+      }, 'Search completed successfully');
+    }
+    
+    // No text index: bounded regex scan over string fields
+    const searchFields = fields.length > 0
+      ? fields
+      : collectStringPaths(await collection.find(parsedFilter).limit(SEARCH_FIELD_SAMPLE_SIZE).toArray());
+    
+    let scanned = 0;
+    let total = 0;
+    let documents = [];
+    
+    if (searchFields.length > 0) {
+      const regexFilter = buildRegexSearchFilter(terms, searchFields);
+      const scan = [{ $match: parsedFilter }, { $limit: maxScan }];
+      
+      // Counts and page run separately: a $facet holding the page would be one result
+      // document, limited to 16 MB
+      const [[counts], pageDocuments] = await Promise.all([
+        collection.aggregate([
+          ...scan,
+          {
+            $facet: {
+              scanned: [{ $count: 'count' }],
+              total: [{ $match: regexFilter }, { $count: 'count' }]
+            }
+          }
+        ]).toArray(),
+        collection.aggregate([...scan, { $match: regexFilter }, { $skip: skip }, { $limit: pageSize }]).toArray()
+      ]);
+      
+      scanned = counts.scanned[0]?.count || 0;
+      total = counts.total[0]?.count || 0;
+      documents = pageDocuments;
+    }
+    
+    return res.success({
+      mode: 'regex',
+      index: null,
+      fields: searchFields,
+      results: documents.map(document => toResult(document, null, searchFields)),
+      scanned,
+      scanLimitReached: scanned >= maxScan,
+      pagination: {
+        mode: 'offset',
+        total,
+        totalIsEstimate: scanned >= maxScan,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    }, 'Search completed successfully');
+    
+  } catch (error) {
+    console.error('Search documents error:', error.message);
+    return res.error(`Failed to search documents: ${error.message}`, error.statusCode || 500);
   }
 };
 
+/**
+ * Fetch one page with keyset pagination
+ * One extra document is read to know whether another page exists
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {import('mongodb').Collection} collection - Collection to query
+ * @param {Object} query - Parsed query (filter, projection, sort, pageSize, cursor, countMode)
+ */
+async function queryDocumentsByKeyset(req, res, collection, { filter, projection, sort, pageSize, cursor, countMode }) {
+  const sortKeys = normalizeSort(sort);
+  const fingerprint = queryFingerprint(filter, sortKeys);
+  
+  let pageFilter = filter;
+  if (cursor) {
+    const values = decodeCursor(cursor, sortKeys, fingerprint);
+    const range = buildKeysetFilter(sortKeys, values);
+    pageFilter = Object.keys(filter).length > 0 ? { $and: [filter, range] } : range;
+  }
+  
+  // The sort fields are needed to build the next cursor even if the projection hides them
+  const { projection: effectiveProjection, addedFields } = includeSortFields(projection, sortKeys);
+  
+  const startTime = Date.now();
+  const [results, { total, estimated }] = await Promise.all([
+    collection
+      .find(pageFilter, { projection: effectiveProjection })
+      .sort(toSortSpec(sortKeys))
+      .limit(pageSize + 1)
+      .toArray(),
+    countDocuments(collection, filter, countMode)
+  ]);
+  
+  const hasMore = results.length > pageSize;
+  const documents = hasMore ? results.slice(0, pageSize) : results;
+  const nextCursor = hasMore ? encodeCursor(documents[documents.length - 1], sortKeys, fingerprint) : null;
+  
+  for (const doc of documents) {
+    addedFields.forEach(field => removeField(doc, field));
+  }
+  
+  recordQuery(req, {
+    type: 'find',
+    dbName: req.params.dbName,
+    collName: req.params.collName,
+    parameters: { filter, projection, sort },
+    durationMs: Date.now() - startTime,
+    resultCount: documents.length
+  });
+  
+  return res.success({
+    documents,
+    pagination: {
+      mode: 'keyset',
+      pageSize,
+      hasMore,
+      nextCursor,
+      total,
+      totalIsEstimate: estimated
+    }
+  }, 'Documents retrieved successfully');
+}
+
+/**
+ * Count the documents of a query
+ * @param {import('mongodb').Collection} collection - Collection
+ * @param {Object} filter - Query filter
+ * @param {string} countMode - 'exact', 'estimate' (metadata count, only without filter) or 'none'
+ * @returns {Promise<Object>} - { total, estimated }, total is null when not counted
+ */
+async function countDocuments(collection, filter, countMode) {
+  if (countMode === 'exact') {
+    return { total: await collection.countDocuments(filter), estimated: false };
+  }
+  
+  if (countMode === 'estimate' && Object.keys(filter).length === 0) {
+    return { total: await collection.estimatedDocumentCount(), estimated: true };
+  }
+  
+  return { total: null, estimated: false };
+}
+
+/**
+ * Make sure an inclusion projection returns the sort fields
+ * @param {Object|null} projection - Requested projection
+ * @param {Array<[string, number]>} sortKeys - Sort keys
+ * @returns {Object} - { projection, addedFields } where addedFields must be removed from the results
+ */
+function includeSortFields(projection, sortKeys) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return { projection, addedFields: [] };
+  }
+  
+  const effective = { ...projection };
+  const addedFields = [];
+  const isInclusion = Object.entries(projection).some(([field, value]) => field !== '_id' && (value === 1 || value === true));
+  
+  for (const [field] of sortKeys) {
+    if (isInclusion ? !(field in effective) || !effective[field] : field in effective) {
+      if (isInclusion) {
+        effective[field] = 1;
+      } else {
+        delete effective[field];
+      }
+      addedFields.push(field);
+    }
+  }
+  
+  return { projection: effective, addedFields };
+}
+
+/**
+ * Remove a (possibly dotted) field from a document
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ */
+function removeField(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => current?.[key], doc);
+  
+  if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
 /**
  * Get a specific document by ID
+ * The :id parameter accepts any _id type, see utils/documentId.js
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const getDocumentById = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName, id } = req.params;
     
-    let objectId;
+    // Typed _id: Extended JSON, ObjectId hex or string, or an explicit idType hint
+    let documentId;
     try {
-      objectId = new ObjectId(id);
+      documentId = parseDocumentId(id, req.query.idType);
     } catch (err) {
-      return res.error('Invalid document ID format', 400);
+      return res.error(err.message, 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
-    const document = await collection.findOne({ _id: objectId });
+    const document = await collection.findOne({ _id: documentId });
     
     if (!document) {
       return res.error('Document not found', 404);
     }
     
+    // Sent back in If-Match to update or delete only this version
+    res.set('ETag', computeDocumentEtag(document));
     return res.success(document, 'Document retrieved successfully');
     
   } catch (error) {
@@ -104,21 +409,28 @@ export const getDocumentById = async (req, res) => {
 
 /**
  * Insert one or more documents
+ * With ?validateOnly=true the documents are only checked against the
+ * collection validator, see validatorController.js
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const insertDocuments = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { documents } = req.body;
     const { dbName, collName } = req.params;
     
     // Check if documents is an array or single document
     const isArray = Array.isArray(documents);
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
+    if (req.query.validateOnly) {
+      const report = await validateAgainstCollection(client.db(dbName), collName, isArray ? documents : [documents]);
+      return res.success({ validateOnly: true, ...report }, describeValidation(report));
+    }
+    
     let result;
     if (isArray) {
       // Insert many documents
@@ -141,97 +453,753 @@ export const insertDocuments = async (req, res) => {
   }
 };
 
+/**
+ * Create the error of a failed If-Match precondition
+ * @param {Object|null} current - Current document, null if it no longer exists
+ * @returns {Error} - Error with statusCode 412 and the current document
+ */
+function preconditionFailedError(current) {
+  const error = new Error(current ? 'Document was modified since it was read' : 'Document no longer exists');
+  error.statusCode = 412;
+  error.currentDocument = current;
+  return error;
+}
+
+/**
+ * Check the If-Match header of a request against the current document
+ * Does nothing when the request has no If-Match header
+ * @param {Object} req - Express request object
+ * @param {Object|null} current - Current document, null if it does not exist
+ * @throws {Error} - With statusCode 412 if the ETag does not match
+ */
+function assertIfMatch(req, current) {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch && !matchesIfMatch(ifMatch, current && computeDocumentEtag(current))) {
+    throw preconditionFailedError(current);
+  }
+}
+
+/**
+ * Build a filter matching a document only while it is unchanged
+ * Closes the gap between the If-Match check and the write
+ * @param {Object} current - Document as read
+ * @returns {Object} - MongoDB filter
+ */
+function unchangedFilter(current) {
+  return { _id: current._id, $expr: { $eq: ['$$ROOT', { $literal: current }] } };
+}
+
+/**
+ * Send a 412 response with the current document and its ETag
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from preconditionFailedError
+ */
+function sendPreconditionFailed(res, error) {
+  const current = error.currentDocument;
+  const etag = current ? computeDocumentEtag(current) : null;
+
+  if (etag) {
+    res.set('ETag', etag);
+  }
+
+  return res.error(error.message, 412, null, { currentDocument: current, etag });
+}
+
+/**
+ * Read the ETag of a document after a write
+ * @param {import('mongodb').Collection} collection - Collection of the document
+ * @param {*} documentId - Document _id
+ * @returns {Promise<string|null>} - ETag, null if the document does not exist
+ */
+async function readEtag(collection, documentId) {
+  const document = await collection.findOne({ _id: documentId });
+  return document ? computeDocumentEtag(document) : null;
+}
+
+// Attempts of a patch when the document keeps changing between read and write
+const MAX_PATCH_ATTEMPTS = 3;
+
+/**
+ * Apply a JSON Patch or JSON Merge Patch body to a document
+ * The patch is applied to the current document and written as the minimal
+ * update guarded on the values it was computed from; if the document changed
+ * in the meantime the patch is re-applied to the new version. With If-Match
+ * the patch only applies to that exact version of the document.
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} collection - Collection of the document
+ * @param {*} documentId - Document _id
+ * @param {string} patchType - JSON_PATCH_TYPE or MERGE_PATCH_TYPE
+ * @returns {Promise<Object>} - { matchedCount, modifiedCount, update }
+ * @throws {Error} - With statusCode 404 if the document does not exist, 409 if a test
+ *   operation fails or the document keeps changing, 412 if If-Match does not match,
+ *   400/422 for invalid patches
+ */
+async function patchDocument(req, collection, documentId, patchType) {
+  for (let attempt = 1; attempt <= MAX_PATCH_ATTEMPTS; attempt++) {
+    const current = await collection.findOne({ _id: documentId });
+
+    assertIfMatch(req, current);
+
+    if (!current) {
+      const error = new Error('Document not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const patched = patchType === JSON_PATCH_TYPE
+      ? applyJsonPatch(current, req.body)
+      : applyMergePatch(current, req.body);
+    // Fields checked by test operations are guarded too, so their precondition still holds when the write happens
+    const checkedFields = patchType === JSON_PATCH_TYPE ? listTestedFields(req.body) : [];
+    const { update, guard } = buildPatchUpdate(current, patched, checkedFields);
+
+    if (Object.keys(update).length === 0) {
+      return { matchedCount: 1, modifiedCount: 0, update };
+    }
+
+    const filter = req.get('If-Match') ? unchangedFilter(current) : { ...guard, _id: documentId };
+    const previous = await collection.findOneAndUpdate(filter, update, { returnDocument: 'before' });
+
+    if (previous) {
+      // Keep the previous version when document history is enabled
+      await recordPreviousVersions(req, collection, 'patch', [previous]);
+      return { matchedCount: 1, modifiedCount: 1, update };
+    }
+  }
+
+  const error = new Error('Document was modified concurrently, retry the patch');
+  error.statusCode = 409;
+  throw error;
+}
+
+/**
+ * Compute the document an update would produce, without writing it
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} collection - Collection of the document
+ * @param {*} documentId - Document _id
+ * @param {string|false} patchType - JSON_PATCH_TYPE, MERGE_PATCH_TYPE or false for { update }
+ * @returns {Promise<Object>} - { current, updated }
+ * @throws {Error} - With statusCode 404 if the document does not exist, 412 if If-Match
+ *   does not match, 400 for updates that cannot be applied locally
+ */
+async function previewUpdate(req, collection, documentId, patchType) {
+  const current = await collection.findOne({ _id: documentId });
+
+  assertIfMatch(req, current);
+
+  if (!current) {
+    const error = new Error('Document not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  let updated;
+  if (patchType === JSON_PATCH_TYPE) {
+    updated = applyJsonPatch(current, req.body);
+  } else if (patchType === MERGE_PATCH_TYPE) {
+    updated = applyMergePatch(current, req.body);
+  } else if (Object.keys(req.body.update).some(key => key.startsWith('$'))) {
+    updated = applyUpdateOperators(current, req.body.update);
+  } else {
+    // A replacement keeps the _id of the document
+    updated = { _id: current._id, ...req.body.update };
+  }
+
+  return { current, updated };
+}
+
 /**
  * Update a document by ID
+ * The :id parameter accepts any _id type, see utils/documentId.js
+ * The body is picked by content type:
+ * - application/json: { update } with update operators, or a full replacement
+ * - application/json-patch+json: a JSON Patch (RFC 6902) array of operations
+ * - application/merge-patch+json: a JSON Merge Patch (RFC 7396) object
+ * With an If-Match header (ETag from getDocumentById) the update only applies
+ * if the document is unchanged, otherwise 412 is returned with the current document
+ * With ?validateOnly=true nothing is written: the updated document is checked
+ * against the collection validator and returned with the violations
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const updateDocument = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
-    const { update } = req.body;
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName, id } = req.params;
+    const patchType = req.is(JSON_PATCH_TYPE, MERGE_PATCH_TYPE);
+    const update = patchType ? null : req.body.update;
     
-    if (!update) {
+    if (!patchType && !update) {
       return res.error('Update data is required', 400);
     }
     
-    let objectId;
+    // Typed _id: Extended JSON, ObjectId hex or string, or an explicit idType hint
+    let documentId;
     try {
-      objectId = new ObjectId(id);
+      documentId = parseDocumentId(id, req.query.idType);
     } catch (err) {
-      return res.error('Invalid document ID format', 400);
+      return res.error(err.message, 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
+    if (req.query.validateOnly) {
+      const { current, updated } = await previewUpdate(req, collection, documentId, patchType);
+      const report = await validateAgainstCollection(client.db(dbName), collName, [updated], [current]);
+      return res.success({ validateOnly: true, ...report, document: updated }, describeValidation(report));
+    }
+    
+    if (patchType) {
+      const result = await patchDocument(req, collection, documentId, patchType);
+      const etag = await readEtag(collection, documentId);
+      if (etag) {
+        res.set('ETag', etag);
+      }
+      return res.success({ ...result, etag }, 'Document patched successfully');
+    }
+    
+    // Optimistic concurrency: only write the version the caller has seen
+    let filter = { _id: documentId };
+    if (req.get('If-Match')) {
+      const current = await collection.findOne({ _id: documentId });
+      assertIfMatch(req, current);
+      filter = unchangedFilter(current);
+    }
+    
     // Check if update has MongoDB operators (like $set, $unset, etc.)
     const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
     
-    let result;
+    // The version before the write is returned, so history only records changes that happened
+    let previous;
     if (hasOperators) {
-      // Use updateOne for operator-based updates
-      result = await collection.updateOne(
-        { _id: objectId },
-        update
-      );
+      // Use findOneAndUpdate for operator-based updates
+      previous = await collection.findOneAndUpdate(filter, update, { returnDocument: 'before' });
     } else {
-      // Use replaceOne to completely replace the document (removes fields not in update)
+      // Use findOneAndReplace to completely replace the document (removes fields not in update)
       // This allows field deletion to work properly
-      result = await collection.replaceOne(
-        { _id: objectId },
-        update
-      );
+      previous = await collection.findOneAndReplace(filter, update, { returnDocument: 'before' });
+    }
+    
+    // Changed between the If-Match check and the write
+    if (req.get('If-Match') && !previous) {
+      throw preconditionFailedError(await collection.findOne({ _id: documentId }));
+    }
+    
+    let etag = null;
+    if (previous) {
+      // Keep the previous version when document history is enabled
+      await recordPreviousVersions(req, collection, hasOperators ? 'update' : 'replace', [previous]);
+      etag = await readEtag(collection, documentId);
+    }
+    if (etag) {
+      res.set('ETag', etag);
     }
     
     return res.success({
-      matchedCount: result.matchedCount,
-      modifiedCount: result.modifiedCount,
-      upsertedId: result.upsertedId
+      matchedCount: previous ? 1 : 0,
+      modifiedCount: previous && etag !== computeDocumentEtag(previous) ? 1 : 0,
+      upsertedId: null,
+      etag
     }, 'Document updated successfully');
     
   } catch (error) {
+    if (error.statusCode === 412) {
+      return sendPreconditionFailed(res, error);
+    }
     console.error('Update document error:', error.message);
-    return res.error(`Failed to update document: ${error.message}`, 500);
+    return res.error(`Failed to update document: ${error.message}`, error.statusCode || 500);
   }
 };
 
 /**
  * Delete a document by ID
+ * The :id parameter accepts any _id type, see utils/documentId.js
+ * With an If-Match header the delete only applies if the document is unchanged
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const deleteDocument = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName, id } = req.params;
     
-    let objectId;
+    // Typed _id: Extended JSON, ObjectId hex or string, or an explicit idType hint
+    let documentId;
     try {
-      objectId = new ObjectId(id);
+      documentId = parseDocumentId(id, req.query.idType);
     } catch (err) {
-      return res.error('Invalid document ID format', 400);
+      return res.error(err.message, 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
-    const result = await collection.deleteOne({ _id: objectId });
     
-    if (result.deletedCount === 0) {
+    // Optimistic concurrency: only delete the version the caller has seen
+    let filter = { _id: documentId };
+    if (req.get('If-Match')) {
+      const current = await collection.findOne({ _id: documentId });
+      assertIfMatch(req, current);
+      filter = unchangedFilter(current);
+    }
+    
+    const deleted = await collection.findOneAndDelete(filter);
+    
+    // Changed between the If-Match check and the delete
+    if (req.get('If-Match') && !deleted) {
+      throw preconditionFailedError(await collection.findOne({ _id: documentId }));
+    }
+    
+    if (!deleted) {
       return res.error('Document not found or already deleted', 404);
     }
     
+    // Keep the deleted version when document history is enabled
+    await recordPreviousVersions(req, collection, 'delete', [deleted]);
+    
     return res.success({
-      deletedCount: result.deletedCount
+      deletedCount: 1
     }, 'Document deleted successfully');
     
   } catch (error) {
+    if (error.statusCode === 412) {
+      return sendPreconditionFailed(res, error);
+    }
     console.error('Delete document error:', error.message);
-    return res.error(`Failed to delete document: ${error.message}`, 500);
+    return res.error(`Failed to delete document: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Update all documents matching a filter
+ * With dryRun nothing is written: the matched count and a sample of the
+ * documents that would be updated are returned instead
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateManyDocuments = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const { filter, update, dryRun = false, sampleSize = 10, confirmAll = false } = req.body;
+    
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+    
+    // Bulk updates must use operators or a pipeline, never a replacement document
+    const isPipeline = Array.isArray(update);
+    if (!isPipeline && !Object.keys(update).every(key => key.startsWith('$'))) {
+      return res.error('updateMany requires update operators (e.g. $set) or an update pipeline', 400);
+    }
+    
+    // Refuse to touch the whole collection by accident
+    if (Object.keys(parsedFilter).length === 0 && !confirmAll) {
+      return res.error('Filter matches every document, set confirmAll: true to update the whole collection', 400);
+    }
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    if (dryRun) {
+      const [matchedCount, sample] = await Promise.all([
+        collection.countDocuments(parsedFilter),
+        collection.find(parsedFilter).limit(sampleSize).toArray()
+      ]);
+      
+      return res.success({
+        dryRun: true,
+        matchedCount,
+        sample,
+        filter: parsedFilter,
+        update
+      }, `${matchedCount} document(s) would be updated`);
+    }
+    
+    await recordHistory(req, collection, parsedFilter, 'updateMany');
+    
+    const result = await collection.updateMany(parsedFilter, update);
+    
+    return res.success({
+      dryRun: false,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount
+    }, `${result.modifiedCount} document(s) updated`);
+    
+  } catch (error) {
+    console.error('Update many documents error:', error.message);
+    return res.error(`Failed to update documents: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete all documents matching a filter
+ * With dryRun nothing is deleted: the matched count and a sample of the
+ * documents that would be deleted are returned instead
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteManyDocuments = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const { filter, dryRun = false, sampleSize = 10, confirmAll = false } = req.body;
+    
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+    
+    // Refuse to empty the collection by accident
+    if (Object.keys(parsedFilter).length === 0 && !confirmAll) {
+      return res.error('Filter matches every document, set confirmAll: true to delete the whole collection', 400);
+    }
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    if (dryRun) {
+      const [matchedCount, sample] = await Promise.all([
+        collection.countDocuments(parsedFilter),
+        collection.find(parsedFilter).limit(sampleSize).toArray()
+      ]);
+      
+      return res.success({
+        dryRun: true,
+        matchedCount,
+        sample,
+        filter: parsedFilter
+      }, `${matchedCount} document(s) would be deleted`);
+    }
+    
+    await recordHistory(req, collection, parsedFilter, 'deleteMany');
+    
+    const result = await collection.deleteMany(parsedFilter);
+    
+    return res.success({
+      dryRun: false,
+      deletedCount: result.deletedCount
+    }, `${result.deletedCount} document(s) deleted`);
+    
+  } catch (error) {
+    console.error('Delete many documents error:', error.message);
+    return res.error(`Failed to delete documents: ${error.message}`, error.statusCode || 500);
   }
 };
 
+/**
+ * Find and replace text in a field of every document matching a filter
+ * The field path walks arrays ('tags', 'items.sku'); find is a literal or a
+ * regular expression, whose replacement may use $1, $& and $$. By default
+ * (dryRun) only a preview of the values before and after is returned; with
+ * dryRun: false the change is applied with a pipeline update.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const findAndReplace = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const {
+      filter,
+      field,
+      find,
+      replacement,
+      regex = false,
+      flags = '',
+      replaceAll = true,
+      dryRun = true,
+      sampleSize = 10,
+      confirmAll = false
+    } = req.body;
+    
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+    
+    const options = { find, replacement, regex, flags, replaceAll };
+    const { root, expression } = buildReplaceStage(field, options);
+    const matchFilter = buildMatchFilter(parsedFilter, field, options);
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    if (dryRun) {
+      // Preview with the same expression the update uses
+      const subPath = field.slice(root.length);
+      const [matchedCount, sample] = await Promise.all([
+        collection.countDocuments(matchFilter),
+        collection.aggregate([
+          { $match: matchFilter },
+          { $limit: sampleSize },
+          {
+            $project: {
+              _id: 1,
+              before: `$${field}`,
+              after: { $let: { vars: { updated: expression }, in: `$$updated${subPath}` } }
+            }
+          }
+        ]).toArray()
+      ]);
+      
+      return res.success({
+        dryRun: true,
+        matchedCount,
+        sample,
+        filter: matchFilter
+      }, `${matchedCount} document(s) would be updated`);
+    }
+    
+    // Refuse to rewrite the whole collection by accident
+    if (Object.keys(parsedFilter).length === 0 && !confirmAll) {
+      return res.error('Filter matches every document, set confirmAll: true to replace in the whole collection', 400);
+    }
+    
+    await recordHistory(req, collection, matchFilter, 'findReplace');
+    
+    const result = await collection.updateMany(matchFilter, [{ $set: { [root]: expression } }]);
+    
+    return res.success({
+      dryRun: false,
+      matchedCount: result.matchedCount,
+      modifiedCount: result.modifiedCount
+    }, `${result.modifiedCount} document(s) updated`);
+    
+  } catch (error) {
+    console.error('Find and replace error:', error.message);
+    return res.error(`Failed to find and replace: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Copy the documents matching a filter (or a list of IDs) to another collection
+ * The target may be in another database of the same connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const copyDocuments = (req, res) => transferDocuments(req, res, false);
+
+/**
+ * Move the documents matching a filter (or a list of IDs) to another collection
+ * Each batch is written to the target before it is deleted from the source, so
+ * an interrupted move never loses documents (the last batch may exist in both)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const moveDocuments = (req, res) => transferDocuments(req, res, true);
+
+/**
+ * Copy or move documents in batches of batchSize
+ * _id conflicts in the target are skipped, overwritten or inserted with a new ObjectId (onConflict)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} move - Delete the documents from the source once written
+ */
+async function transferDocuments(req, res, move) {
+  const operation = move ? 'move' : 'copy';
+  let progress = null;
+  
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const {
+      target,
+      filter = {},
+      ids,
+      idType = 'auto',
+      onConflict = 'skip',
+      batchSize = 500,
+      dryRun = false,
+      sampleSize = 10,
+      confirmAll = false
+    } = req.body;
+    const targetDbName = target.dbName || dbName;
+    
+    if (targetDbName === dbName && target.collName === collName) {
+      return res.error('Source and target are the same collection', 400);
+    }
+    
+    // IDs are given like the :id route parameter (see utils/documentId.js), or typed in EJSON mode
+    let sourceFilter;
+    if (ids) {
+      sourceFilter = { _id: { $in: ids.map(id => (typeof id === 'string' ? parseDocumentId(id, idType) : id)) } };
+    } else {
+      sourceFilter = parseFilter(filter, req.ejsonMode);
+      if (!sourceFilter) {
+        return res.error('Invalid filter JSON', 400);
+      }
+    }
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const source = client.db(dbName).collection(collName);
+    const targetCollection = client.db(targetDbName).collection(target.collName);
+    
+    if (dryRun) {
+      const [matchedCount, sample] = await Promise.all([
+        source.countDocuments(sourceFilter),
+        source.find(sourceFilter).limit(sampleSize).toArray()
+      ]);
+      
+      return res.success({
+        dryRun: true,
+        matchedCount,
+        sample,
+        filter: sourceFilter
+      }, `${matchedCount} document(s) would be ${move ? 'moved' : 'copied'}`);
+    }
+    
+    // Refuse to empty the source collection by accident
+    if (move && Object.keys(sourceFilter).length === 0 && !confirmAll) {
+      return res.error('Filter matches every document, set confirmAll: true to move the whole collection', 400);
+    }
+    
+    const startTime = Date.now();
+    progress = {
+      readCount: 0,
+      insertedCount: 0,
+      overwrittenCount: 0,
+      regeneratedCount: 0,
+      skippedCount: 0,
+      deletedCount: 0,
+      batches: []
+    };
+    
+    const writeBatch = async (documents) => {
+      const written = await writeDocumentBatch(req, targetCollection, documents, onConflict, operation);
+      
+      let deleted = 0;
+      if (move && written.writtenIds.length > 0) {
+        const movedFilter = { _id: { $in: written.writtenIds } };
+        await recordHistory(req, source, movedFilter, 'move');
+        deleted = (await source.deleteMany(movedFilter)).deletedCount;
+      }
+      
+      progress.readCount += documents.length;
+      progress.insertedCount += written.inserted;
+      progress.overwrittenCount += written.overwritten;
+      progress.regeneratedCount += written.regenerated;
+      progress.skippedCount += written.skipped;
+      progress.deletedCount += deleted;
+      progress.batches.push({
+        batch: progress.batches.length + 1,
+        read: documents.length,
+        inserted: written.inserted,
+        overwritten: written.overwritten,
+        regenerated: written.regenerated,
+        skipped: written.skipped,
+        deleted
+      });
+    };
+    
+    // Sorted by _id so moved documents are never read twice
+    let batch = [];
+    for await (const doc of source.find(sourceFilter).sort({ _id: 1 }).batchSize(batchSize)) {
+      batch.push(doc);
+      if (batch.length === batchSize) {
+        await writeBatch(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await writeBatch(batch);
+    }
+    
+    const writtenCount = progress.insertedCount + progress.overwrittenCount + progress.regeneratedCount;
+    
+    return res.success({
+      dryRun: false,
+      operation,
+      source: { dbName, collName },
+      target: { dbName: targetDbName, collName: target.collName },
+      onConflict,
+      ...progress,
+      executionTime: Date.now() - startTime
+    }, `${writtenCount} document(s) ${move ? 'moved' : 'copied'}, ${progress.skippedCount} skipped`);
+    
+  } catch (error) {
+    console.error(`${move ? 'Move' : 'Copy'} documents error:`, error.message);
+    // Batches already written stay written: report how far the transfer got
+    return res.error(`Failed to ${operation} documents: ${error.message}`, error.statusCode || 500, null, progress || undefined);
+  }
+}
+
+/**
+ * Write one batch of documents to the target collection
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} collection - Target collection
+ * @param {Array<Object>} documents - Source documents
+ * @param {string} onConflict - 'skip', 'overwrite' or 'regenerate'
+ * @param {string} operation - History operation name for overwritten documents
+ * @returns {Promise<Object>} - Counts (inserted, overwritten, regenerated, skipped) and the
+ *   source _id values of the documents now in the target (writtenIds)
+ */
+async function writeDocumentBatch(req, collection, documents, onConflict, operation) {
+  const ids = documents.map(doc => doc._id);
+  const counts = { inserted: 0, overwritten: 0, regenerated: 0, skipped: 0 };
+  
+  if (onConflict === 'overwrite') {
+    await recordHistory(req, collection, { _id: { $in: ids } }, operation);
+    
+    const result = await collection.bulkWrite(
+      documents.map(doc => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+      { ordered: false }
+    );
+    
+    return { ...counts, inserted: result.upsertedCount, overwritten: result.matchedCount, writtenIds: ids };
+  }
+  
+  if (onConflict === 'regenerate') {
+    const idKey = (id) => stringifyExtendedJson(id, 'canonical');
+    const existing = await collection.find({ _id: { $in: ids } }, { projection: { _id: 1 } }).toArray();
+    const conflicts = new Set(existing.map(doc => idKey(doc._id)));
+    
+    await collection.insertMany(documents.map(doc => (conflicts.has(idKey(doc._id)) ? { ...doc, _id: new ObjectId() } : doc)));
+    
+    return { ...counts, inserted: documents.length - conflicts.size, regenerated: conflicts.size, writtenIds: ids };
+  }
+  
+  // Skip: duplicate key errors leave the existing target documents untouched
+  try {
+    await collection.insertMany(documents, { ordered: false });
+    return { ...counts, inserted: documents.length, writtenIds: ids };
+  } catch (error) {
+    const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    
+    const skipped = new Set(writeErrors.map(writeError => writeError.index));
+    const writtenIds = ids.filter((id, index) => !skipped.has(index));
+    
+    return { ...counts, inserted: writtenIds.length, skipped: skipped.size, writtenIds };
+  }
+}
+
+/**
+ * Parse a filter given as object or query text and sanitize it
+ * Text is shell syntax, or Extended JSON in EJSON mode (see utils/shellSyntax.js)
+ * Shared with the other controllers that accept filters
+ * @param {Object|string} filter - Filter from the request body
+ * @param {string} [ejsonMode] - Negotiated EJSON mode
+ * @returns {Object|null} - Sanitized filter or null if the text cannot be parsed
+ */
+export function parseFilter(filter, ejsonMode) {
+  let parsed = filter;
+  
+  if (typeof filter === 'string') {
+    try {
+      parsed = parseQueryText(filter, ejsonMode);
+    } catch (err) {
+      return null;
+    }
+  }
+  
+  return sanitizeFilter(parsed);
+}
+
 /**
  * Sanitize MongoDB filter to prevent NoSQL injection
  * @param {Object} filter - Filter object
@@ -249,8 +1217,8 @@ function sanitizeFilter(filter) {
       continue;
     }
     
-    // Recursively sanitize nested objects
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    // Recursively sanitize nested objects (BSON values like ObjectId or Date are kept as-is)
+    if (isPlainObject(value)) {
       sanitized[key] = sanitizeFilter(value);
     } else {
       sanitized[key] = value;
@@ -3,7 +3,10 @@
  * Handles data export and import operations
  */
 import { getMongoClient } from '../config/db.js';
+import { recordHistory } from './historyController.js';
+import { validateAgainstCollection, describeValidation } from './validatorController.js';
 import { ObjectId } from 'mongodb';
+import { isPlainObject, parseExtendedJson, stringifyExtendedJson } from '../utils/ejson.js';
 
 /**
  * Convert string _id fields to ObjectId recursively
@@ -35,8 +38,8 @@ function convertIdsToObjectId(doc) {
         processed[key] = value;
       }
     }
-    // Recursively process nested objects and arrays
-    else if (value && typeof value === 'object') {
+    // Recursively process nested objects and arrays (BSON values like Date are kept as-is)
+    else if (Array.isArray(value) || isPlainObject(value)) {
       processed[key] = convertIdsToObjectId(value);
     }
     // Keep other values as-is
@@ -55,11 +58,11 @@ function convertIdsToObjectId(doc) {
  */
 export const exportToJSON = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { filter = {}, limit = 10000 } = req.body;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Enforce maximum export limit
@@ -91,11 +94,11 @@ export const exportToJSON = async (req, res) => {
  */
 export const exportToCSV = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { filter = {}, fields = [], limit = 10000 } = req.body;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     const maxLimit = Math.min(limit, 50000);
@@ -121,7 +124,7 @@ export const exportToCSV = async (req, res) => {
     }
     
     // Generate CSV
-    const csv = convertToCSV(documents, csvFields);
+    const csv = convertToCSV(documents, csvFields, req.ejsonMode);
     
     return res.success({
       csv,
@@ -138,8 +141,9 @@ export const exportToCSV = async (req, res) => {
 
 /**
  * Convert documents to CSV format
+ * Object values are written as JSON, or as EJSON when an EJSON mode is given
  */
-function convertToCSV(documents, fields) {
+function convertToCSV(documents, fields, ejsonMode = null) {
   // CSV header
   const header = fields.map(field => `"${field}"`).join(',');
   
@@ -153,7 +157,8 @@ function convertToCSV(documents, fields) {
       }
       
       if (typeof value === 'object') {
-        return `"${JSON.stringify(value).replace(/"/g, '""')}"`;
+        const json = ejsonMode ? stringifyExtendedJson(value, ejsonMode) : JSON.stringify(value);
+        return `"${json.replace(/"/g, '""')}"`;
       }
       
       const strValue = String(value);
@@ -178,12 +183,13 @@ function getNestedValue(obj, path) {
 
 /**
  * Import data from JSON
+ * With ?validateOnly=true the documents are only checked against the collection validator
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const importFromJSON = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { data, mode = 'insert' } = req.body; // mode: 'insert' or 'upsert'
     
@@ -199,15 +205,24 @@ export const importFromJSON = async (req, res) => {
       return res.error('Cannot import more than 10,000 documents at once', 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
-    // Convert string _id to ObjectId
-    const processedData = data.map(doc => convertIdsToObjectId(doc));
+    // Convert string _id to ObjectId (EJSON data already carries its types)
+    const processedData = req.ejsonMode ? data : data.map(doc => convertIdsToObjectId(doc));
+    
+    if (req.query.validateOnly) {
+      const report = await validateImport(client.db(dbName), collName, processedData, mode);
+      return res.success({ validateOnly: true, mode, ...report }, describeValidation(report));
+    }
     
     let result;
     
     if (mode === 'upsert') {
+      // Keep the versions about to be overwritten when document history is enabled
+      const ids = processedData.filter(doc => doc._id !== undefined).map(doc => doc._id);
+      await recordHistory(req, collection, { _id: { $in: ids } }, 'import');
+      
       // Upsert mode: update if exists, insert if not
       const bulkOps = processedData.map(doc => ({
         updateOne: {
@@ -249,18 +264,44 @@ export const importFromJSON = async (req, res) => {
       }, 'Import completed with errors');
     }
     
-    return res.error(`Failed to import from JSON: ${error.message}`, 500);
+    return res.error(`Failed to import from JSON: ${error.message}`, error.statusCode || 500);
   }
 };
 
+/**
+ * Check imported documents against the collection validator without writing them
+ * In upsert mode existing documents are checked as they would be after the $set
+ * @param {import('mongodb').Db} db - Database
+ * @param {string} collName - Target collection name
+ * @param {Array<Object>} documents - Processed documents
+ * @param {string} mode - 'insert' or 'upsert'
+ * @returns {Promise<Object>} - Validation report, see validatorController.js
+ */
+async function validateImport(db, collName, documents, mode) {
+  let candidates = documents;
+  let originals = [];
+
+  if (mode === 'upsert') {
+    const ids = documents.filter(doc => doc._id !== undefined).map(doc => doc._id);
+    const existing = await db.collection(collName).find({ _id: { $in: ids } }).toArray();
+    const byId = new Map(existing.map(doc => [stringifyExtendedJson(doc._id, 'canonical'), doc]));
+
+    originals = documents.map(doc => (doc._id === undefined ? null : byId.get(stringifyExtendedJson(doc._id, 'canonical')) || null));
+    candidates = documents.map((doc, index) => (originals[index] ? { ...originals[index], ...doc } : doc));
+  }
+
+  return validateAgainstCollection(db, collName, candidates, originals);
+}
+
 /**
  * Import data from CSV
+ * With ?validateOnly=true the documents are only checked against the collection validator
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 export const importFromCSV = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { csv, mode = 'insert' } = req.body;
     
@@ -269,7 +310,7 @@ export const importFromCSV = async (req, res) => {
     }
     
     // Parse CSV
-    const documents = parseCSV(csv);
+    const documents = parseCSV(csv, req.ejsonMode);
     
     if (documents.length === 0) {
       return res.error('No valid documents found in CSV', 400);
@@ -279,7 +320,7 @@ export const importFromCSV = async (req, res) => {
       return res.error('Cannot import more than 10,000 documents at once', 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Convert string _id to ObjectId
@@ -293,6 +334,11 @@ export const importFromCSV = async (req, res) => {
       return processed;
     });
     
+    if (req.query.validateOnly) {
+      const report = await validateImport(client.db(dbName), collName, processedDocuments, 'insert');
+      return res.success({ validateOnly: true, mode: 'insert', ...report }, describeValidation(report));
+    }
+    
     // Insert documents
     const result = await collection.insertMany(processedDocuments, { ordered: false });
     
@@ -309,8 +355,9 @@ export const importFromCSV = async (req, res) => {
 
 /**
  * Parse CSV string to array of documents
+ * With an EJSON mode, object cells are parsed as EJSON
  */
-function parseCSV(csv) {
+function parseCSV(csv, ejsonMode = null) {
   const lines = csv.split('\n').filter(line => line.trim());
   
   if (lines.length < 2) {
@@ -354,7 +401,15 @@ function parseCSV(csv) {
       value = value.replace(/\\\\/g, '\\');
       
       // Keep _id as string (will be converted to ObjectId later)
+      // unless it is an EJSON value like {"$oid": ...}
       if (header === '_id') {
+        if (ejsonMode && value.startsWith('{')) {
+          try {
+            value = parseExtendedJson(value);
+          } catch (e) {
+            // Keep as string if EJSON parse fails
+          }
+        }
         doc[header] = value;
         return;
       }
@@ -372,7 +427,7 @@ function parseCSV(csv) {
       // Try to parse as JSON
       else if (value.startsWith('{') || value.startsWith('[')) {
         try {
-          value = JSON.parse(value);
+          value = ejsonMode ? parseExtendedJson(value) : JSON.parse(value);
         } catch (e) {
           // Keep as string if JSON parse fails
         }
@@ -425,11 +480,11 @@ function parseCSVLine(line) {
  */
 export const getExportInfo = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { filter = {} } = req.body;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     const count = await collection.countDocuments(filter);
@@ -0,0 +1,402 @@
+/**
+ * GridFS Controller
+ * Handles GridFS buckets: listing, searching, downloading, uploading, renaming and deleting files
+ */
+import { GridFSBucket } from 'mongodb';
+import busboy from 'busboy';
+import { getMongoClient } from '../config/db.js';
+import { parseFilter } from './documentController.js';
+import { parseDocumentId } from '../utils/documentId.js';
+import { isPlainObject, parseExtendedJson } from '../utils/ejson.js';
+import { findBucketNames, getFileContentType, buildFileFilter, parseRangeHeader } from '../utils/gridfs.js';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Largest accepted upload (100 MB by default)
+const MAX_UPLOAD_BYTES = Number(process.env.GRIDFS_MAX_UPLOAD_BYTES) || 100 * 1024 * 1024;
+
+/**
+ * Create an error with an HTTP status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} - Error with statusCode
+ */
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Open the bucket targeted by the route
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { gridfs: the bucket, files: its files collection }
+ */
+async function openBucket(req) {
+  const { connStr, connOptions } = req; // From session middleware
+  const { dbName, bucket } = req.params;
+
+  const client = await getMongoClient(connStr, connOptions);
+  const db = client.db(dbName);
+  return {
+    gridfs: new GridFSBucket(db, { bucketName: bucket }),
+    files: db.collection(`${bucket}.files`)
+  };
+}
+
+/**
+ * Find the file targeted by the route
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} files - Files collection of the bucket
+ * @returns {Promise<Object>} - Files collection document
+ * @throws {Error} - With statusCode 400 for an invalid ID, 404 if the file does not exist
+ */
+async function findFile(req, files) {
+  const fileId = parseDocumentId(req.params.fileId, req.query.idType);
+  const file = await files.findOne({ _id: fileId });
+
+  if (!file) {
+    throw httpError('File not found', 404);
+  }
+  return file;
+}
+
+/**
+ * Convert a files collection document to its public shape
+ * @param {Object} file - Files collection document
+ * @returns {Object} - Public file
+ */
+function toPublicFile(file) {
+  return {
+    _id: file._id,
+    filename: file.filename,
+    length: file.length,
+    chunkSize: file.chunkSize,
+    uploadDate: file.uploadDate,
+    contentType: getFileContentType(file),
+    metadata: file.metadata || {}
+  };
+}
+
+/**
+ * List the GridFS buckets of a database with their file count and size
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listBuckets = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName } = req.params;
+
+    const client = await getMongoClient(connStr, connOptions);
+    const db = client.db(dbName);
+    const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+
+    const buckets = await Promise.all(
+      findBucketNames(collections.map(coll => coll.name)).map(async (name) => {
+        const [totals] = await db.collection(`${name}.files`).aggregate([
+          { $group: { _id: null, fileCount: { $sum: 1 }, totalSize: { $sum: '$length' } } }
+        ]).toArray();
+
+        return {
+          name,
+          filesCollection: `${name}.files`,
+          chunksCollection: `${name}.chunks`,
+          fileCount: totals?.fileCount || 0,
+          totalSize: totals?.totalSize || 0
+        };
+      })
+    );
+
+    return res.success(buckets, `GridFS buckets in database '${dbName}' retrieved successfully`);
+
+  } catch (error) {
+    console.error('List GridFS buckets error:', error.message);
+    return res.error(`Failed to list GridFS buckets: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * List, search and paginate the files of a bucket
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listFiles = async (req, res) => {
+  try {
+    const { filter = '{}', search, contentType, sort, order, page, pageSize } = req.query;
+
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+
+    const { files } = await openBucket(req);
+    const fileFilter = buildFileFilter(parsedFilter, { search, contentType });
+
+    const [documents, total] = await Promise.all([
+      files.find(fileFilter)
+        .sort({ [sort]: order === 'asc' ? 1 : -1, _id: 1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .toArray(),
+      files.countDocuments(fileFilter)
+    ]);
+
+    return res.success({
+      files: documents.map(toPublicFile),
+      pagination: {
+        total,
+        page,
+        pageSize,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    }, 'Files retrieved successfully');
+
+  } catch (error) {
+    console.error('List GridFS files error:', error.message);
+    return res.error(`Failed to list files: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get the metadata of a file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getFile = async (req, res) => {
+  try {
+    const { files } = await openBucket(req);
+    const file = await findFile(req, files);
+
+    return res.success(toPublicFile(file), 'File retrieved successfully');
+
+  } catch (error) {
+    console.error('Get GridFS file error:', error.message);
+    return res.error(`Failed to get file: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Stream the content of a file
+ * Sends the stored Content-Type and supports single byte ranges (206 Partial
+ * Content) so browsers can seek in media files. ?inline=true displays the
+ * file instead of downloading it.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const downloadFile = async (req, res) => {
+  try {
+    const { gridfs, files } = await openBucket(req);
+    const file = await findFile(req, files);
+
+    const range = parseRangeHeader(req.get('Range'), file.length);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${file.length}`);
+      return res.error('Requested range not satisfiable', 416);
+    }
+
+    const disposition = req.query.inline === 'true' ? 'inline' : 'attachment';
+    res.set({
+      'Content-Type': getFileContentType(file),
+      'Accept-Ranges': 'bytes',
+      'Last-Modified': file.uploadDate.toUTCString(),
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(file.filename)}`,
+      // Uploaded HTML or SVG must not run scripts with the API's origin
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': 'sandbox'
+    });
+
+    if (range) {
+      res.status(206);
+      res.set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${file.length}`,
+        'Content-Length': String(range.end - range.start + 1)
+      });
+    } else {
+      res.set('Content-Length', String(file.length));
+    }
+
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    // The driver's end is exclusive, the Range header's is inclusive
+    const stream = range
+      ? gridfs.openDownloadStream(file._id, { start: range.start, end: range.end + 1 })
+      : gridfs.openDownloadStream(file._id);
+
+    stream.on('error', (error) => {
+      console.error('Download GridFS file error:', error.message);
+      // Headers are gone once streaming started: cut the connection so the client sees a truncated body
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.removeHeader('Content-Disposition');
+        res.removeHeader('Content-Range');
+        res.error(`Failed to download file: ${error.message}`, 500);
+      }
+    });
+    res.on('close', () => stream.destroy());
+
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download GridFS file error:', error.message);
+    return res.error(`Failed to download file: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Stream a multipart upload into a bucket
+ * Text fields must come before the file part: filename (overrides the uploaded
+ * name), contentType (overrides the part type) and metadata (a JSON or
+ * Extended JSON object stored with the file)
+ * @param {Object} req - Express request object
+ * @param {GridFSBucket} gridfs - Bucket
+ * @returns {Promise<Object>} - Files collection document of the stored file
+ */
+function receiveUpload(req, gridfs) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits: { files: 1, fields: 10, fileSize: MAX_UPLOAD_BYTES } });
+    } catch (error) {
+      return reject(httpError(error.message, 400));
+    }
+
+    const fields = {};
+    let upload = null;
+    let settled = false;
+
+    const fail = (error) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      req.unpipe(parser);
+      req.resume();
+      // Remove the chunks already written
+      upload?.abort().catch(() => {});
+      reject(error);
+    };
+
+    parser.on('field', (name, value) => {
+      fields[name] = value;
+    });
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file' || upload || settled) {
+        stream.resume();
+        return;
+      }
+
+      let metadata = {};
+      try {
+        metadata = fields.metadata ? parseExtendedJson(fields.metadata) : {};
+      } catch (error) {
+        stream.resume();
+        return fail(error);
+      }
+      if (!isPlainObject(metadata)) {
+        stream.resume();
+        return fail(httpError('metadata must be a JSON object', 400));
+      }
+
+      const filename = fields.filename || info.filename;
+      if (!filename) {
+        stream.resume();
+        return fail(httpError('A filename is required', 400));
+      }
+
+      upload = gridfs.openUploadStream(filename, {
+        metadata: { ...metadata, contentType: fields.contentType || info.mimeType }
+      });
+
+      stream.on('limit', () => {
+        stream.unpipe(upload);
+        stream.resume();
+        fail(httpError(`File is larger than the upload limit of ${MAX_UPLOAD_BYTES} bytes`, 413));
+      });
+
+      stream.pipe(upload)
+        .on('error', fail)
+        .on('finish', () => {
+          if (!settled) {
+            settled = true;
+            resolve(upload.gridFSFile);
+          }
+        });
+    });
+
+    parser.on('error', (error) => fail(httpError(`Invalid multipart body: ${error.message}`, 400)));
+    parser.on('close', () => {
+      if (!upload) {
+        fail(httpError('A file field is required', 400));
+      }
+    });
+
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Upload a file (multipart/form-data, file field 'file')
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const uploadFile = async (req, res) => {
+  try {
+    if (!req.is('multipart/form-data')) {
+      return res.error('Uploads must be sent as multipart/form-data with a file field', 415);
+    }
+
+    const { gridfs } = await openBucket(req);
+    const file = await receiveUpload(req, gridfs);
+
+    return res.success(toPublicFile(file), `File '${file.filename}' uploaded successfully`, 201);
+
+  } catch (error) {
+    console.error('Upload GridFS file error:', error.message);
+    return res.error(`Failed to upload file: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Rename a file
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const renameFile = async (req, res) => {
+  try {
+    const { filename } = req.body;
+
+    const { gridfs, files } = await openBucket(req);
+    const file = await findFile(req, files);
+    await gridfs.rename(file._id, filename);
+
+    return res.success(toPublicFile({ ...file, filename }), `File renamed to '${filename}' successfully`);
+
+  } catch (error) {
+    console.error('Rename GridFS file error:', error.message);
+    return res.error(`Failed to rename file: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete a file and its chunks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteFile = async (req, res) => {
+  try {
+    const { gridfs, files } = await openBucket(req);
+    const file = await findFile(req, files);
+    await gridfs.delete(file._id);
+
+    return res.success(null, `File '${file.filename}' deleted successfully`);
+
+  } catch (error) {
+    console.error('Delete GridFS file error:', error.message);
+    return res.error(`Failed to delete file: ${error.message}`, error.statusCode || 500);
+  }
+};
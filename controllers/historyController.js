@@ -0,0 +1,237 @@
+/**
+ * History Controller
+ * Handles document version history: listing, diffing and restoring versions
+ */
+import { getMongoClient } from '../config/db.js';
+import { isHistoryEnabled, recordVersions, listVersions, getVersion, HISTORY_MAX_BULK } from '../config/historyManager.js';
+import { parseDocumentId } from '../utils/documentId.js';
+import { diffDocuments } from '../utils/documentDiff.js';
+
+/**
+ * Resolve the document targeted by the route
+ * @param {Object} req - Express request object
+ * @returns {Object} - { dbName, collName, documentId }
+ * @throws {Error} - With statusCode 400 if the :id parameter is invalid
+ */
+function getTarget(req) {
+  const { dbName, collName, id } = req.params;
+  return { dbName, collName, documentId: parseDocumentId(id, req.query.idType) };
+}
+
+/**
+ * Build the history context (who changes documents) of a request
+ * @param {Object} req - Express request object
+ * @returns {Object} - { connStr, sessionId, userId }
+ */
+function historyContext(req) {
+  return { connStr: req.connStr, sessionId: req.sessionId, userId: req.user.userId };
+}
+
+/**
+ * Read the current versions of the documents matching a filter before they change
+ * Returns no documents when document history is disabled
+ * @param {import('mongodb').Collection} collection - Collection about to change
+ * @param {Object} filter - Filter of the documents about to change
+ * @param {Object} [options] - Read options
+ * @param {import('mongodb').ClientSession} [options.session] - Transaction the change runs in, so earlier writes of the transaction are seen
+ * @returns {Promise<Array<Object>>} - Documents to record once the change is written
+ * @throws {Error} - With statusCode 400 if more than HISTORY_MAX_BULK documents match
+ */
+export async function captureHistory(collection, filter, { session } = {}) {
+  if (!isHistoryEnabled()) {
+    return [];
+  }
+
+  const documents = await collection.find(filter, { session }).limit(HISTORY_MAX_BULK + 1).toArray();
+
+  if (documents.length > HISTORY_MAX_BULK) {
+    const error = new Error(`Document history is enabled, at most ${HISTORY_MAX_BULK} documents can be changed at once: narrow the filter`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return documents;
+}
+
+/**
+ * Record the previous versions of documents that have just changed
+ * Used after conditional writes (findOneAndUpdate, transactions, ...) so only
+ * changes that actually happened are recorded. The change is already written,
+ * so a failure is logged instead of failing the request.
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} collection - Changed collection
+ * @param {string} operation - Operation name stored with the versions
+ * @param {Array<Object>} documents - Versions before the change
+ */
+export async function recordPreviousVersions(req, collection, operation, documents) {
+  try {
+    await recordVersions(
+      historyContext(req),
+      { dbName: collection.dbName, collName: collection.collectionName, operation, documents }
+    );
+  } catch (error) {
+    console.warn(`[History] Failed to record ${operation} versions:`, error.message);
+  }
+}
+
+/**
+ * Record the current versions of the documents matching a filter before they change
+ * Does nothing when document history is disabled
+ * Used by every controller that modifies documents
+ * @param {Object} req - Express request object
+ * @param {import('mongodb').Collection} collection - Collection about to change
+ * @param {Object} filter - Filter of the documents about to change
+ * @param {string} operation - Operation name stored with the versions
+ * @throws {Error} - With statusCode 400 if more than HISTORY_MAX_BULK documents match
+ */
+export async function recordHistory(req, collection, filter, operation) {
+  const documents = await captureHistory(collection, filter);
+
+  await recordVersions(
+    historyContext(req),
+    { dbName: collection.dbName, collName: collection.collectionName, operation, documents }
+  );
+}
+
+/**
+ * List the versions of a document, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listDocumentVersions = async (req, res) => {
+  try {
+    const { connStr } = req; // From session middleware
+    const target = getTarget(req);
+
+    const versions = isHistoryEnabled() ? await listVersions(connStr, target) : [];
+
+    return res.success({
+      enabled: isHistoryEnabled(),
+      versions,
+      count: versions.length
+    }, 'Document history retrieved successfully');
+
+  } catch (error) {
+    console.error('List document versions error:', error.message);
+    return res.error(`Failed to list document versions: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get one version of a document, including the captured document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getDocumentVersion = async (req, res) => {
+  try {
+    const { connStr } = req; // From session middleware
+    const version = await getVersion(connStr, getTarget(req), req.params.versionId);
+
+    if (!version) {
+      return res.error('Version not found', 404);
+    }
+
+    return res.success(version, 'Document version retrieved successfully');
+
+  } catch (error) {
+    console.error('Get document version error:', error.message);
+    return res.error(`Failed to get document version: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Diff two versions of a document
+ * `from` and `to` are version IDs or 'current' for the live document
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const diffDocumentVersions = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { from, to } = req.query;
+    const target = getTarget(req);
+
+    const resolve = async (ref) => {
+      if (ref === 'current') {
+        const client = await getMongoClient(connStr, connOptions);
+        return client.db(target.dbName).collection(target.collName).findOne({ _id: target.documentId });
+      }
+
+      const version = await getVersion(connStr, target, ref);
+      if (!version) {
+        const error = new Error(`Version '${ref}' not found`);
+        error.statusCode = 404;
+        throw error;
+      }
+      return version.document;
+    };
+
+    const fromDocument = await resolve(from);
+    const toDocument = await resolve(to);
+    const changes = diffDocuments(fromDocument, toDocument);
+
+    return res.success({
+      from,
+      to,
+      changes,
+      identical: changes.length === 0
+    }, 'Document versions compared successfully');
+
+  } catch (error) {
+    console.error('Diff document versions error:', error.message);
+    return res.error(`Failed to diff document versions: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Restore a version of a document
+ * The document is recreated if it was deleted; restoring a version captured
+ * before the document existed deletes it. The state being replaced is
+ * recorded too, so a restore can itself be undone.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const restoreDocumentVersion = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const target = getTarget(req);
+
+    const version = await getVersion(connStr, target, req.params.versionId);
+
+    if (!version) {
+      return res.error('Version not found', 404);
+    }
+
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(target.dbName).collection(target.collName);
+
+    const current = await collection.findOne({ _id: target.documentId });
+    await recordVersions(
+      historyContext(req),
+      {
+        dbName: target.dbName,
+        collName: target.collName,
+        operation: 'restore',
+        documents: current ? [current] : [],
+        missingIds: current ? [] : [target.documentId]
+      }
+    );
+
+    if (version.exists) {
+      await collection.replaceOne({ _id: target.documentId }, version.document, { upsert: true });
+    } else if (current) {
+      await collection.deleteOne({ _id: target.documentId });
+    }
+
+    return res.success({
+      versionId: version.versionId,
+      recreated: !current && version.exists,
+      deleted: !!current && !version.exists,
+      document: version.document
+    }, 'Document version restored successfully');
+
+  } catch (error) {
+    console.error('Restore document version error:', error.message);
+    return res.error(`Failed to restore document version: ${error.message}`, error.statusCode || 500);
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * Profile Controller
+ * Handles saved connection profile operations
+ */
+import {
+  createProfile as createStoredProfile,
+  listProfiles as listStoredProfiles,
+  getProfile as getStoredProfile,
+  updateProfile as updateStoredProfile,
+  deleteProfile as deleteStoredProfile,
+  getProfileConnection
+} from '../config/profileManager.js';
+import { establishSession } from './connectionController.js';
+
+/**
+ * Create a connection profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createProfile = async (req, res) => {
+  try {
+    const profile = await createStoredProfile(req.user.userId, req.body);
+
+    return res.success(profile, `Profile '${profile.name}' created successfully`, 201);
+
+  } catch (error) {
+    console.error('Create profile error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error(`A profile named '${req.body.name}' already exists`, 409);
+    }
+
+    return res.error(`Failed to create profile: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * List the caller's connection profiles (credentials redacted)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listProfiles = async (req, res) => {
+  try {
+    const profiles = await listStoredProfiles(req.user.userId);
+
+    return res.success(profiles, 'Profiles retrieved successfully');
+
+  } catch (error) {
+    console.error('List profiles error:', error.message);
+    return res.error(`Failed to list profiles: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get a connection profile (credentials redacted)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const profile = await getStoredProfile(req.user.userId, profileId);
+
+    if (!profile) {
+      return res.error('Profile not found', 404);
+    }
+
+    return res.success(profile, 'Profile retrieved successfully');
+
+  } catch (error) {
+    console.error('Get profile error:', error.message);
+    return res.error(`Failed to get profile: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Update a connection profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const profile = await updateStoredProfile(req.user.userId, profileId, req.body);
+
+    if (!profile) {
+      return res.error('Profile not found', 404);
+    }
+
+    return res.success(profile, `Profile '${profile.name}' updated successfully`);
+
+  } catch (error) {
+    console.error('Update profile error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error(`A profile named '${req.body.name}' already exists`, 409);
+    }
+
+    return res.error(`Failed to update profile: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete a connection profile
+ * Existing sessions opened from the profile are not affected
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const deleted = await deleteStoredProfile(req.user.userId, profileId);
+
+    if (!deleted) {
+      return res.error('Profile not found', 404);
+    }
+
+    return res.success(null, 'Profile deleted successfully');
+
+  } catch (error) {
+    console.error('Delete profile error:', error.message);
+    return res.error(`Failed to delete profile: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Connect using a saved profile
+ * Creates a regular session, usable with every other route
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const connectWithProfile = async (req, res) => {
+  try {
+    const { profileId } = req.params;
+
+    const stored = await getProfileConnection(req.user.userId, profileId);
+
+    if (!stored) {
+      return res.error('Profile not found', 404);
+    }
+
+    const { profile, connStr } = stored;
+    const connection = await establishSession(connStr, {
+      userId: req.user.userId,
+      profileId: profile.profileId,
+      profileName: profile.name,
+      environment: profile.environment,
+      mode: req.body.mode || profile.mode,
+      options: { ...profile.options, ...(req.body.options || {}) }
+    });
+
+    return res.success({
+      ...connection,
+      profile
+    }, `Successfully connected using profile '${profile.name}'`);
+
+  } catch (error) {
+    console.error('Profile connection error:', error.message);
+    return res.error(`Failed to connect: ${error.message}`, error.statusCode || 500);
+  }
+};
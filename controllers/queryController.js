@@ -0,0 +1,215 @@
+/**
+ * Query Controller
+ * Handles saved queries and the query history of the caller
+ */
+import {
+  isQueryHistoryEnabled,
+  recordQueryRun,
+  createSavedQuery as createStoredSavedQuery,
+  listSavedQueries as listStoredSavedQueries,
+  getSavedQuery as getStoredSavedQuery,
+  updateSavedQuery as updateStoredSavedQuery,
+  deleteSavedQuery as deleteStoredSavedQuery,
+  listQueryHistory as listStoredQueryHistory,
+  clearQueryHistory as clearStoredQueryHistory
+} from '../config/queryManager.js';
+
+/**
+ * Record a query run in the caller's history
+ * Best effort: failures are logged and never affect the query response
+ * Used by the find and aggregation controllers
+ * @param {Object} req - Express request object
+ * @param {Object} run - What ran ({ type, dbName, collName, parameters, durationMs, resultCount })
+ */
+export function recordQuery(req, run) {
+  if (!isQueryHistoryEnabled()) {
+    return;
+  }
+
+  recordQueryRun(
+    { connStr: req.connStr, sessionId: req.sessionId, userId: req.user.userId },
+    { ...run, savedQueryId: req.savedQuery?.queryId || null }
+  ).catch(error => console.warn(`[QueryHistory] Could not record query: ${error.message}`));
+}
+
+/**
+ * Create a saved query
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const createSavedQuery = async (req, res) => {
+  try {
+    const savedQuery = await createStoredSavedQuery(req.user, req.body);
+
+    return res.success(savedQuery, `Saved query '${savedQuery.name}' created successfully`, 201);
+
+  } catch (error) {
+    console.error('Create saved query error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error(`A saved query named '${req.body.name}' already exists`, 409);
+    }
+
+    return res.error(`Failed to create saved query: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * List the saved queries visible to the caller (own and shared)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listSavedQueries = async (req, res) => {
+  try {
+    const savedQueries = await listStoredSavedQueries(req.user.userId, req.query);
+
+    return res.success(savedQueries, 'Saved queries retrieved successfully');
+
+  } catch (error) {
+    console.error('List saved queries error:', error.message);
+    return res.error(`Failed to list saved queries: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Get a saved query visible to the caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getSavedQuery = async (req, res) => {
+  try {
+    const savedQuery = await getStoredSavedQuery(req.user.userId, req.params.queryId);
+
+    if (!savedQuery) {
+      return res.error('Saved query not found', 404);
+    }
+
+    return res.success(savedQuery, 'Saved query retrieved successfully');
+
+  } catch (error) {
+    console.error('Get saved query error:', error.message);
+    return res.error(`Failed to get saved query: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Update a saved query (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const updateSavedQuery = async (req, res) => {
+  try {
+    const savedQuery = await updateStoredSavedQuery(req.user.userId, req.params.queryId, req.body);
+
+    if (!savedQuery) {
+      return res.error('Saved query not found', 404);
+    }
+
+    return res.success(savedQuery, `Saved query '${savedQuery.name}' updated successfully`);
+
+  } catch (error) {
+    console.error('Update saved query error:', error.message);
+
+    if (error.code === 11000) {
+      return res.error(`A saved query named '${req.body.name}' already exists`, 409);
+    }
+
+    return res.error(`Failed to update saved query: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Delete a saved query (owner only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const deleteSavedQuery = async (req, res) => {
+  try {
+    const deleted = await deleteStoredSavedQuery(req.user.userId, req.params.queryId);
+
+    if (!deleted) {
+      return res.error('Saved query not found', 404);
+    }
+
+    return res.success(null, 'Saved query deleted successfully');
+
+  } catch (error) {
+    console.error('Delete saved query error:', error.message);
+    return res.error(`Failed to delete saved query: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Prepare the request to run a saved query
+ * Loads the query and rewrites req.params and req.body as if its parameters
+ * had been sent to the find or aggregation route; the regular middleware and
+ * controller then run it (see routes/queryRoutes.js). Body fields other than
+ * dbName/collName (page, pageSize, cursor, options, ...) are passed through.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const prepareSavedQueryRun = async (req, res, next) => {
+  try {
+    const savedQuery = await getStoredSavedQuery(req.user.userId, req.params.queryId);
+
+    if (!savedQuery) {
+      return res.error('Saved query not found', 404);
+    }
+
+    const { dbName = savedQuery.dbName, collName = savedQuery.collName, ...overrides } = req.body;
+
+    if (!dbName || !collName) {
+      return res.error('This saved query has no namespace, pass dbName and collName to run it', 400);
+    }
+
+    req.params.dbName = dbName;
+    req.params.collName = collName;
+    req.body = { ...savedQuery.parameters, ...overrides };
+    req.savedQuery = savedQuery;
+
+    next();
+
+  } catch (error) {
+    console.error('Run saved query error:', error.message);
+    return res.error(`Failed to run saved query: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * List the caller's query history, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const listQueryHistory = async (req, res) => {
+  try {
+    const entries = await listStoredQueryHistory(req.user.userId, req.query);
+
+    return res.success({
+      enabled: isQueryHistoryEnabled(),
+      entries,
+      count: entries.length
+    }, 'Query history retrieved successfully');
+
+  } catch (error) {
+    console.error('List query history error:', error.message);
+    return res.error(`Failed to list query history: ${error.message}`, error.statusCode || 500);
+  }
+};
+
+/**
+ * Clear the caller's query history (optionally only one session)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const clearQueryHistory = async (req, res) => {
+  try {
+    const deletedCount = await clearStoredQueryHistory(req.user.userId, req.query);
+
+    return res.success({ deletedCount }, 'Query history cleared successfully');
+
+  } catch (error) {
+    console.error('Clear query history error:', error.message);
+    return res.error(`Failed to clear query history: ${error.message}`, error.statusCode || 500);
+  }
+};
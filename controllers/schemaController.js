@@ -3,6 +3,11 @@
  * Handles MongoDB schema analysis and index management
  */
 import { getMongoClient } from '../config/db.js';
+import { parseFilter } from './documentController.js';
+
+// Server errors meaning the distinct values did not fit the time or memory budget
+const EXCEEDED_TIME_LIMIT = 50;
+const EXCEEDED_MEMORY_LIMIT = [292, 16945];
 
 /**
  * Analyze collection schema by sampling documents
@@ -11,11 +16,11 @@ import { getMongoClient } from '../config/db.js';
  */
 export const analyzeSchema = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     const { sampleSize = 100 } = req.body;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Get total document count
@@ -203,15 +208,126 @@ function getType(value) {
   return 'object';
 }
 
+/**
+ * Get the distinct values of a field with their frequency
+ * Nested paths and arrays are supported: array elements are counted one by
+ * one unless unwindArrays is false. Fields with more than maxDistinct values,
+ * or whose grouping exceeds the time or memory budget, are given up on and
+ * reported with highCardinality: true instead of values.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getFieldValues = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName, path } = req.params;
+    const {
+      filter = {},
+      sort = 'count',
+      order = sort === 'count' ? 'desc' : 'asc',
+      page = 1,
+      pageSize = 50,
+      unwindArrays = true,
+      maxDistinct = 10000,
+      maxTimeMS = 10000
+    } = req.query;
+    
+    const parsedFilter = parseFilter(filter, req.ejsonMode);
+    if (!parsedFilter) {
+      return res.error('Invalid filter JSON', 400);
+    }
+    
+    const client = await getMongoClient(connStr, connOptions);
+    const collection = client.db(dbName).collection(collName);
+    
+    // Every path segment may hold an array, so unwind once per segment
+    const unwindStages = unwindArrays
+      ? path.split('.').map(() => ({ $unwind: { path: '$value', preserveNullAndEmptyArrays: true } }))
+      : [];
+    
+    const direction = order === 'asc' ? 1 : -1;
+    const sortStage = sort === 'count'
+      ? { count: direction, _id: 1 }
+      : { _id: direction };
+    
+    const pipeline = [
+      { $match: parsedFilter },
+      { $project: { _id: 0, value: `$${path}` } },
+      ...unwindStages,
+      // Keep explicit nulls, drop documents without the field
+      { $match: { value: { $exists: true } } },
+      { $group: { _id: '$value', count: { $sum: 1 } } },
+      // Cap the groups passed to $facet: $group still reads every value, only maxTimeMS
+      // and the memory limit bound that work
+      { $limit: maxDistinct + 1 },
+      {
+        $facet: {
+          total: [{ $count: 'distinctCount' }],
+          values: [
+            { $sort: sortStage },
+            { $skip: (page - 1) * pageSize },
+            { $limit: pageSize },
+            { $project: { _id: 0, value: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ];
+    
+    let result;
+    try {
+      [result] = await collection.aggregate(pipeline, { maxTimeMS, allowDiskUse: false }).toArray();
+    } catch (err) {
+      if (err.code === EXCEEDED_TIME_LIMIT || EXCEEDED_MEMORY_LIMIT.includes(err.code)) {
+        return res.success({
+          path,
+          values: [],
+          highCardinality: true,
+          reason: err.code === EXCEEDED_TIME_LIMIT ? 'timeLimit' : 'memoryLimit'
+        }, 'Field has too many distinct values to list');
+      }
+      throw err;
+    }
+    
+    const distinctCount = result.total[0]?.distinctCount || 0;
+    
+    if (distinctCount > maxDistinct) {
+      return res.success({
+        path,
+        values: [],
+        highCardinality: true,
+        reason: 'maxDistinct',
+        maxDistinct
+      }, `Field has more than ${maxDistinct} distinct values`);
+    }
+    
+    return res.success({
+      path,
+      values: result.values,
+      highCardinality: false,
+      pagination: {
+        page,
+        pageSize,
+        distinctCount,
+        totalPages: Math.ceil(distinctCount / pageSize),
+        hasMore: page * pageSize < distinctCount
+      }
+    }, 'Field values retrieved successfully');
+    
+  } catch (error) {
+    console.error('Get field values error:', error.message);
+    return res.error(`Failed to get field values: ${error.message}`, error.statusCode || 500);
+  }
+};
+
 /**
  * List indexes for a collection
  */
 export const listIndexes = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName } = req.params;
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     const indexes = await collection.indexes();
     
@@ -238,7 +354,7 @@ export const listIndexes = async (req, res) => {
  */
 export const createIndex = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { key, options = {} } = req.body;
     const { dbName, collName } = req.params;
     
@@ -246,7 +362,7 @@ export const createIndex = async (req, res) => {
       return res.error('Index key is required', 400);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     // Check if index with same keys already exists
@@ -308,7 +424,7 @@ export const createIndex = async (req, res) => {
  */
 export const dropIndex = async (req, res) => {
   try {
-    const { connStr } = req; // From session middleware
+    const { connStr, connOptions } = req; // From session middleware
     const { dbName, collName, indexName } = req.params;
     
     // Prevent dropping _id index
@@ -316,7 +432,7 @@ export const dropIndex = async (req, res) => {
       return res.error('Cannot drop the _id index', 403);
     }
     
-    const client = await getMongoClient(connStr);
+    const client = await getMongoClient(connStr, connOptions);
     const collection = client.db(dbName).collection(collName);
     
     await collection.dropIndex(indexName);
@@ -0,0 +1,214 @@
+/**
+ * Transaction Controller
+ * Runs an ordered list of document writes across the collections of a database in one transaction
+ */
+import { getMongoClient } from '../config/db.js';
+import { captureHistory, recordPreviousVersions } from './historyController.js';
+import { parseFilter } from './documentController.js';
+
+// Transactions commit to a majority unless the request asks otherwise
+const DEFAULT_WRITE_CONCERN = { w: 'majority' };
+
+// Error code of servers that do not support transactions (standalone mongod)
+const ILLEGAL_OPERATION = 20;
+
+/**
+ * Describe an operation in results and error responses
+ * @param {Object} operation - Operation
+ * @param {number} index - Position of the operation
+ * @returns {Object} - { index, op, collection }
+ */
+function describeOperation(operation, index) {
+  return { index, op: operation.op, collection: operation.collection };
+}
+
+/**
+ * Create an error for a failed operation
+ * @param {Object} operation - Operation
+ * @param {number} index - Position of the operation
+ * @param {string} message - Error message
+ * @param {number} [statusCode] - HTTP status code
+ * @returns {Error} - Error with statusCode and failedOperation
+ */
+function operationError(operation, index, message, statusCode = 400) {
+  const error = new Error(`Operation ${index}: ${message}`);
+  error.statusCode = statusCode;
+  error.failedOperation = describeOperation(operation, index);
+  return error;
+}
+
+/**
+ * Check the operations and parse their filters before the transaction starts
+ * @param {Array<Object>} operations - Operations from the request body
+ * @param {string} [ejsonMode] - Negotiated EJSON mode
+ * @returns {Array<Object>} - Operations with their index and parsed filter
+ * @throws {Error} - With statusCode 400 for an invalid operation
+ */
+function prepareOperations(operations, ejsonMode) {
+  return operations.map((operation, index) => {
+    if (operation.op === 'insert') {
+      return { ...operation, index };
+    }
+
+    const filter = parseFilter(operation.filter, ejsonMode);
+    if (!filter) {
+      throw operationError(operation, index, 'invalid filter');
+    }
+
+    // Refuse to touch the whole collection by accident
+    if (operation.multi && Object.keys(filter).length === 0 && !operation.confirmAll) {
+      throw operationError(operation, index, 'filter matches every document, set confirmAll: true to change the whole collection');
+    }
+
+    if (operation.op === 'update' && !Array.isArray(operation.update) && !Object.keys(operation.update).every(key => key.startsWith('$'))) {
+      throw operationError(operation, index, 'update requires update operators (e.g. $set) or an update pipeline, use replace for a whole document');
+    }
+
+    if (operation.op === 'replace' && Object.keys(operation.replacement).some(key => key.startsWith('$'))) {
+      throw operationError(operation, index, 'replacement cannot contain update operators');
+    }
+
+    return { ...operation, index, filter };
+  });
+}
+
+/**
+ * Resolve the documents an update, replace or delete changes
+ * Single-document operations are narrowed to the _id of the first match, so
+ * document history records exactly the document that changes
+ * @param {import('mongodb').Collection} collection - Collection
+ * @param {Object} operation - Prepared operation
+ * @param {import('mongodb').ClientSession} session - Transaction session
+ * @returns {Promise<Object>} - Filter of the changed documents
+ */
+async function resolveTarget(collection, operation, session) {
+  if (operation.multi) {
+    return operation.filter;
+  }
+
+  const match = await collection.findOne(operation.filter, { projection: { _id: 1 }, session });
+  return match ? { _id: match._id } : operation.filter;
+}
+
+/**
+ * Run one operation inside the transaction
+ * The previous versions of the changed documents are only collected: history
+ * lives in the application database, outside the transaction, so it is
+ * written once the transaction has committed
+ * @param {import('mongodb').Db} db - Database
+ * @param {Object} operation - Prepared operation
+ * @param {import('mongodb').ClientSession} session - Transaction session
+ * @param {Array<Object>} versions - Collected { collection, operation, documents } for document history
+ * @returns {Promise<Object>} - Operation result
+ */
+async function runOperation(db, operation, session, versions) {
+  const collection = db.collection(operation.collection);
+
+  if (operation.op === 'insert') {
+    const documents = Array.isArray(operation.documents) ? operation.documents : [operation.documents];
+    const result = await collection.insertMany(documents, { session });
+    return {
+      insertedCount: result.insertedCount,
+      insertedIds: Object.values(result.insertedIds)
+    };
+  }
+
+  const filter = await resolveTarget(collection, operation, session);
+  const documents = await captureHistory(collection, filter, { session });
+  let result;
+
+  if (operation.op === 'update') {
+    versions.push({ collection, operation: operation.multi ? 'updateMany' : 'update', documents });
+    const method = operation.multi ? 'updateMany' : 'updateOne';
+    result = await collection[method](filter, operation.update, { upsert: operation.upsert, session });
+  } else if (operation.op === 'replace') {
+    versions.push({ collection, operation: 'replace', documents });
+    result = await collection.replaceOne(filter, operation.replacement, { upsert: operation.upsert, session });
+  } else {
+    versions.push({ collection, operation: operation.multi ? 'deleteMany' : 'delete', documents });
+    const method = operation.multi ? 'deleteMany' : 'deleteOne';
+    result = await collection[method](filter, { session });
+  }
+
+  const affected = operation.op === 'delete' ? result.deletedCount : result.matchedCount + result.upsertedCount;
+  if (operation.requireMatch && affected === 0) {
+    throw operationError(operation, operation.index, 'no document matched the filter', 409);
+  }
+
+  return operation.op === 'delete'
+    ? { deletedCount: result.deletedCount }
+    : { matchedCount: result.matchedCount, modifiedCount: result.modifiedCount, upsertedId: result.upsertedId };
+}
+
+/**
+ * Run insert, update, replace and delete operations in one transaction
+ * Operations run in order; the first failure aborts the transaction and
+ * nothing is written. Requires a replica set or sharded cluster.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const executeTransaction = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName } = req.params;
+    const { operations, readConcern, writeConcern = DEFAULT_WRITE_CONCERN, maxCommitTimeMS } = req.body;
+
+    const prepared = prepareOperations(operations, req.ejsonMode);
+
+    const client = await getMongoClient(connStr, connOptions);
+    const db = client.db(dbName);
+    const session = client.startSession();
+
+    const startTime = Date.now();
+    let results;
+    let versions;
+    try {
+      await session.withTransaction(async () => {
+        // The driver retries the callback on transient errors, so start over each attempt
+        results = [];
+        versions = [];
+        for (const operation of prepared) {
+          try {
+            const result = await runOperation(db, operation, session, versions);
+            results.push({ ...describeOperation(operation, operation.index), ...result });
+          } catch (error) {
+            // Annotate instead of wrapping to keep the driver's error labels (retries)
+            error.failedOperation = describeOperation(operation, operation.index);
+            throw error;
+          }
+        }
+      }, {
+        readConcern: { level: readConcern },
+        writeConcern,
+        readPreference: 'primary',
+        maxCommitTimeMS
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    // Committed: keep the previous versions when document history is enabled
+    for (const { collection, operation, documents } of versions) {
+      await recordPreviousVersions(req, collection, operation, documents);
+    }
+
+    return res.success({
+      committed: true,
+      results,
+      executionTime: Date.now() - startTime
+    }, `Transaction committed (${results.length} operations)`);
+
+  } catch (error) {
+    console.error('Transaction error:', error.message);
+
+    if (error.code === ILLEGAL_OPERATION) {
+      return res.error('Transactions require a replica set or sharded cluster', 400);
+    }
+
+    const statusCode = error.statusCode || (error.code === 11000 ? 409 : 500);
+    return res.error(`Failed to run transaction: ${error.message}`, statusCode, null, {
+      committed: false,
+      failedOperation: error.failedOperation || null
+    });
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Validator Controller
+ * Checks documents against a collection's $jsonSchema validator before they are written
+ *
+ * The server only answers 'Document failed validation'; checking locally
+ * gives every violation with the path of the offending field. Validator
+ * clauses other than $jsonSchema (query operators such as $expr) are
+ * reported as unsupportedClauses and are only enforced by the server.
+ */
+import { getMongoClient } from '../config/db.js';
+import { splitValidator, validateJsonSchema } from '../utils/jsonSchemaValidator.js';
+
+/**
+ * Read the validation options of a collection
+ * @param {import('mongodb').Db} db - Database
+ * @param {string} collName - Collection name
+ * @returns {Promise<Object>} - { schemas, settings } where settings describes the validator
+ */
+async function readValidator(db, collName) {
+  const info = await db.listCollections({ name: collName }).next();
+  const { validator = {}, validationLevel = 'strict', validationAction = 'error' } = info?.options || {};
+  const { schemas, unsupported } = splitValidator(validator);
+
+  return {
+    schemas,
+    settings: {
+      hasValidator: Object.keys(validator).length > 0,
+      validationLevel,
+      validationAction,
+      unsupportedClauses: unsupported
+    }
+  };
+}
+
+/**
+ * Check a document against every $jsonSchema of a validator
+ * @param {Object} document - Document
+ * @param {Array<Object>} schemas - $jsonSchema clauses
+ * @returns {Array<Object>} - Violations { path, keyword, message }
+ */
+function checkDocument(document, schemas) {
+  return schemas.flatMap(schema => validateJsonSchema(document, schema));
+}
+
+/**
+ * Check documents against the validator of a collection
+ * @param {import('mongodb').Db} db - Database
+ * @param {string} collName - Collection name
+ * @param {Array<Object>} documents - Documents as they would be written
+ * @param {Array<Object|null>} [originals] - Current version of each document for updates,
+ *   used for validationLevel 'moderate' (the server does not check updates of documents
+ *   that already fail validation)
+ * @returns {Promise<Object>} - { validator, valid, invalidCount, rejectedCount, results }
+ *   with one result { index, _id, valid, wouldBeRejected, violations } per document
+ */
+export async function validateAgainstCollection(db, collName, documents, originals = []) {
+  const { schemas, settings } = await readValidator(db, collName);
+  // 'warn' only logs, 'error' and 'errorAndLog' reject the write
+  const enforced = settings.validationLevel !== 'off' && settings.validationAction !== 'warn';
+
+  const results = documents.map((document, index) => {
+    const violations = checkDocument(document, schemas);
+    const original = originals[index];
+    const exempt = settings.validationLevel === 'moderate' && Boolean(original) && checkDocument(original, schemas).length > 0;
+
+    return {
+      index,
+      _id: document._id ?? null,
+      valid: violations.length === 0,
+      wouldBeRejected: violations.length > 0 && enforced && !exempt,
+      violations
+    };
+  });
+
+  return {
+    validator: settings,
+    valid: results.every(result => result.valid),
+    invalidCount: results.filter(result => !result.valid).length,
+    rejectedCount: results.filter(result => result.wouldBeRejected).length,
+    results
+  };
+}
+
+/**
+ * Summarize a validation report in a response message
+ * @param {Object} report - Result of validateAgainstCollection
+ * @returns {string} - Message
+ */
+export function describeValidation(report) {
+  if (!report.validator.hasValidator) {
+    return 'Collection has no validator';
+  }
+  return report.valid
+    ? 'All documents passed validation'
+    : `${report.invalidCount} of ${report.results.length} documents failed validation`;
+}
+
+/**
+ * Check documents against the collection validator without writing them
+ * Accepts the body of insertDocuments: { documents } as a document or an array
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const validateDocuments = async (req, res) => {
+  try {
+    const { connStr, connOptions } = req; // From session middleware
+    const { dbName, collName } = req.params;
+    const { documents } = req.body;
+
+    const client = await getMongoClient(connStr, connOptions);
+    const report = await validateAgainstCollection(client.db(dbName), collName, [].concat(documents));
+
+    return res.success(report, describeValidation(report));
+
+  } catch (error) {
+    console.error('Validate documents error:', error.message);
+    return res.error(`Failed to validate documents: ${error.message}`, error.statusCode || 500);
+  }
+};
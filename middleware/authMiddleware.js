@@ -0,0 +1,48 @@
+/**
+ * Authentication Middleware
+ * Validates bearer access tokens and exposes the caller as req.user
+ */
+import { verifyAccessToken } from '../config/tokenManager.js';
+
+/**
+ * Middleware requiring a valid access token
+ * Reads the token from the Authorization header (Bearer scheme)
+ */
+export function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.error('Authentication required', 401);
+  }
+
+  const user = verifyAccessToken(token);
+
+  if (!user) {
+    return res.error('Invalid or expired access token', 401);
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Middleware restricting a route to admin users
+ * Must run after authenticate
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.error('Admin privileges required', 403);
+  }
+
+  next();
+}
+
+/**
+ * Check whether the caller is an admin
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True for admin users
+ */
+export function isAdmin(req) {
+  return req.user?.role === 'admin';
+}
@@ -0,0 +1,47 @@
+/**
+ * Extended JSON Middleware
+ * Negotiates the EJSON mode of a request and converts request/response bodies
+ *
+ * The mode is requested with the X-EJSON-Mode header or the ejson query
+ * parameter ('canonical' or 'relaxed'). Without it requests and responses are
+ * plain JSON, as before.
+ */
+import { EJSON_MODES, deserializeExtendedJson, serializeExtendedJson } from '../utils/ejson.js';
+
+/**
+ * Middleware enabling EJSON for the request when negotiated
+ * Sets req.ejsonMode, parses req.body as EJSON and serializes the data of
+ * every response in the negotiated mode
+ */
+export function negotiateEjson(req, res, next) {
+  const mode = req.get('X-EJSON-Mode') || req.query.ejson;
+
+  if (!mode) {
+    return next();
+  }
+
+  if (!EJSON_MODES.includes(mode)) {
+    return res.error(`Invalid EJSON mode '${mode}', expected one of: ${EJSON_MODES.join(', ')}`, 400);
+  }
+
+  if (req.body && typeof req.body === 'object') {
+    try {
+      req.body = deserializeExtendedJson(req.body);
+    } catch (error) {
+      return res.error(error.message, error.statusCode);
+    }
+  }
+
+  req.ejsonMode = mode;
+  res.set('X-EJSON-Mode', mode);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && 'data' in body) {
+      body = { ...body, data: serializeExtendedJson(body.data, mode) };
+    }
+    return json(body);
+  };
+
+  next();
+}
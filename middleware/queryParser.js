@@ -0,0 +1,35 @@
+/**
+ * Query Parser Middleware
+ * Turns query text fields of the request body into typed values
+ *
+ * Fields sent as strings are parsed as mongosh-style shell syntax (or as
+ * Extended JSON in EJSON mode), see utils/shellSyntax.js. Fields that are
+ * already objects or arrays are left untouched.
+ */
+import { parseQueryText } from '../utils/shellSyntax.js';
+
+/**
+ * Create a middleware parsing the given body fields when they are strings
+ * Must run before validation and before middleware that inspects those fields
+ * @param {...string} fields - Body fields to parse (e.g. 'filter', 'pipeline')
+ * @returns {Function} - Express middleware
+ */
+export function parseQueryFields(...fields) {
+  return (req, res, next) => {
+    for (const field of fields) {
+      const value = req.body?.[field];
+
+      if (typeof value !== 'string') {
+        continue;
+      }
+
+      try {
+        req.body[field] = parseQueryText(value, req.ejsonMode);
+      } catch (error) {
+        return res.error(`Invalid ${field}: ${error.message}`, 400);
+      }
+    }
+
+    next();
+  };
+}
@@ -61,3 +61,13 @@ export const writeLimiter = rateLimit({
   legacyHeaders: false,
   skip: () => process.env.DISABLE_RATE_LIMIT === 'true',
 });
+
+// Authentication limiter - 15 minute penalty
+export const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 50, // Slows down password guessing
+  handler: createRateLimitHandler(15 * 60 * 1000, 'authentication attempts'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.DISABLE_RATE_LIMIT === 'true',
+});
@@ -36,7 +36,8 @@ export const successResponse = (req, res, next) => {
  */
 export const errorResponse = (req, res, next) => {
   // Add error response method to res object
-  res.error = (message = 'An error occurred', statusCode = 500, error = null) => {
+  // data carries what the client needs to recover (e.g. the current document on 412)
+  res.error = (message = 'An error occurred', statusCode = 500, error = null, data = undefined) => {
     const errorResponse = {
       success: false,
       message,
@@ -44,6 +45,10 @@ export const errorResponse = (req, res, next) => {
       statusCode
     };
 
+    if (data !== undefined) {
+      errorResponse.data = data;
+    }
+
     // Include error details in development environment
     if (process.env.NODE_ENV !== 'production' && error) {
       errorResponse.error = {
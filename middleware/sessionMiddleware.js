@@ -1,8 +1,9 @@
 /**
  * Session Middleware
  * Extracts and validates session, retrieves connection string
+ * Sessions are owned by the user who opened them (see authMiddleware.js)
  */
-import { getConnectionString } from '../config/sessionManagerDB.js';
+import { getSession } from '../config/sessionManager.js';
 
 /**
  * Middleware to extract session ID and get connection string
@@ -16,16 +17,56 @@ export async function extractSession(req, res, next) {
     return res.error('Session ID is required', 401);
   }
 
-  // Get connection string from session (now async with DB)
-  const connStr = await getConnectionString(sessionId);
+  let session;
+  try {
+    session = await getSession(sessionId);
+  } catch (error) {
+    console.error('Session lookup error:', error.message);
+    return res.error(error.message, error.statusCode || 500);
+  }
 
-  if (!connStr) {
+  if (!session) {
     return res.error('Invalid or expired session', 401);
   }
 
+  if (session.metadata.userId !== req.user?.userId) {
+    return res.error('Session belongs to another user', 403);
+  }
+
   // Add connection string to request object
-  req.connStr = connStr;
+  req.connStr = session.connStr;
+  req.connOptions = session.metadata.options || {};
   req.sessionId = sessionId;
+  req.session = session;
+
+  next();
+}
+
+/**
+ * Middleware rejecting write operations for read-only sessions
+ * Must run after extractSession on every route that modifies data
+ */
+export function requireWriteAccess(req, res, next) {
+  if (req.session?.metadata?.mode === 'readOnly') {
+    return res.error('This session is read-only: write operations are not allowed', 403);
+  }
+
+  next();
+}
+
+/**
+ * Middleware rejecting aggregation pipelines that write ($out/$merge) for read-only sessions
+ * Must run after extractSession on routes that run a pipeline from the request body
+ */
+export function requireWriteAccessForPipeline(req, res, next) {
+  const { pipeline } = req.body;
+  const writesOutput = Array.isArray(pipeline) && pipeline.some(stage =>
+    stage && typeof stage === 'object' && ('$out' in stage || '$merge' in stage)
+  );
+
+  if (writesOutput) {
+    return requireWriteAccess(req, res, next);
+  }
 
   next();
 }
@@ -38,10 +79,16 @@ export async function optionalSession(req, res, next) {
   const sessionId = req.body.sessionId || req.query.sessionId || req.headers['x-session-id'];
 
   if (sessionId) {
-    const connStr = await getConnectionString(sessionId);
-    if (connStr) {
-      req.connStr = connStr;
-      req.sessionId = sessionId;
+    try {
+      const session = await getSession(sessionId);
+      if (session && session.metadata.userId === req.user?.userId) {
+        req.connStr = session.connStr;
+        req.connOptions = session.metadata.options || {};
+        req.sessionId = sessionId;
+        req.session = session;
+      }
+    } catch (error) {
+      console.error('Session lookup error:', error.message);
     }
   }
 
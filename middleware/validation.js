@@ -3,17 +3,68 @@
  * Joi schemas for validating API requests
  */
 import Joi from 'joi';
+import { inspectConnectionString } from '../utils/connectionString.js';
+import { DOCUMENT_ID_TYPES } from '../utils/documentId.js';
+import { JSON_PATCH_TYPE, MERGE_PATCH_TYPE, JSON_PATCH_OPERATIONS } from '../utils/jsonPatch.js';
+
+// Connection options validation (stored with the session and used to build the MongoClient)
+// TLS files are names of files inside TLS_CERT_DIR, never arbitrary paths
+const tlsFileName = Joi.string()
+  .max(255)
+  .pattern(/^[a-zA-Z0-9._-]+$/)
+  .messages({
+    'string.pattern.base': 'TLS files must be plain file names from the configured certificate directory'
+  });
+
+const writeConcernSchema = Joi.object({
+  w: Joi.alternatives().try(Joi.number().integer().min(0), Joi.string().max(64)),
+  j: Joi.boolean(),
+  wtimeoutMS: Joi.number().integer().min(0)
+});
+
+export const connectionOptionsSchema = Joi.object({
+  tls: Joi.boolean(),
+  tlsCAFile: tlsFileName,
+  tlsCertificateKeyFile: tlsFileName,
+  readPreference: Joi.string().valid('primary', 'primaryPreferred', 'secondary', 'secondaryPreferred', 'nearest'),
+  readConcern: Joi.string().valid('local', 'available', 'majority', 'linearizable', 'snapshot'),
+  writeConcern: writeConcernSchema,
+  authSource: Joi.string().max(64),
+  authMechanism: Joi.string().valid('SCRAM-SHA-1', 'SCRAM-SHA-256', 'MONGODB-X509', 'MONGODB-AWS', 'GSSAPI', 'PLAIN', 'MONGODB-OIDC'),
+  directConnection: Joi.boolean(),
+  compressors: Joi.array().items(Joi.string().valid('snappy', 'zlib', 'zstd', 'none')).unique(),
+  appName: Joi.string().max(128)
+});
 
 // Connection string validation
+// Structural problems found by the inspector (bad ports, SRV with several hosts, ...) are rejected
+const connectionString = Joi.string()
+  .pattern(/^mongodb(\+srv)?:\/\//)
+  .max(1000)
+  .custom((value, helpers) => {
+    const { errors } = inspectConnectionString(value);
+    return errors.length > 0 ? helpers.message(`Invalid MongoDB connection string: ${errors.join('; ')}`) : value;
+  })
+  .messages({
+    'string.pattern.base': 'Invalid MongoDB connection string format',
+    'string.max': 'Connection string too long'
+  });
+
 export const connectionSchema = Joi.object({
-  connStr: Joi.string()
-    .required()
-    .pattern(/^mongodb(\+srv)?:\/\//)
-    .max(1000)
-    .messages({
-      'string.pattern.base': 'Invalid MongoDB connection string format',
-      'string.max': 'Connection string too long'
-    })
+  connStr: connectionString.required(),
+  mode: Joi.string().valid('readWrite', 'readOnly').default('readWrite'),
+  options: connectionOptionsSchema.default({})
+});
+
+// Connection string inspection validation (any string is accepted, problems are reported)
+export const inspectConnectionSchema = Joi.object({
+  connStr: Joi.string().required().max(1000)
+});
+
+// Connect with profile validation
+export const profileConnectSchema = Joi.object({
+  mode: Joi.string().valid('readWrite', 'readOnly'),
+  options: connectionOptionsSchema
 });
 
 // Session validation
@@ -58,7 +109,10 @@ export const queryDocumentsSchema = Joi.object({
   projection: Joi.object().default(null),
   sort: Joi.object().default({}),
   page: Joi.number().integer().min(1).default(1),
-  pageSize: Joi.number().integer().min(1).max(100).default(25)
+  pageSize: Joi.number().integer().min(1).max(100).default(25),
+  pagination: Joi.string().valid('offset', 'keyset'),
+  cursor: Joi.string().max(4096).allow(null),
+  count: Joi.string().valid('exact', 'estimate', 'none')
 });
 
 // Insert documents validation
@@ -69,11 +123,193 @@ export const insertDocumentsSchema = Joi.object({
   ).required()
 });
 
+// Search validation
+export const searchDocumentsSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(500).required(),
+  fields: Joi.array().items(Joi.string().max(500).pattern(/^[^$.][^.]*(?:\.[^$.][^.]*)*$/)).max(50).default([]),
+  filter: Joi.alternatives().try(
+    Joi.object(),
+    Joi.string().max(10000)
+  ).default({}),
+  mode: Joi.string().valid('auto', 'text', 'regex').default('auto'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(25),
+  maxScan: Joi.number().integer().min(1).max(100000).default(10000),
+  snippetLength: Joi.number().integer().min(20).max(1000).default(120)
+});
+
+// Document ID type hint validation (query string of the :id routes)
+export const documentIdQuerySchema = Joi.object({
+  idType: Joi.string().valid(...DOCUMENT_ID_TYPES).default('auto')
+}).unknown(true);
+
+// Dry run of the write routes: check documents against the collection validator without writing
+const validateOnlyField = Joi.boolean().default(false);
+
+export const validateOnlyQuerySchema = Joi.object({
+  validateOnly: validateOnlyField
+}).unknown(true);
+
+// Query string of the document update routes
+export const documentUpdateQuerySchema = documentIdQuerySchema.keys({
+  validateOnly: validateOnlyField
+});
+
+// Field values validation (dotted path, no $ or positional segments)
+export const fieldPathSchema = Joi.object({
+  path: Joi.string()
+    .max(500)
+    .pattern(/^(?!\d+(?:\.|$))[^$.][^.]*(?:\.(?!\d+(?:\.|$))[^$.][^.]*)*$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'path must be a dotted field path without $ or array positions'
+    })
+}).unknown(true); // Allow other fields in params
+
+export const fieldValuesQuerySchema = Joi.object({
+  filter: Joi.string().max(10000),
+  sort: Joi.string().valid('count', 'value').default('count'),
+  order: Joi.string().valid('asc', 'desc'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(1000).default(50),
+  unwindArrays: Joi.boolean().default(true),
+  maxDistinct: Joi.number().integer().min(1).max(100000).default(10000),
+  maxTimeMS: Joi.number().integer().min(100).max(60000).default(10000)
+}).unknown(true);
+
+// Document history validation
+export const historyVersionSchema = Joi.object({
+  versionId: Joi.string().guid().required()
+}).unknown(true); // Allow other fields in params
+
+export const historyDiffQuerySchema = documentIdQuerySchema.keys({
+  from: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('current')).required(),
+  to: Joi.alternatives().try(Joi.string().guid(), Joi.string().valid('current')).default('current')
+});
+
 // Update document validation
 export const updateDocumentSchema = Joi.object({
   update: Joi.object().required()
 });
 
+// JSON Patch (RFC 6902) validation
+export const jsonPatchSchema = Joi.array().items(Joi.object({
+  op: Joi.string().valid(...JSON_PATCH_OPERATIONS).required(),
+  path: Joi.string().allow('').max(1000).required(),
+  from: Joi.string().allow('').max(1000).when('op', { is: Joi.valid('move', 'copy'), then: Joi.required(), otherwise: Joi.forbidden() }),
+  value: Joi.any().when('op', { is: Joi.valid('add', 'replace', 'test'), then: Joi.required(), otherwise: Joi.forbidden() })
+})).min(1).max(1000).required();
+
+// JSON Merge Patch (RFC 7396) validation
+export const mergePatchSchema = Joi.object().min(1).required();
+
+// Document update body by content type
+const documentUpdateSchemas = {
+  [JSON_PATCH_TYPE]: jsonPatchSchema,
+  [MERGE_PATCH_TYPE]: mergePatchSchema
+};
+
+// Bulk update/delete by filter validation
+const bulkFilterFields = {
+  filter: Joi.alternatives().try(
+    Joi.object(),
+    Joi.string().max(10000)
+  ).required(),
+  dryRun: Joi.boolean().default(false),
+  sampleSize: Joi.number().integer().min(1).max(100).default(10),
+  confirmAll: Joi.boolean().default(false)
+};
+
+// Find and replace validation
+export const findReplaceSchema = Joi.object({
+  ...bulkFilterFields,
+  dryRun: Joi.boolean().default(true),
+  field: Joi.string().max(500).required(),
+  find: Joi.string().min(1).max(1000).required(),
+  replacement: Joi.string().allow('').max(10000).required(),
+  regex: Joi.boolean().default(false),
+  flags: Joi.string().pattern(/^[imsx]*$/).default('').messages({
+    'string.pattern.base': 'flags may only contain i, m, s and x'
+  }),
+  replaceAll: Joi.boolean().default(true)
+});
+
+export const updateManySchema = Joi.object({
+  ...bulkFilterFields,
+  update: Joi.alternatives().try(
+    Joi.object().min(1),
+    Joi.array().items(Joi.object()).min(1).max(50)
+  ).required()
+});
+
+export const deleteManySchema = Joi.object(bulkFilterFields);
+
+// Transaction validation
+const isOp = (...ops) => Joi.valid(...ops);
+
+const transactionOperationSchema = Joi.object({
+  op: Joi.string().valid('insert', 'update', 'replace', 'delete').required(),
+  collection: Joi.string().min(1).max(255).required(),
+  documents: Joi.when('op', {
+    is: 'insert',
+    then: Joi.alternatives().try(
+      Joi.object(),
+      Joi.array().items(Joi.object()).min(1).max(1000)
+    ).required(),
+    otherwise: Joi.forbidden()
+  }),
+  filter: Joi.when('op', {
+    is: 'insert',
+    then: Joi.forbidden(),
+    otherwise: Joi.alternatives().try(Joi.object(), Joi.string().max(10000)).required()
+  }),
+  update: Joi.when('op', {
+    is: 'update',
+    then: Joi.alternatives().try(
+      Joi.object().min(1),
+      Joi.array().items(Joi.object()).min(1).max(50)
+    ).required(),
+    otherwise: Joi.forbidden()
+  }),
+  replacement: Joi.when('op', { is: 'replace', then: Joi.object().required(), otherwise: Joi.forbidden() }),
+  multi: Joi.when('op', { is: isOp('update', 'delete'), then: Joi.boolean().default(false), otherwise: Joi.forbidden() }),
+  upsert: Joi.when('op', { is: isOp('update', 'replace'), then: Joi.boolean().default(false), otherwise: Joi.forbidden() }),
+  requireMatch: Joi.when('op', { is: 'insert', then: Joi.forbidden(), otherwise: Joi.boolean().default(false) }),
+  confirmAll: Joi.boolean().default(false)
+});
+
+export const transactionSchema = Joi.object({
+  operations: Joi.array().items(transactionOperationSchema).min(1).max(100).required(),
+  readConcern: Joi.string().valid('local', 'majority', 'snapshot').default('snapshot'),
+  writeConcern: writeConcernSchema,
+  maxCommitTimeMS: Joi.number().integer().min(1).max(60000)
+});
+
+// Copy/move documents validation
+export const transferDocumentsSchema = Joi.object({
+  target: Joi.object({
+    dbName: Joi.string()
+      .min(1)
+      .max(64)
+      .pattern(/^[a-zA-Z0-9_-]+$/)
+      .messages({
+        'string.pattern.base': 'Database name can only contain letters, numbers, underscores, and hyphens'
+      }),
+    collName: Joi.string().min(1).max(255).required()
+  }).required(),
+  filter: Joi.alternatives().try(
+    Joi.object(),
+    Joi.string().max(10000)
+  ),
+  ids: Joi.array().items(Joi.any().required()).min(1).max(10000),
+  idType: Joi.string().valid(...DOCUMENT_ID_TYPES).default('auto'),
+  onConflict: Joi.string().valid('skip', 'overwrite', 'regenerate').default('skip'),
+  batchSize: Joi.number().integer().min(1).max(1000).default(500),
+  dryRun: Joi.boolean().default(false),
+  sampleSize: Joi.number().integer().min(1).max(100).default(10),
+  confirmAll: Joi.boolean().default(false)
+}).oxor('filter', 'ids');
+
 // Create collection validation
 export const createCollectionSchema = Joi.object({
   collName: Joi.string().required().min(1).max(255),
@@ -85,6 +321,197 @@ export const renameCollectionSchema = Joi.object({
   newName: Joi.string().required().min(1).max(255)
 });
 
+// GridFS validation
+export const gridfsBucketSchema = Joi.object({
+  bucket: Joi.string()
+    .required()
+    .min(1)
+    .max(100)
+    .pattern(/^[a-zA-Z0-9_.-]+$/)
+    .messages({
+      'string.pattern.base': 'Bucket name can only contain letters, numbers, dots, underscores, and hyphens'
+    })
+}).unknown(true);
+
+export const gridfsFileListSchema = Joi.object({
+  filter: Joi.string().max(10000),
+  search: Joi.string().max(200),
+  contentType: Joi.string().max(100),
+  sort: Joi.string().valid('uploadDate', 'filename', 'length').default('uploadDate'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  pageSize: Joi.number().integer().min(1).max(100).default(25)
+}).unknown(true);
+
+export const renameFileSchema = Joi.object({
+  filename: Joi.string().trim().min(1).max(255).required()
+});
+
+// Connection profile validation
+const profileFields = {
+  name: Joi.string().trim().min(1).max(100),
+  connStr: connectionString,
+  environment: Joi.string().valid('prod', 'staging', 'dev'),
+  color: Joi.string()
+    .pattern(/^#[0-9a-fA-F]{6}$/)
+    .allow(null)
+    .messages({
+      'string.pattern.base': 'Color must be a hex color like #1a2b3c'
+    }),
+  mode: Joi.string().valid('readWrite', 'readOnly'),
+  options: connectionOptionsSchema
+};
+
+export const createProfileSchema = Joi.object({
+  ...profileFields,
+  name: profileFields.name.required(),
+  connStr: profileFields.connStr.required(),
+  environment: profileFields.environment.default('dev'),
+  mode: profileFields.mode.default('readWrite'),
+  options: profileFields.options.default({})
+});
+
+export const updateProfileSchema = Joi.object(profileFields).min(1);
+
+export const profileIdSchema = Joi.object({
+  profileId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid profile ID format'
+    })
+}).unknown(true);
+
+// Saved query validation
+const queryText = Joi.string().max(10000);
+
+const savedQueryParameters = {
+  find: Joi.object({
+    filter: Joi.alternatives().try(Joi.object(), queryText),
+    projection: Joi.alternatives().try(Joi.object(), queryText),
+    sort: Joi.alternatives().try(Joi.object(), queryText)
+  }),
+  aggregate: Joi.object({
+    pipeline: Joi.alternatives().try(
+      Joi.array().items(Joi.object()).min(1).max(50),
+      queryText
+    ).required()
+  })
+};
+
+const savedQueryFields = {
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().max(1000).allow(''),
+  tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique(),
+  shared: Joi.boolean(),
+  dbName: Joi.string().min(1).max(64).allow(null),
+  collName: Joi.string().min(1).max(255).allow(null),
+  type: Joi.string().valid('find', 'aggregate'),
+  parameters: Joi.when('type', {
+    is: 'aggregate',
+    then: savedQueryParameters.aggregate,
+    otherwise: savedQueryParameters.find
+  })
+};
+
+export const createSavedQuerySchema = Joi.object({
+  ...savedQueryFields,
+  name: savedQueryFields.name.required(),
+  description: savedQueryFields.description.default(''),
+  tags: savedQueryFields.tags.default([]),
+  shared: savedQueryFields.shared.default(false),
+  type: savedQueryFields.type.required(),
+  parameters: savedQueryFields.parameters.required()
+});
+
+// Parameters are checked against the type, so both are changed together
+export const updateSavedQuerySchema = Joi.object(savedQueryFields).min(1).and('type', 'parameters');
+
+export const savedQueryIdSchema = Joi.object({
+  queryId: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'Invalid saved query ID format'
+    })
+}).unknown(true);
+
+export const savedQueryListSchema = Joi.object({
+  tag: Joi.string().max(50),
+  type: Joi.string().valid('find', 'aggregate'),
+  dbName: Joi.string().max(64),
+  collName: Joi.string().max(255),
+  mine: Joi.boolean().default(false)
+}).unknown(true);
+
+// Overrides when running a saved query (namespace, pagination, aggregation options)
+export const runSavedQuerySchema = Joi.object({
+  dbName: Joi.string().min(1).max(64),
+  collName: Joi.string().min(1).max(255),
+  page: Joi.number().integer().min(1),
+  pageSize: Joi.number().integer().min(1).max(100),
+  pagination: Joi.string().valid('offset', 'keyset'),
+  cursor: Joi.string().max(4096).allow(null),
+  count: Joi.string().valid('exact', 'estimate', 'none'),
+  options: Joi.object({
+    maxTimeMS: Joi.number().integer().min(1).max(300000),
+    allowDiskUse: Joi.boolean()
+  })
+});
+
+export const queryHistoryListSchema = Joi.object({
+  sessionId: Joi.string().max(100),
+  type: Joi.string().valid('find', 'aggregate'),
+  dbName: Joi.string().max(64),
+  collName: Joi.string().max(255),
+  before: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+}).unknown(true);
+
+// Account validation
+const credentialFields = {
+  username: Joi.string()
+    .trim()
+    .min(3)
+    .max(50)
+    .pattern(/^[a-zA-Z0-9._-]+$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Username can only contain letters, numbers, dots, underscores, and hyphens'
+    }),
+  password: Joi.string().min(8).max(128).required()
+};
+
+export const registerSchema = Joi.object(credentialFields);
+
+export const loginSchema = Joi.object({
+  username: Joi.string().max(50).required(),
+  password: Joi.string().max(128).required()
+});
+
+export const createUserSchema = Joi.object({
+  ...credentialFields,
+  role: Joi.string().valid('user', 'admin').default('user')
+});
+
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+export const logoutSchema = Joi.object({
+  refreshToken: Joi.string(),
+  all: Joi.boolean().default(false)
+});
+
+/**
+ * Validate a document update body with the schema of its content type
+ * JSON Patch and JSON Merge Patch bodies, otherwise updateDocumentSchema
+ */
+export function validateDocumentUpdate(req, res, next) {
+  const patchType = req.is(JSON_PATCH_TYPE, MERGE_PATCH_TYPE);
+  return validate(patchType ? documentUpdateSchemas[patchType] : updateDocumentSchema)(req, res, next);
+}
+
 /**
  * Validation middleware factory
  * @param {Joi.Schema} schema - Joi validation schema
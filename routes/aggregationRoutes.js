@@ -9,8 +9,9 @@ import {
   validatePipeline,
   explainAggregation
 } from '../controllers/aggregationController.js';
-import { extractSession } from '../middleware/sessionMiddleware.js';
+import { extractSession, requireWriteAccessForPipeline } from '../middleware/sessionMiddleware.js';
 import { apiLimiter } from '../middleware/rateLimiter.js';
+import { parseQueryFields } from '../middleware/queryParser.js';
 
 const router = express.Router();
 
@@ -18,9 +19,10 @@ const router = express.Router();
 router.use(extractSession);
 
 // Aggregation routes
-router.post('/databases/:dbName/collections/:collName/aggregate', apiLimiter, executeAggregation);
+// Pipelines may be sent as shell syntax text, they are parsed before the $out/$merge write check
+router.post('/databases/:dbName/collections/:collName/aggregate', apiLimiter, parseQueryFields('pipeline'), requireWriteAccessForPipeline, executeAggregation);
 router.get('/databases/:dbName/collections/:collName/aggregate/suggestions', apiLimiter, getAggregationSuggestions);
-router.post('/databases/:dbName/collections/:collName/aggregate/explain', apiLimiter, explainAggregation);
-router.post('/aggregate/validate', apiLimiter, validatePipeline);
+router.post('/databases/:dbName/collections/:collName/aggregate/explain', apiLimiter, parseQueryFields('pipeline'), requireWriteAccessForPipeline, explainAggregation);
+router.post('/aggregate/validate', apiLimiter, parseQueryFields('pipeline'), validatePipeline);
 
 export default router;
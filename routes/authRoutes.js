@@ -0,0 +1,34 @@
+/**
+ * Auth Routes
+ * Routes for user accounts and token authentication
+ */
+import express from 'express';
+import {
+  register,
+  login,
+  refresh,
+  logout,
+  getCurrentUser,
+  createUserAccount,
+  listUsers
+} from '../controllers/authController.js';
+import { authenticate, requireAdmin } from '../middleware/authMiddleware.js';
+import { validate, registerSchema, loginSchema, createUserSchema, refreshTokenSchema, logoutSchema } from '../middleware/validation.js';
+import { apiLimiter, writeLimiter, authLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Public auth routes
+router.post('/auth/register', authLimiter, validate(registerSchema), register);
+router.post('/auth/login', authLimiter, validate(loginSchema), login);
+router.post('/auth/refresh', authLimiter, validate(refreshTokenSchema), refresh);
+
+// Authenticated auth routes
+router.post('/auth/logout', authenticate, validate(logoutSchema), logout);
+router.get('/auth/me', apiLimiter, authenticate, getCurrentUser);
+
+// Admin account management
+router.get('/users', apiLimiter, authenticate, requireAdmin, listUsers);
+router.post('/users', writeLimiter, authenticate, requireAdmin, validate(createUserSchema), createUserAccount);
+
+export default router;
@@ -5,20 +5,27 @@
 import express from 'express';
 import { 
   connectToDatabase, 
+  inspectConnectionString,
   disconnectFromDatabase, 
   getSessions,
+  getSessionConnectionHealth,
+  revokeSession,
   validateSession
 } from '../controllers/connectionController.js';
-import { validate, connectionSchema, sessionSchema } from '../middleware/validation.js';
+import { validate, connectionSchema, inspectConnectionSchema, sessionSchema } from '../middleware/validation.js';
 import { connectionLimiter, apiLimiter } from '../middleware/rateLimiter.js';
+import { extractSession } from '../middleware/sessionMiddleware.js';
 
 const router = express.Router();
 
 // Connection routes with validation and rate limiting
 router.post('/connect', connectionLimiter, validate(connectionSchema), connectToDatabase);
+router.post('/connect/inspect', apiLimiter, validate(inspectConnectionSchema), inspectConnectionString);
 router.post('/validate-session', apiLimiter, validateSession);
 router.post('/disconnect', validate(sessionSchema), disconnectFromDatabase);
-router.get('/sessions', getSessions);
+router.get('/connection/health', apiLimiter, extractSession, getSessionConnectionHealth);
+router.get('/sessions', apiLimiter, getSessions);
+router.delete('/sessions/:sessionId', apiLimiter, validate(sessionSchema, 'params'), revokeSession);
 
 
 export default router;
\ No newline at end of file
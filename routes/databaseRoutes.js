@@ -4,8 +4,9 @@
  */
 import express from 'express';
 import { listDatabases, getDatabaseInfo, createDatabase, dropDatabase } from '../controllers/databaseController.js';
-import { extractSession } from '../middleware/sessionMiddleware.js';
-import { validate, databaseNameSchema } from '../middleware/validation.js';
+import { executeTransaction } from '../controllers/transactionController.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
+import { validate, databaseNameSchema, transactionSchema } from '../middleware/validation.js';
 import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -16,7 +17,10 @@ router.use(extractSession);
 // Database routes with validation and rate limiting
 router.get('/databases', apiLimiter, listDatabases);
 router.get('/databases/:dbName', apiLimiter, validate(databaseNameSchema, 'params'), getDatabaseInfo);
-router.post('/databases/:dbName', writeLimiter, validate(databaseNameSchema, 'params'), createDatabase);
-router.delete('/databases/:dbName', writeLimiter, validate(databaseNameSchema, 'params'), dropDatabase);
+router.post('/databases/:dbName', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), createDatabase);
+router.delete('/databases/:dbName', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), dropDatabase);
+
+// Multi-operation transaction across the collections of a database
+router.post('/databases/:dbName/transaction', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), validate(transactionSchema), executeTransaction);
 
 export default router;
\ No newline at end of file
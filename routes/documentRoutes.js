@@ -8,11 +8,19 @@ import {
   getDocumentById, 
   insertDocuments, 
   updateDocument, 
-  deleteDocument 
+  deleteDocument,
+  updateManyDocuments,
+  deleteManyDocuments,
+  findAndReplace,
+  searchDocuments,
+  copyDocuments,
+  moveDocuments
 } from '../controllers/documentController.js';
-import { extractSession } from '../middleware/sessionMiddleware.js';
-import { validate, queryDocumentsSchema, insertDocumentsSchema, updateDocumentSchema } from '../middleware/validation.js';
+import { validateDocuments } from '../controllers/validatorController.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
+import { validate, queryDocumentsSchema, insertDocumentsSchema, validateDocumentUpdate, documentIdQuerySchema, updateManySchema, deleteManySchema, findReplaceSchema, searchDocumentsSchema, transferDocumentsSchema, validateOnlyQuerySchema, documentUpdateQuerySchema } from '../middleware/validation.js';
 import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+import { parseQueryFields } from '../middleware/queryParser.js';
 
 const router = express.Router();
 
@@ -20,10 +28,18 @@ const router = express.Router();
 router.use(extractSession);
 
 // Document routes with validation and rate limiting
-router.post('/databases/:dbName/collections/:collName/documents/query', apiLimiter, validate(queryDocumentsSchema), queryDocuments);
-router.get('/databases/:dbName/collections/:collName/documents/:id', apiLimiter, getDocumentById);
-router.post('/databases/:dbName/collections/:collName/documents', writeLimiter, validate(insertDocumentsSchema), insertDocuments);
-router.put('/databases/:dbName/collections/:collName/documents/:id', writeLimiter, validate(updateDocumentSchema), updateDocument);
-router.delete('/databases/:dbName/collections/:collName/documents/:id', writeLimiter, deleteDocument);
+router.post('/databases/:dbName/collections/:collName/documents/query', apiLimiter, parseQueryFields('filter', 'projection', 'sort'), validate(queryDocumentsSchema), queryDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/search', apiLimiter, parseQueryFields('filter'), validate(searchDocumentsSchema), searchDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/updateMany', writeLimiter, requireWriteAccess, parseQueryFields('filter', 'update'), validate(updateManySchema), updateManyDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/findReplace', writeLimiter, requireWriteAccess, parseQueryFields('filter'), validate(findReplaceSchema), findAndReplace);
+router.post('/databases/:dbName/collections/:collName/documents/deleteMany', writeLimiter, requireWriteAccess, parseQueryFields('filter'), validate(deleteManySchema), deleteManyDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/copy', writeLimiter, requireWriteAccess, parseQueryFields('filter'), validate(transferDocumentsSchema), copyDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/move', writeLimiter, requireWriteAccess, parseQueryFields('filter'), validate(transferDocumentsSchema), moveDocuments);
+router.post('/databases/:dbName/collections/:collName/documents/validate', apiLimiter, validate(insertDocumentsSchema), validateDocuments);
+router.get('/databases/:dbName/collections/:collName/documents/:id', apiLimiter, validate(documentIdQuerySchema, 'query'), getDocumentById);
+router.post('/databases/:dbName/collections/:collName/documents', writeLimiter, requireWriteAccess, validate(validateOnlyQuerySchema, 'query'), validate(insertDocumentsSchema), insertDocuments);
+router.put('/databases/:dbName/collections/:collName/documents/:id', writeLimiter, requireWriteAccess, validate(documentUpdateQuerySchema, 'query'), validateDocumentUpdate, updateDocument);
+router.patch('/databases/:dbName/collections/:collName/documents/:id', writeLimiter, requireWriteAccess, validate(documentUpdateQuerySchema, 'query'), validateDocumentUpdate, updateDocument);
+router.delete('/databases/:dbName/collections/:collName/documents/:id', writeLimiter, requireWriteAccess, validate(documentIdQuerySchema, 'query'), deleteDocument);
 
 export default router;
\ No newline at end of file
@@ -10,8 +10,9 @@ import {
   importFromCSV,
   getExportInfo
 } from '../controllers/exportImportController.js';
-import { extractSession } from '../middleware/sessionMiddleware.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
 import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+import { validate, validateOnlyQuerySchema } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -24,7 +25,7 @@ router.post('/databases/:dbName/collections/:collName/export/csv', apiLimiter, e
 router.post('/databases/:dbName/collections/:collName/export/info', apiLimiter, getExportInfo);
 
 // Import routes
-router.post('/databases/:dbName/collections/:collName/import/json', writeLimiter, importFromJSON);
-router.post('/databases/:dbName/collections/:collName/import/csv', writeLimiter, importFromCSV);
+router.post('/databases/:dbName/collections/:collName/import/json', writeLimiter, requireWriteAccess, validate(validateOnlyQuerySchema, 'query'), importFromJSON);
+router.post('/databases/:dbName/collections/:collName/import/csv', writeLimiter, requireWriteAccess, validate(validateOnlyQuerySchema, 'query'), importFromCSV);
 
 export default router;
@@ -0,0 +1,33 @@
+/**
+ * GridFS Routes
+ * Routes for browsing GridFS buckets and files
+ */
+import express from 'express';
+import {
+  listBuckets,
+  listFiles,
+  getFile,
+  downloadFile,
+  uploadFile,
+  renameFile,
+  deleteFile
+} from '../controllers/gridfsController.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
+import { validate, databaseNameSchema, gridfsBucketSchema, gridfsFileListSchema, documentIdQuerySchema, renameFileSchema } from '../middleware/validation.js';
+import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// All GridFS routes require session
+router.use(extractSession);
+
+// Bucket and file routes (:fileId accepts any _id type, like document routes)
+router.get('/databases/:dbName/gridfs', apiLimiter, validate(databaseNameSchema, 'params'), listBuckets);
+router.get('/databases/:dbName/gridfs/:bucket/files', apiLimiter, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), validate(gridfsFileListSchema, 'query'), listFiles);
+router.post('/databases/:dbName/gridfs/:bucket/files', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), uploadFile);
+router.get('/databases/:dbName/gridfs/:bucket/files/:fileId', apiLimiter, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), validate(documentIdQuerySchema, 'query'), getFile);
+router.get('/databases/:dbName/gridfs/:bucket/files/:fileId/download', apiLimiter, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), validate(documentIdQuerySchema, 'query'), downloadFile);
+router.patch('/databases/:dbName/gridfs/:bucket/files/:fileId', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), validate(documentIdQuerySchema, 'query'), validate(renameFileSchema), renameFile);
+router.delete('/databases/:dbName/gridfs/:bucket/files/:fileId', writeLimiter, requireWriteAccess, validate(databaseNameSchema, 'params'), validate(gridfsBucketSchema, 'params'), validate(documentIdQuerySchema, 'query'), deleteFile);
+
+export default router;
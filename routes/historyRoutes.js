@@ -0,0 +1,27 @@
+/**
+ * History Routes
+ * Routes for document version history
+ */
+import express from 'express';
+import {
+  listDocumentVersions,
+  getDocumentVersion,
+  diffDocumentVersions,
+  restoreDocumentVersion
+} from '../controllers/historyController.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
+import { validate, documentIdQuerySchema, historyVersionSchema, historyDiffQuerySchema } from '../middleware/validation.js';
+import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// All history routes require session
+router.use(extractSession);
+
+// History routes with validation and rate limiting
+router.get('/databases/:dbName/collections/:collName/documents/:id/history', apiLimiter, validate(documentIdQuerySchema, 'query'), listDocumentVersions);
+router.get('/databases/:dbName/collections/:collName/documents/:id/history/diff', apiLimiter, validate(historyDiffQuerySchema, 'query'), diffDocumentVersions);
+router.get('/databases/:dbName/collections/:collName/documents/:id/history/:versionId', apiLimiter, validate(historyVersionSchema, 'params'), validate(documentIdQuerySchema, 'query'), getDocumentVersion);
+router.post('/databases/:dbName/collections/:collName/documents/:id/history/:versionId/restore', writeLimiter, requireWriteAccess, validate(historyVersionSchema, 'params'), validate(documentIdQuerySchema, 'query'), restoreDocumentVersion);
+
+export default router;
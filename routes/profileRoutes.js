@@ -0,0 +1,27 @@
+/**
+ * Profile Routes
+ * Routes for saved connection profiles
+ */
+import express from 'express';
+import {
+  createProfile,
+  listProfiles,
+  getProfile,
+  updateProfile,
+  deleteProfile,
+  connectWithProfile
+} from '../controllers/profileController.js';
+import { validate, createProfileSchema, updateProfileSchema, profileIdSchema, profileConnectSchema } from '../middleware/validation.js';
+import { apiLimiter, writeLimiter, connectionLimiter } from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+// Profile routes with validation and rate limiting
+router.get('/profiles', apiLimiter, listProfiles);
+router.post('/profiles', writeLimiter, validate(createProfileSchema), createProfile);
+router.get('/profiles/:profileId', apiLimiter, validate(profileIdSchema, 'params'), getProfile);
+router.put('/profiles/:profileId', writeLimiter, validate(profileIdSchema, 'params'), validate(updateProfileSchema), updateProfile);
+router.delete('/profiles/:profileId', writeLimiter, validate(profileIdSchema, 'params'), deleteProfile);
+router.post('/profiles/:profileId/connect', connectionLimiter, validate(profileIdSchema, 'params'), validate(profileConnectSchema), connectWithProfile);
+
+export default router;
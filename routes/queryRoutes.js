@@ -0,0 +1,55 @@
+/**
+ * Query Routes
+ * Routes for saved queries and query history
+ */
+import express from 'express';
+import {
+  createSavedQuery,
+  listSavedQueries,
+  getSavedQuery,
+  updateSavedQuery,
+  deleteSavedQuery,
+  prepareSavedQueryRun,
+  listQueryHistory,
+  clearQueryHistory
+} from '../controllers/queryController.js';
+import { queryDocuments } from '../controllers/documentController.js';
+import { executeAggregation } from '../controllers/aggregationController.js';
+import { extractSession, requireWriteAccessForPipeline } from '../middleware/sessionMiddleware.js';
+import {
+  validate,
+  queryDocumentsSchema,
+  createSavedQuerySchema,
+  updateSavedQuerySchema,
+  savedQueryIdSchema,
+  savedQueryListSchema,
+  runSavedQuerySchema,
+  queryHistoryListSchema
+} from '../middleware/validation.js';
+import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+import { parseQueryFields } from '../middleware/queryParser.js';
+
+const router = express.Router();
+
+// Saved query runs go through the same middleware and controllers as the find and aggregate routes
+const runFind = express.Router({ mergeParams: true });
+runFind.use(parseQueryFields('filter', 'projection', 'sort'), validate(queryDocumentsSchema), queryDocuments);
+
+const runAggregate = express.Router({ mergeParams: true });
+runAggregate.use(parseQueryFields('pipeline'), requireWriteAccessForPipeline, executeAggregation);
+
+const runSavedQuery = (req, res, next) => (req.savedQuery.type === 'aggregate' ? runAggregate : runFind)(req, res, next);
+
+// Query history routes
+router.get('/queries/history', apiLimiter, validate(queryHistoryListSchema, 'query'), listQueryHistory);
+router.delete('/queries/history', writeLimiter, validate(queryHistoryListSchema, 'query'), clearQueryHistory);
+
+// Saved query routes with validation and rate limiting
+router.get('/queries', apiLimiter, validate(savedQueryListSchema, 'query'), listSavedQueries);
+router.post('/queries', writeLimiter, validate(createSavedQuerySchema), createSavedQuery);
+router.get('/queries/:queryId', apiLimiter, validate(savedQueryIdSchema, 'params'), getSavedQuery);
+router.put('/queries/:queryId', writeLimiter, validate(savedQueryIdSchema, 'params'), validate(updateSavedQuerySchema), updateSavedQuery);
+router.delete('/queries/:queryId', writeLimiter, validate(savedQueryIdSchema, 'params'), deleteSavedQuery);
+router.post('/queries/:queryId/run', apiLimiter, extractSession, validate(savedQueryIdSchema, 'params'), validate(runSavedQuerySchema), prepareSavedQueryRun, runSavedQuery);
+
+export default router;
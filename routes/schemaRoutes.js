@@ -5,12 +5,14 @@
 import express from 'express';
 import { 
   analyzeSchema, 
+  getFieldValues,
   listIndexes, 
   createIndex, 
   dropIndex 
 } from '../controllers/schemaController.js';
-import { extractSession } from '../middleware/sessionMiddleware.js';
+import { extractSession, requireWriteAccess } from '../middleware/sessionMiddleware.js';
 import { apiLimiter, writeLimiter } from '../middleware/rateLimiter.js';
+import { validate, fieldPathSchema, fieldValuesQuerySchema } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -19,10 +21,11 @@ router.use(extractSession);
 
 // Schema analysis routes
 router.post('/databases/:dbName/collections/:collName/schema', apiLimiter, analyzeSchema);
+router.get('/databases/:dbName/collections/:collName/fields/:path/values', apiLimiter, validate(fieldPathSchema, 'params'), validate(fieldValuesQuerySchema, 'query'), getFieldValues);
 
 // Index management routes
 router.get('/databases/:dbName/collections/:collName/indexes', apiLimiter, listIndexes);
-router.post('/databases/:dbName/collections/:collName/indexes', writeLimiter, createIndex);
-router.delete('/databases/:dbName/collections/:collName/indexes/:indexName', writeLimiter, dropIndex);
+router.post('/databases/:dbName/collections/:collName/indexes', writeLimiter, requireWriteAccess, createIndex);
+router.delete('/databases/:dbName/collections/:collName/indexes/:indexName', writeLimiter, requireWriteAccess, dropIndex);
 
 export default router;
\ No newline at end of file
@@ -7,15 +7,24 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { successResponse, errorResponse, errorHandler, notFound } from '../middleware/responseHandler.js';
 import { apiLimiter } from '../middleware/rateLimiter.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { negotiateEjson } from '../middleware/ejsonMiddleware.js';
+import { trackRequests, isDraining, getInFlightCount, registerShutdownHandlers } from '../config/shutdown.js';
+import { ensureAdminAccount } from '../config/userManager.js';
 
 // Import routes
+import authRoutes from '../routes/authRoutes.js';
 import connectionRoutes from '../routes/connectionRoutes.js';
 import databaseRoutes from '../routes/databaseRoutes.js';
 import collectionRoutes from '../routes/collectionRoutes.js';
 import documentRoutes from '../routes/documentRoutes.js';
+import historyRoutes from '../routes/historyRoutes.js';
 import schemaRoutes from '../routes/schemaRoutes.js';
 import aggregationRoutes from '../routes/aggregationRoutes.js';
 import exportImportRoutes from '../routes/exportImportRoutes.js';
+import gridfsRoutes from '../routes/gridfsRoutes.js';
+import profileRoutes from '../routes/profileRoutes.js';
+import queryRoutes from '../routes/queryRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -25,10 +34,11 @@ const app = express();
 
 // Middleware
 app.use(cors({
-  origin:  '*'
-
+  origin:  '*',
+  exposedHeaders: ['ETag', 'X-EJSON-Mode', 'Content-Disposition', 'Content-Range', 'Accept-Ranges']
 }));
-app.use(express.json({ limit: '2mb' }));
+// JSON bodies, including JSON Patch and JSON Merge Patch (application/*+json)
+app.use(express.json({ limit: '2mb', type: ['application/json', 'application/*+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '2mb' }));
 
 // Simple HTTP request logging
@@ -45,22 +55,50 @@ app.use((req, res, next) => {
 app.use(successResponse);
 app.use(errorResponse);
 
+// Track in-flight API requests and refuse new ones while shutting down
+app.use('/api', trackRequests);
+
+// Extended JSON request/response bodies when requested (X-EJSON-Mode header or ?ejson=)
+app.use('/api', negotiateEjson);
+
 // Apply rate limiting to all API routes
 app.use('/api', apiLimiter);
 
+// Public auth routes (register, login, refresh)
+app.use('/api', authRoutes);
+
+// Every other API route requires an access token
+app.use('/api', authenticate);
+
 // API Routes
 app.use('/api', connectionRoutes);
+app.use('/api', profileRoutes);
+app.use('/api', queryRoutes);
 app.use('/api', databaseRoutes);
 app.use('/api', collectionRoutes);
 app.use('/api', documentRoutes);
+app.use('/api', historyRoutes);
 app.use('/api', schemaRoutes);
 app.use('/api', aggregationRoutes);
 app.use('/api', exportImportRoutes);
+app.use('/api', gridfsRoutes);
 
 // Health check route
+// Reports 'draining' with a 503 once shutdown has started so load balancers stop routing traffic
 app.get('/health', (req, res) => {
+  if (isDraining()) {
+    return res.success({
+      status: 'draining',
+      ready: false,
+      inFlightRequests: getInFlightCount(),
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    }, 'Server is shutting down', 503);
+  }
+
   res.success({ 
     status: 'ok', 
+    ready: true,
     uptime: process.uptime(),
     timestamp: new Date().toISOString()
   }, 'Server is running');
@@ -76,7 +114,7 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 4000;
 const DOMAIN = process.env.DOMAIN || 'localhost';
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║  MongoDB Data Explorer & Analyzer - Backend Server       ║
@@ -88,16 +126,13 @@ app.listen(PORT, () => {
   console.log(`Server started - Port: ${PORT}, Environment: ${process.env.NODE_ENV || 'development'}, Node: ${process.version}`);
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  process.exit(0);
+// Create the configured admin account (AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD) if it does not exist yet
+ensureAdminAccount().catch((error) => {
+  console.error('[Users] ❌ Failed to create the admin account:', error.message);
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT signal received: closing HTTP server');
-  process.exit(0);
-});
+// Graceful shutdown: drain in-flight requests, then close all MongoDB clients and stores
+registerShutdownHandlers(server);
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,215 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BSONRegExp } from 'mongodb';
+import { parseFieldPath, buildFindRegex, buildMatchFilter, buildReplaceStage } from '../utils/findReplace.js';
+
+const codePoints = (text) => Array.from(text);
+
+/**
+ * Type name of a value as returned by $type
+ * @param {*} value - Value
+ * @returns {string} - Type name
+ */
+function typeName(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'bool';
+  return 'object';
+}
+
+/**
+ * Find regex matches the way $regexFind and $regexFindAll report them (code point indexes)
+ * @param {Object} spec - { input, regex, options }
+ * @param {boolean} all - Return every match
+ * @returns {Array<Object>} - Matches { match, idx, captures }
+ */
+function regexMatches({ input, regex, options }, all) {
+  const flags = options.replace('x', '') + 'gu';
+  const found = [...input.matchAll(new RegExp(regex, flags))].map(match => ({
+    match: match[0],
+    idx: codePoints(input.slice(0, match.index)).length,
+    captures: match.slice(1).map(capture => capture ?? null)
+  }));
+  return all ? found : found.slice(0, 1);
+}
+
+/**
+ * Evaluate the aggregation expressions built by findReplace.js
+ * Only implements the operators these expressions use
+ * @param {*} expression - Expression
+ * @param {Object} vars - Variables, ROOT is the document
+ * @returns {*} - Value, undefined for missing
+ */
+function evaluate(expression, vars) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    const [name, ...path] = expression.startsWith('$$') ? expression.slice(2).split('.') : ['ROOT', ...expression.slice(1).split('.')];
+    return path.reduce((value, key) => (typeName(value) === 'object' ? value[key] : undefined), vars[name]);
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, vars));
+  }
+  if (typeName(expression) !== 'object') {
+    return expression;
+  }
+
+  const [[operator, args]] = Object.entries(expression);
+  if (!operator.startsWith('$')) {
+    const result = {};
+    for (const [key, value] of Object.entries(expression)) {
+      const evaluated = evaluate(value, vars);
+      if (evaluated !== undefined) {
+        result[key] = evaluated;
+      }
+    }
+    return result;
+  }
+
+  const arg = (value) => evaluate(value, vars);
+  switch (operator) {
+    case '$literal': return args;
+    case '$let': {
+      const scope = { ...vars };
+      for (const [name, value] of Object.entries(args.vars)) {
+        scope[name] = arg(value);
+      }
+      return evaluate(args.in, scope);
+    }
+    case '$cond': return arg(args[0]) ? arg(args[1]) : arg(args[2]);
+    case '$eq': return arg(args[0]) === arg(args[1]);
+    case '$type': return typeName(arg(args));
+    case '$isArray': return Array.isArray(arg(args));
+    case '$ifNull': return arg(args[0]) ?? arg(args[1]);
+    case '$arrayElemAt': return arg(args[0])[arg(args[1])];
+    case '$add': return arg(args[0]) + arg(args[1]);
+    case '$subtract': return arg(args[0]) - arg(args[1]);
+    case '$strLenCP': return codePoints(arg(args)).length;
+    case '$substrCP': return codePoints(arg(args[0])).slice(arg(args[1]), arg(args[1]) + arg(args[2])).join('');
+    case '$concat': {
+      const parts = args.map(arg);
+      return parts.some(part => part === null || part === undefined) ? null : parts.join('');
+    }
+    case '$mergeObjects': return Object.assign({}, ...args.map(arg).filter(Boolean));
+    case '$map': return arg(args.input).map(item => evaluate(args.in, { ...vars, [args.as]: item }));
+    case '$reduce': return arg(args.input).reduce((value, item) => evaluate(args.in, { ...vars, value, this: item }), arg(args.initialValue));
+    case '$replaceOne': return arg(args.input).replace(arg(args.find), () => arg(args.replacement));
+    case '$replaceAll': return arg(args.input).split(arg(args.find)).join(arg(args.replacement));
+    case '$regexFind': return regexMatches({ input: arg(args.input), regex: args.regex, options: args.options }, false)[0] ?? null;
+    case '$regexFindAll': return regexMatches({ input: arg(args.input), regex: args.regex, options: args.options }, true);
+    default: throw new Error(`Operator ${operator} is not supported by the test evaluator`);
+  }
+}
+
+/**
+ * Run find-and-replace on a document the way the pipeline update does
+ * @param {Object} doc - Document
+ * @param {string} field - Field path
+ * @param {Object} options - Find options
+ * @returns {Object} - Updated document
+ */
+function replaceIn(doc, field, options) {
+  const { root, expression } = buildReplaceStage(field, { regex: false, flags: '', replaceAll: false, ...options });
+  const value = evaluate(expression, { ROOT: doc });
+  const result = { ...doc };
+  if (value !== undefined) {
+    result[root] = value;
+  }
+  return result;
+}
+
+describe('parseFieldPath', () => {
+  it('splits dotted paths', () => {
+    assert.deepEqual(parseFieldPath('items.sku'), ['items', 'sku']);
+  });
+
+  it('rejects empty, operator and positional segments', () => {
+    for (const field of ['', 'a..b', '$where', 'a.$', 'items.0.sku']) {
+      assert.throws(() => parseFieldPath(field), { statusCode: 400 }, field);
+    }
+  });
+});
+
+describe('buildFindRegex and buildMatchFilter', () => {
+  it('escapes literal text', () => {
+    const regex = buildFindRegex({ find: 'a.b*(c)', regex: false, flags: 'i' });
+
+    assert.ok(regex instanceof BSONRegExp);
+    assert.equal(regex.pattern, 'a\\.b\\*\\(c\\)');
+    assert.equal(regex.options, 'i');
+    assert.ok(new RegExp(regex.pattern).test('xa.b*(c)x'));
+  });
+
+  it('keeps patterns in regex mode', () => {
+    assert.equal(buildFindRegex({ find: '^a.+$', regex: true, flags: '' }).pattern, '^a.+$');
+  });
+
+  it('combines the user filter with the field match', () => {
+    const options = { find: 'x', regex: false, flags: '' };
+
+    assert.deepEqual(Object.keys(buildMatchFilter({}, 'name', options)), ['name']);
+    const combined = buildMatchFilter({ status: 'active' }, 'name', options);
+    assert.deepEqual(combined.$and[0], { status: 'active' });
+    assert.ok(combined.$and[1].name instanceof BSONRegExp);
+  });
+});
+
+describe('buildReplaceStage', () => {
+  it('replaces the first or every literal occurrence', () => {
+    const doc = { _id: 1, title: 'foo bar foo' };
+
+    assert.equal(replaceIn(doc, 'title', { find: 'foo', replacement: 'baz' }).title, 'baz bar foo');
+    assert.equal(replaceIn(doc, 'title', { find: 'foo', replacement: 'baz', replaceAll: true }).title, 'baz bar baz');
+  });
+
+  it('keeps $ literal in the replacement of a literal search', () => {
+    const doc = { title: 'Price: X, x' };
+
+    assert.equal(replaceIn(doc, 'title', { find: 'x', replacement: '$1 $&', flags: 'i' }).title, 'Price: $1 $&, x');
+    assert.equal(replaceIn(doc, 'title', { find: 'X', replacement: '$$' }).title, 'Price: $$, x');
+  });
+
+  it('treats regex metacharacters of a literal search as text', () => {
+    assert.equal(replaceIn({ v: 'a.c abc' }, 'v', { find: 'A.C', replacement: '-', flags: 'i', replaceAll: true }).v, '- abc');
+  });
+
+  it('supports capture groups, $& and $$ in regex mode', () => {
+    const doc = { contact: 'ada@example and grace@navy' };
+    const options = { find: '(\\w+)@(\\w+)', regex: true, replacement: '$2:$1 [$&] $$ $9', replaceAll: true };
+
+    assert.equal(replaceIn(doc, 'contact', options).contact, 'example:ada [ada@example] $  and navy:grace [grace@navy] $ ');
+  });
+
+  it('counts positions in code points', () => {
+    assert.equal(replaceIn({ v: '😀a😀a' }, 'v', { find: 'a', regex: true, replacement: 'b', replaceAll: true }).v, '😀b😀b');
+    assert.equal(replaceIn({ v: 'héllo wörld' }, 'v', { find: 'ö', regex: true, replacement: 'o' }).v, 'héllo world');
+  });
+
+  it('leaves strings without a match unchanged', () => {
+    assert.equal(replaceIn({ v: 'abc' }, 'v', { find: 'z', regex: true, replacement: 'y' }).v, 'abc');
+  });
+
+  it('walks arrays and leaves non-string values untouched', () => {
+    const doc = { tags: ['foo', 'x', 5, null, ['foo']] };
+
+    assert.deepEqual(replaceIn(doc, 'tags', { find: 'foo', replacement: 'bar' }).tags, ['bar', 'x', 5, null, ['foo']]);
+    assert.equal(replaceIn({ tags: 7 }, 'tags', { find: '7', replacement: '8' }).tags, 7);
+  });
+
+  it('walks arrays of documents along the path', () => {
+    const doc = { items: [{ sku: 'A-1', qty: 1 }, { qty: 2 }, 'A-3', { sku: ['A-4', 'B-5'] }] };
+    const result = replaceIn(doc, 'items.sku', { find: 'A-', replacement: 'Z-' });
+
+    assert.deepEqual(result.items, [{ sku: 'Z-1', qty: 1 }, { qty: 2 }, 'A-3', { sku: ['Z-4', 'B-5'] }]);
+  });
+
+  it('does not create missing fields', () => {
+    assert.deepEqual(replaceIn({ _id: 1 }, 'title', { find: 'a', replacement: 'b' }), { _id: 1 });
+    assert.deepEqual(replaceIn({ meta: {} }, 'meta.title', { find: 'a', replacement: 'b' }), { meta: {} });
+  });
+
+  it('returns the top-level field to set', () => {
+    assert.equal(buildReplaceStage('items.sku', { find: 'a', regex: false, flags: '', replacement: 'b' }).root, 'items');
+  });
+});
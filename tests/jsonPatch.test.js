@@ -0,0 +1,185 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { applyJsonPatch, applyMergePatch, buildPatchUpdate, listTestedFields } from '../utils/jsonPatch.js';
+import { applyUpdateOperators } from '../utils/updateOperators.js';
+
+describe('applyJsonPatch', () => {
+  const doc = { _id: 1, name: 'Ada', tags: ['a', 'b'], address: { city: 'London' } };
+
+  it('applies every operation in order without modifying the document', () => {
+    const patched = applyJsonPatch(doc, [
+      { op: 'add', path: '/tags/-', value: 'c' },
+      { op: 'add', path: '/tags/0', value: 'first' },
+      { op: 'remove', path: '/tags/1' },
+      { op: 'replace', path: '/name', value: 'Grace' },
+      { op: 'move', from: '/address/city', path: '/city' },
+      { op: 'copy', from: '/city', path: '/address/town' },
+      { op: 'test', path: '/tags', value: ['first', 'b', 'c'] }
+    ]);
+
+    assert.deepEqual(patched, { _id: 1, name: 'Grace', tags: ['first', 'b', 'c'], address: { town: 'London' }, city: 'London' });
+    assert.deepEqual(doc, { _id: 1, name: 'Ada', tags: ['a', 'b'], address: { city: 'London' } });
+  });
+
+  it('unescapes ~0 and ~1 in pointers', () => {
+    assert.deepEqual(applyJsonPatch({}, [{ op: 'add', path: '/a~1b~0c', value: 1 }]), { 'a/b~c': 1 });
+  });
+
+  it('compares BSON values in test operations', () => {
+    const id = new ObjectId();
+    assert.doesNotThrow(() => applyJsonPatch({ ref: id }, [{ op: 'test', path: '/ref', value: new ObjectId(id.toHexString()) }]));
+  });
+
+  it('fails with 409 when a test fails, rejecting the whole patch', () => {
+    assert.throws(
+      () => applyJsonPatch(doc, [{ op: 'replace', path: '/name', value: 'x' }, { op: 'test', path: '/name', value: 'Ada' }]),
+      { statusCode: 409, message: "Operation 1: test failed, '/name' does not have the expected value" }
+    );
+  });
+
+  it('fails with 422 for missing paths and out of bounds indexes', () => {
+    for (const operation of [
+      { op: 'remove', path: '/missing' },
+      { op: 'replace', path: '/missing', value: 1 },
+      { op: 'add', path: '/missing/child', value: 1 },
+      { op: 'add', path: '/tags/3', value: 'x' },
+      { op: 'remove', path: '/tags/-' },
+      { op: 'remove', path: '/tags/01' },
+      { op: 'move', from: '/address', path: '/address/inner' }
+    ]) {
+      assert.throws(() => applyJsonPatch(doc, [operation]), { statusCode: 422 }, JSON.stringify(operation));
+    }
+  });
+
+  it('fails with 400 for _id, the whole document and unknown operations', () => {
+    for (const operation of [
+      { op: 'replace', path: '/_id', value: 2 },
+      { op: 'add', path: '', value: {} },
+      { op: 'add', path: 'name', value: 'x' },
+      { op: 'increment', path: '/name' }
+    ]) {
+      assert.throws(() => applyJsonPatch(doc, [operation]), { statusCode: 400 }, JSON.stringify(operation));
+    }
+  });
+});
+
+describe('listTestedFields', () => {
+  it('lists the top-level field of every test operation once', () => {
+    assert.deepEqual(listTestedFields([
+      { op: 'test', path: '/a~1b/c', value: 1 },
+      { op: 'add', path: '/x', value: 1 },
+      { op: 'test', path: '/tags/0', value: 'a' },
+      { op: 'test', path: '/tags/1', value: 'b' }
+    ]), ['a/b', 'tags']);
+  });
+
+  it('rejects test operations on _id or invalid pointers', () => {
+    assert.throws(() => listTestedFields([{ op: 'test', path: '/_id', value: 1 }]), { statusCode: 400 });
+    assert.throws(() => listTestedFields([{ op: 'test', path: 'a', value: 1 }]), { statusCode: 400 });
+  });
+});
+
+describe('applyMergePatch', () => {
+  it('merges objects, removes null fields and replaces other values', () => {
+    const doc = { a: { b: 1, c: 2 }, tags: ['x', 'y'], gone: true, scalar: 1 };
+    const patched = applyMergePatch(doc, { a: { c: null, d: 3 }, tags: ['z'], gone: null, scalar: { nested: 1 } });
+
+    assert.deepEqual(patched, { a: { b: 1, d: 3 }, tags: ['z'], scalar: { nested: 1 } });
+    assert.deepEqual(doc.a, { b: 1, c: 2 });
+  });
+
+  it('rejects changes to _id', () => {
+    assert.throws(() => applyMergePatch({ _id: 1 }, { _id: 2 }), { statusCode: 400 });
+  });
+});
+
+describe('buildPatchUpdate', () => {
+  /**
+   * Build the update and check that applying it gives the patched document
+   * @param {Object} original - Current document
+   * @param {Object} patched - Desired document
+   * @returns {Object} - { update, guard }
+   */
+  function roundTrip(original, patched) {
+    const result = buildPatchUpdate(original, patched);
+    assert.deepEqual(applyUpdateOperators(original, result.update), patched);
+    return result;
+  }
+
+  it('sets changed nested fields and guards their top-level field', () => {
+    const { update, guard } = roundTrip({ a: { b: 1, c: 2 } }, { a: { b: 3, c: 2 } });
+
+    assert.deepEqual(update, { $set: { 'a.b': 3 } });
+    assert.deepEqual(guard, { a: { $eq: { b: 1, c: 2 } } });
+  });
+
+  it('sets added fields and unsets removed ones', () => {
+    const { update, guard } = roundTrip({ a: 1, b: { c: 1, d: 2 } }, { b: { c: 1 }, e: 5 });
+
+    assert.deepEqual(update, { $set: { e: 5 }, $unset: { a: '', 'b.d': '' } });
+    assert.deepEqual(guard, { e: { $exists: false }, a: { $eq: 1 }, b: { $eq: { c: 1, d: 2 } } });
+  });
+
+  it('updates array elements by index', () => {
+    assert.deepEqual(roundTrip({ tags: ['a', 'b'] }, { tags: ['a', 'x'] }).update, { $set: { 'tags.1': 'x' } });
+  });
+
+  it('pushes appended elements', () => {
+    assert.deepEqual(roundTrip({ tags: ['a'] }, { tags: ['a', 'b', 'c'] }).update, { $push: { tags: { $each: ['b', 'c'] } } });
+  });
+
+  it('pulls values when every occurrence was removed', () => {
+    const { update, guard } = buildPatchUpdate({ tags: ['a', 'b', 'a', 'c'] }, { tags: ['b', 'c'] });
+
+    assert.deepEqual(update, { $pull: { tags: { $in: ['a'] } } });
+    assert.deepEqual(guard, { tags: { $eq: ['a', 'b', 'a', 'c'] } });
+  });
+
+  it('sets the whole array when only some occurrences were removed', () => {
+    assert.deepEqual(roundTrip({ tags: ['a', 'b', 'a'] }, { tags: ['b', 'a'] }).update, { $set: { tags: ['b', 'a'] } });
+  });
+
+  it('sets the whole array when removals are mixed with other changes', () => {
+    assert.deepEqual(roundTrip({ tags: ['a', 'b', 'c'] }, { tags: ['x', 'c'] }).update, { $set: { tags: ['x', 'c'] } });
+  });
+
+  it('does not pull from arrays holding arrays', () => {
+    assert.deepEqual(roundTrip({ grid: [[1], [2]] }, { grid: [[2]] }).update, { $set: { grid: [[2]] } });
+  });
+
+  it('collapses a $push next to index updates into one $set', () => {
+    assert.deepEqual(roundTrip({ tags: ['a', 'b'] }, { tags: ['x', 'b', 'c'] }).update, { $set: { tags: ['x', 'b', 'c'] } });
+  });
+
+  it('collapses a pull inside a changed parent', () => {
+    const { update } = roundTrip(
+      { items: [{ tags: ['a', 'b'], n: 1 }] },
+      { items: [{ tags: ['b'], n: 1 }, { tags: [], n: 2 }] }
+    );
+
+    assert.deepEqual(update, { $set: { items: [{ tags: ['b'], n: 1 }, { tags: [], n: 2 }] } });
+  });
+
+  it('guards the fields checked by test operations', () => {
+    const original = { status: 'draft', meta: { version: 3 }, title: 'a' };
+    const operations = [
+      { op: 'test', path: '/status', value: 'draft' },
+      { op: 'test', path: '/meta/version', value: 3 },
+      { op: 'replace', path: '/title', value: 'b' }
+    ];
+    const { update, guard } = buildPatchUpdate(original, applyJsonPatch(original, operations), listTestedFields(operations));
+
+    assert.deepEqual(update, { $set: { title: 'b' } });
+    assert.deepEqual(guard, { title: { $eq: 'a' }, status: { $eq: 'draft' }, meta: { $eq: { version: 3 } } });
+  });
+
+  it('returns an empty update for identical documents', () => {
+    assert.deepEqual(buildPatchUpdate({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), { update: {}, guard: {} });
+  });
+
+  it('rejects field names that cannot be used in an update path', () => {
+    assert.throws(() => buildPatchUpdate({}, { $where: 1 }), { statusCode: 400, message: "Field path '$where' cannot be updated" });
+    assert.throws(() => buildPatchUpdate({ a: {} }, { a: { '': 1 } }), { statusCode: 400 });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal128, Double, Int32, Long, ObjectId } from 'mongodb';
+import {
+  getBsonType,
+  bsonEquals,
+  splitValidator,
+  isMultipleOf,
+  validateJsonSchema
+} from '../utils/jsonSchemaValidator.js';
+
+const keywords = (violations) => violations.map(violation => `${violation.path}:${violation.keyword}`);
+
+describe('getBsonType', () => {
+  it('stores 32-bit integers as int and other numbers as double', () => {
+    assert.equal(getBsonType(1), 'int');
+    assert.equal(getBsonType(2147483648), 'double');
+    assert.equal(getBsonType(1.5), 'double');
+  });
+
+  it('maps BSON wrapper classes to their aliases', () => {
+    assert.equal(getBsonType(new Int32(1)), 'int');
+    assert.equal(getBsonType(Long.fromNumber(1)), 'long');
+    assert.equal(getBsonType(new Double(1)), 'double');
+    assert.equal(getBsonType(Decimal128.fromString('1')), 'decimal');
+    assert.equal(getBsonType(new ObjectId()), 'objectId');
+    assert.equal(getBsonType(new Date()), 'date');
+    assert.equal(getBsonType(null), 'null');
+    assert.equal(getBsonType([]), 'array');
+    assert.equal(getBsonType({}), 'object');
+  });
+});
+
+describe('bsonEquals', () => {
+  it('compares numbers across numeric types', () => {
+    assert.ok(bsonEquals(1, new Double(1)));
+    assert.ok(bsonEquals(Long.fromNumber(5), Decimal128.fromString('5')));
+    assert.ok(!bsonEquals(1, '1'));
+  });
+
+  it('takes object key order into account', () => {
+    assert.ok(bsonEquals({ a: 1, b: 2 }, { a: 1, b: 2 }));
+    assert.ok(!bsonEquals({ a: 1, b: 2 }, { b: 2, a: 1 }));
+  });
+
+  it('compares BSON values by content', () => {
+    const id = new ObjectId();
+    assert.ok(bsonEquals(id, new ObjectId(id.toHexString())));
+    assert.ok(!bsonEquals(id, new ObjectId()));
+  });
+});
+
+describe('splitValidator', () => {
+  it('collects $jsonSchema clauses, including those inside $and', () => {
+    const first = { required: ['a'] };
+    const second = { required: ['b'] };
+    const { schemas, unsupported } = splitValidator({ $and: [{ $jsonSchema: first }, { $jsonSchema: second }] });
+
+    assert.deepEqual(schemas, [first, second]);
+    assert.deepEqual(unsupported, []);
+  });
+
+  it('reports query operators and field conditions as unsupported', () => {
+    const { schemas, unsupported } = splitValidator({ $jsonSchema: {}, $expr: { $gt: ['$a', 1] }, status: 'active' });
+
+    assert.equal(schemas.length, 1);
+    assert.deepEqual(unsupported, ['$expr', 'status']);
+  });
+
+  it('reports regexes JavaScript cannot compile', () => {
+    const { unsupported } = splitValidator({
+      $jsonSchema: {
+        properties: {
+          code: { pattern: '(?i)^abc' },
+          tags: { items: { pattern: '^[a-z]+$' } }
+        },
+        patternProperties: { '(?<!x)y\\Z': {} }
+      }
+    });
+
+    assert.deepEqual(unsupported, [
+      '$jsonSchema.patternProperties.(?<!x)y\\Z',
+      '$jsonSchema.properties.code.pattern'
+    ]);
+  });
+});
+
+describe('isMultipleOf', () => {
+  it('accepts decimal fractions that binary floating point gets wrong', () => {
+    assert.ok(isMultipleOf(0.3, 0.1));
+    assert.ok(isMultipleOf(1.15, 0.05));
+    assert.ok(isMultipleOf(10, 2.5));
+  });
+
+  it('rejects values that are not multiples', () => {
+    assert.ok(!isMultipleOf(0.35, 0.1));
+    assert.ok(!isMultipleOf(7, 2));
+  });
+
+  it('handles values too large to scale', () => {
+    assert.ok(isMultipleOf(2 ** 60, 0.5));
+    assert.ok(isMultipleOf(2 ** 60, 4));
+  });
+});
+
+describe('validateJsonSchema', () => {
+  const schema = {
+    bsonType: 'object',
+    required: ['name', 'age'],
+    properties: {
+      name: { bsonType: 'string', minLength: 2, pattern: '^[A-Z]' },
+      age: { bsonType: 'int', minimum: 0, maximum: 150 },
+      score: { bsonType: ['double', 'int'], multipleOf: 0.5 },
+      status: { enum: ['active', 'inactive'] },
+      tags: { bsonType: 'array', uniqueItems: true, maxItems: 3, items: { bsonType: 'string' } }
+    },
+    additionalProperties: false
+  };
+
+  it('accepts a valid document', () => {
+    const document = { _id: new ObjectId(), name: 'Ada', age: 36, score: 4.5, status: 'active', tags: ['a', 'b'] };
+    assert.deepEqual(validateJsonSchema(document, { ...schema, properties: { ...schema.properties, _id: {} } }), []);
+  });
+
+  it('reports every violation with the path of the field', () => {
+    const violations = validateJsonSchema({ name: 'a', age: 200, score: 1.2, status: 'gone', tags: ['x', 'x', 1], extra: true }, schema);
+
+    assert.deepEqual(keywords(violations).sort(), [
+      'age:maximum',
+      'extra:additionalProperties',
+      'name:minLength',
+      'name:pattern',
+      'score:multipleOf',
+      'status:enum',
+      'tags.2:bsonType',
+      'tags:uniqueItems'
+    ]);
+  });
+
+  it('reports missing required fields at their own path', () => {
+    assert.deepEqual(keywords(validateJsonSchema({ name: 'Ada' }, schema)), ['age:required']);
+  });
+
+  it('distinguishes int from double as the server stores them', () => {
+    assert.deepEqual(keywords(validateJsonSchema({ name: 'Ada', age: 3.5 }, schema)), ['age:bsonType']);
+    assert.deepEqual(validateJsonSchema({ name: 'Ada', age: new Int32(3) }, schema), []);
+  });
+
+  it('matches the JSON Schema type number against every numeric BSON type', () => {
+    const numeric = { properties: { n: { type: 'number' } } };
+    for (const n of [1, 1.5, Long.fromNumber(1), Decimal128.fromString('1.5')]) {
+      assert.deepEqual(validateJsonSchema({ n }, numeric), []);
+    }
+    assert.deepEqual(keywords(validateJsonSchema({ n: '1' }, numeric)), ['n:type']);
+  });
+
+  it('checks dependencies, combinators and not', () => {
+    const combined = {
+      dependencies: { card: ['billing'] },
+      properties: {
+        id: { anyOf: [{ bsonType: 'string' }, { bsonType: 'int' }] },
+        kind: { oneOf: [{ enum: ['a', 'b'] }, { enum: ['b', 'c'] }] },
+        code: { not: { enum: ['forbidden'] } }
+      }
+    };
+
+    assert.deepEqual(validateJsonSchema({ card: 1, billing: 1, id: 1, kind: 'a', code: 'ok' }, combined), []);
+    assert.deepEqual(keywords(validateJsonSchema({ card: 1, id: true, kind: 'b', code: 'forbidden' }, combined)).sort(), [
+      'billing:dependencies',
+      'code:not',
+      'id:anyOf',
+      'kind:oneOf'
+    ]);
+  });
+
+  it('leaves uncompilable patterns to the server', () => {
+    const lenient = {
+      properties: { code: { pattern: '(?i)^abc' } },
+      patternProperties: { '(?<!x)y\\Z': { bsonType: 'int' } },
+      additionalProperties: false
+    };
+
+    assert.deepEqual(validateJsonSchema({ code: 'anything' }, { properties: lenient.properties }), []);
+    // The key might match the pattern the server evaluates, so it is not reported as an additional property
+    assert.deepEqual(validateJsonSchema({ ay: 'text' }, lenient), []);
+  });
+
+  it('applies compilable patternProperties and rejects other fields', () => {
+    const patterned = { patternProperties: { '^n_': { bsonType: 'int' } }, additionalProperties: false };
+
+    assert.deepEqual(validateJsonSchema({ n_a: 1 }, patterned), []);
+    assert.deepEqual(keywords(validateJsonSchema({ n_a: 'x', other: 1 }, patterned)).sort(), [
+      'n_a:bsonType',
+      'other:additionalProperties'
+    ]);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import {
+  normalizeSort,
+  toSortSpec,
+  queryFingerprint,
+  getFieldValue,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+} from '../utils/pagination.js';
+
+/**
+ * Compare two sort values of the same type
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compare(a, b) {
+  const [x, y] = a instanceof ObjectId ? [a.toHexString(), b.toHexString()] : [a, b];
+  return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+/**
+ * Evaluate the filters buildKeysetFilter produces ($or of $eq/$gt/$lt)
+ * @param {Object} doc - Document
+ * @param {Object} filter - Keyset filter
+ * @returns {boolean} - True if the document matches
+ */
+function matches(doc, filter) {
+  if (filter.$or) {
+    return filter.$or.some(branch => matches(doc, branch));
+  }
+  return Object.entries(filter).every(([field, condition]) => {
+    const [[operator, operand]] = Object.entries(condition);
+    const order = compare(getFieldValue(doc, field), operand);
+    return { $eq: order === 0, $gt: order > 0, $lt: order < 0 }[operator];
+  });
+}
+
+describe('normalizeSort', () => {
+  it('normalizes directions and appends _id with the direction of the last key', () => {
+    assert.deepEqual(normalizeSort({ a: 'asc', b: 'descending' }), [['a', 1], ['b', -1], ['_id', -1]]);
+    assert.deepEqual(normalizeSort({}), [['_id', 1]]);
+    assert.deepEqual(normalizeSort(), [['_id', 1]]);
+  });
+
+  it('keeps an explicit _id key where it is', () => {
+    assert.deepEqual(normalizeSort({ _id: -1, a: 1 }), [['_id', -1], ['a', 1]]);
+  });
+
+  it('rejects directions keyset pagination cannot follow', () => {
+    assert.throws(() => normalizeSort({ score: { $meta: 'textScore' } }), { statusCode: 400 });
+    assert.throws(() => normalizeSort({ a: 2 }), { statusCode: 400 });
+  });
+
+  it('round-trips through toSortSpec', () => {
+    assert.deepEqual(toSortSpec(normalizeSort({ a: -1 })), { a: -1, _id: -1 });
+  });
+});
+
+describe('queryFingerprint', () => {
+  it('depends on the filter and the sort', () => {
+    const sortKeys = normalizeSort({ a: 1 });
+    const fingerprint = queryFingerprint({ status: 'active' }, sortKeys);
+
+    assert.equal(fingerprint, queryFingerprint({ status: 'active' }, normalizeSort({ a: 1 })));
+    assert.notEqual(fingerprint, queryFingerprint({ status: 'closed' }, sortKeys));
+    assert.notEqual(fingerprint, queryFingerprint({ status: 'active' }, normalizeSort({ a: -1 })));
+  });
+
+  it('distinguishes BSON types in the filter', () => {
+    const sortKeys = normalizeSort({});
+    assert.notEqual(queryFingerprint({ n: 1 }, sortKeys), queryFingerprint({ n: '1' }, sortKeys));
+  });
+});
+
+describe('encodeCursor and decodeCursor', () => {
+  const sortKeys = normalizeSort({ 'meta.rank': 1 });
+  const fingerprint = queryFingerprint({}, sortKeys);
+  const doc = { _id: new ObjectId(), meta: { rank: 3 } };
+
+  it('round-trips the sort values with their BSON types', () => {
+    const values = decodeCursor(encodeCursor(doc, sortKeys, fingerprint), sortKeys, fingerprint);
+
+    assert.equal(values[0], 3);
+    assert.ok(values[1] instanceof ObjectId && values[1].equals(doc._id));
+  });
+
+  it('stores missing sort fields as null', () => {
+    const values = decodeCursor(encodeCursor({ _id: 1 }, sortKeys, fingerprint), sortKeys, fingerprint);
+    assert.deepEqual(values, [null, 1]);
+  });
+
+  it('rejects cursors of another query', () => {
+    const cursor = encodeCursor(doc, sortKeys, fingerprint);
+    assert.throws(
+      () => decodeCursor(cursor, sortKeys, queryFingerprint({ other: true }, sortKeys)),
+      { statusCode: 400, message: 'Pagination cursor does not match the filter and sort of this query' }
+    );
+  });
+
+  it('rejects malformed cursors', () => {
+    const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+    for (const cursor of [
+      'not a cursor',
+      encode({ v: 2, f: fingerprint, k: [3, 1] }),
+      encode({ v: 1, f: fingerprint, k: [3] }),
+      encode({ v: 1, f: fingerprint, k: 'x' })
+    ]) {
+      assert.throws(() => decodeCursor(cursor, sortKeys, fingerprint), { statusCode: 400, message: 'Invalid pagination cursor' });
+    }
+  });
+});
+
+describe('buildKeysetFilter', () => {
+  it('selects documents after the cursor values, key by key', () => {
+    assert.deepEqual(buildKeysetFilter([['a', 1], ['_id', -1]], [5, 9]), {
+      $or: [
+        { a: { $gt: 5 } },
+        { a: { $eq: 5 }, _id: { $lt: 9 } }
+      ]
+    });
+  });
+
+  it('uses a single range for one key', () => {
+    assert.deepEqual(buildKeysetFilter([['_id', 1]], [7]), { _id: { $gt: 7 } });
+  });
+
+  it('pages through every document exactly once, in sort order, across ties', () => {
+    const docs = [];
+    for (let i = 0; i < 23; i++) {
+      docs.push({ _id: i, group: ['b', 'a', 'c'][i % 3], score: i % 4 });
+    }
+
+    for (const sort of [{ group: 1, score: -1 }, { score: 1 }, { group: -1 }, {}]) {
+      const sortKeys = normalizeSort(sort);
+      const ordered = [...docs].sort((a, b) => {
+        for (const [field, direction] of sortKeys) {
+          const order = compare(a[field], b[field]);
+          if (order !== 0) {
+            return direction * order;
+          }
+        }
+        return 0;
+      });
+
+      const fingerprint = queryFingerprint({}, sortKeys);
+      const seen = [];
+      let cursor = null;
+      do {
+        const after = cursor ? buildKeysetFilter(sortKeys, decodeCursor(cursor, sortKeys, fingerprint)) : {};
+        const page = ordered.filter(doc => matches(doc, after)).slice(0, 5);
+        seen.push(...page);
+        cursor = page.length === 5 ? encodeCursor(page[page.length - 1], sortKeys, fingerprint) : null;
+      } while (cursor);
+
+      assert.deepEqual(seen.map(doc => doc._id), ordered.map(doc => doc._id), JSON.stringify(sort));
+    }
+  });
+});
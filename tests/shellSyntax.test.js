@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ObjectId, Int32, Long, Double, Decimal128, UUID, Binary,
+  Timestamp, MinKey, MaxKey, BSONRegExp, DBRef
+} from 'mongodb';
+import { parseShellSyntax, parseQueryText } from '../utils/shellSyntax.js';
+
+const HEX_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+/**
+ * Assert that parsing fails with a 400 syntax error
+ * @param {string} text - Query text
+ * @param {RegExp} message - Expected message
+ */
+function assertSyntaxError(text, message) {
+  assert.throws(() => parseShellSyntax(text), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, /^Invalid query syntax at position \d+: /);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('parseShellSyntax', () => {
+  it('parses plain JSON', () => {
+    assert.deepEqual(parseShellSyntax('{"a": [1, 2.5, "x", true, null], "b": {"c": -3e2}}'), {
+      a: [1, 2.5, 'x', true, null],
+      b: { c: -300 }
+    });
+  });
+
+  it('accepts unquoted and single-quoted keys, trailing commas and comments', () => {
+    const text = `{
+      // line comment
+      name: 'Ada', /* block comment */
+      $or: [{ 'a.b': 1, }, { c: 0x1f },],
+      2: 'numeric key',
+    }`;
+
+    assert.deepEqual(parseShellSyntax(text), { name: 'Ada', $or: [{ 'a.b': 1 }, { c: 31 }], 2: 'numeric key' });
+  });
+
+  it('decodes string escapes', () => {
+    assert.equal(parseShellSyntax(String.raw`'it\'s\né\x41\u{1F600}'`), 'it\'s\néA😀');
+  });
+
+  it('keeps __proto__ as a plain key', () => {
+    const value = parseShellSyntax('{ __proto__: { admin: true } }');
+    assert.deepEqual(Object.keys(value), ['__proto__']);
+    assert.equal(Object.getPrototypeOf(value), Object.prototype);
+    assert.equal(value.admin, undefined);
+  });
+
+  it('maps undefined to null and reads NaN and Infinity', () => {
+    const value = parseShellSyntax('[undefined, NaN, -Infinity]');
+    assert.equal(value[0], null);
+    assert.ok(Number.isNaN(value[1]));
+    assert.equal(value[2], -Infinity);
+  });
+
+  it('parses regex literals with their flags', () => {
+    const regex = parseShellSyntax(String.raw`/^a[/]b\/c/im`);
+    assert.ok(regex instanceof BSONRegExp);
+    assert.equal(regex.pattern, String.raw`^a[/]b\/c`);
+    assert.equal(regex.options, 'im');
+  });
+
+  describe('shell helpers', () => {
+    it('creates the BSON types, with or without new', () => {
+      const value = parseShellSyntax(`{
+        id: ObjectId('${HEX_ID}'),
+        legacy: new ObjectID("${HEX_ID}"),
+        int: NumberInt(5),
+        int32: Int32('7'),
+        long: NumberLong('9007199254740993'),
+        decimal: NumberDecimal('0.1'),
+        double: Double(2),
+        uuid: UUID('0e3b2c9a-8f6d-4e1a-9b5c-2d7f4a6e8c10'),
+        bin: BinData(0, 'AQID'),
+        hex: HexData(0, '010203'),
+        ts: Timestamp(10, 2),
+        tsObject: Timestamp({ t: 10, i: 3 }),
+        min: MinKey,
+        max: MaxKey(),
+        re: RegExp('^a', 'i'),
+        ref: DBRef('people', ObjectId('${HEX_ID}'), 'db')
+      }`);
+
+      assert.ok(value.id instanceof ObjectId && value.id.toHexString() === HEX_ID);
+      assert.ok(value.legacy.equals(value.id));
+      assert.ok(value.int instanceof Int32 && value.int.value === 5);
+      assert.ok(value.int32 instanceof Int32 && value.int32.value === 7);
+      assert.ok(value.long instanceof Long && value.long.toString() === '9007199254740993');
+      assert.ok(value.decimal instanceof Decimal128 && value.decimal.toString() === '0.1');
+      assert.ok(value.double instanceof Double && value.double.value === 2);
+      assert.ok(value.uuid instanceof UUID);
+      assert.ok(value.bin instanceof Binary && value.bin.buffer.equals(Buffer.from([1, 2, 3])));
+      assert.ok(value.hex.buffer.equals(value.bin.buffer));
+      assert.ok(value.ts instanceof Timestamp && value.ts.t === 10 && value.ts.i === 2);
+      assert.equal(value.tsObject.i, 3);
+      assert.ok(value.min instanceof MinKey);
+      assert.ok(value.max instanceof MaxKey);
+      assert.ok(value.re instanceof BSONRegExp && value.re.options === 'i');
+      assert.ok(value.ref instanceof DBRef && value.ref.collection === 'people' && value.ref.db === 'db');
+    });
+
+    it('creates dates from ISODate and Date', () => {
+      assert.equal(parseShellSyntax('ISODate("2024-01-02T03:04:05Z")').toISOString(), '2024-01-02T03:04:05.000Z');
+      assert.equal(parseShellSyntax('new Date(0)').getTime(), 0);
+      assert.equal(parseShellSyntax('Date(2024, 0, 2)').toISOString(), '2024-01-02T00:00:00.000Z');
+    });
+
+    it('rejects invalid dates', () => {
+      assertSyntaxError('ISODate("not a date")', /ISODate\(\) received an invalid date/);
+    });
+
+    it('rejects non-numeric NumberInt and Double arguments', () => {
+      assertSyntaxError('NumberInt("abc")', /NumberInt\(\) expects a finite number, received 'abc'/);
+      assertSyntaxError('NumberInt("")', /NumberInt\(\) expects a finite number/);
+      assertSyntaxError('Double("1x")', /Double\(\) expects a finite number, received '1x'/);
+      assertSyntaxError('Double(Infinity)', /Double\(\) expects a finite number/);
+    });
+
+    it('rejects NumberInt values outside the 32-bit range', () => {
+      assert.equal(parseShellSyntax('NumberInt(-2147483648)').value, -2147483648);
+      assertSyntaxError('NumberInt(2147483648)', /outside the 32-bit integer range/);
+    });
+
+    it('accepts NumberLong values across the whole 64-bit range', () => {
+      assert.equal(parseShellSyntax('NumberLong("9223372036854775807")').toString(), '9223372036854775807');
+      assert.equal(parseShellSyntax('Long("-9223372036854775808")').toString(), '-9223372036854775808');
+      assert.equal(parseShellSyntax('NumberLong(42)').toString(), '42');
+    });
+
+    it('rejects NumberLong values that are not 64-bit integers', () => {
+      for (const text of ['NumberLong("abc")', 'NumberLong("1.5")', 'NumberLong(1.5)', 'NumberLong(1e30)', 'NumberLong("")', 'Long("9223372036854775808")']) {
+        assertSyntaxError(text, /NumberLong\(\) expects an integer within the 64-bit range/);
+      }
+    });
+
+    it('rejects arguments of the wrong type', () => {
+      assertSyntaxError('ObjectId(5)', /ObjectId\(\) expects a string as argument 1/);
+      assertSyntaxError('BinData("0", "AQID")', /BinData\(\) expects a number as argument 1/);
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('never evaluates other identifiers or calls', () => {
+      assertSyntaxError('{ $where: function() { return true } }', /Unsupported identifier 'function'/);
+      assertSyntaxError('process.exit(1)', /Unsupported identifier 'process'/);
+      assertSyntaxError('new Function("x")', /Unsupported identifier 'Function'/);
+    });
+
+    it('reports the position of the error', () => {
+      assert.throws(() => parseShellSyntax('{ a: 1 b: 2 }'), { message: "Invalid query syntax at position 7: Expected ',' or '}' but found 'b'" });
+    });
+
+    it('reports unterminated input', () => {
+      assertSyntaxError('{ a: 1', /Unterminated object/);
+      assertSyntaxError('[1, 2', /Unterminated array/);
+      assertSyntaxError("'abc", /Unterminated string/);
+      assertSyntaxError('/abc', /Unterminated regular expression/);
+      assertSyntaxError('{ a: 1 /* x', /Unterminated comment/);
+      assertSyntaxError('', /Unexpected end of input/);
+    });
+
+    it('rejects trailing text and unsupported regex flags', () => {
+      assertSyntaxError('{} {}', /Unexpected '\{'/);
+      assertSyntaxError('/a/g', /Unsupported regular expression flags 'g'/);
+    });
+
+    it('limits the nesting depth', () => {
+      assertSyntaxError('['.repeat(101) + ']'.repeat(101), /Nesting deeper than 100 levels/);
+      assert.doesNotThrow(() => parseShellSyntax('['.repeat(100) + ']'.repeat(100)));
+    });
+  });
+});
+
+describe('parseQueryText', () => {
+  it('parses shell syntax when no EJSON mode is negotiated', () => {
+    assert.ok(parseQueryText(`{ _id: ObjectId('${HEX_ID}') }`)._id instanceof ObjectId);
+  });
+
+  it('parses Extended JSON in EJSON mode', () => {
+    const value = parseQueryText(`{ "_id": { "$oid": "${HEX_ID}" }, "n": { "$numberLong": "5" } }`, 'canonical');
+    assert.ok(value._id instanceof ObjectId);
+    assert.ok(value.n instanceof Long);
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Decimal128, Double, Long, Timestamp } from 'mongodb';
+import { applyUpdateOperators } from '../utils/updateOperators.js';
+
+describe('applyUpdateOperators', () => {
+  it('does not modify the original document', () => {
+    const doc = { a: { b: 1 }, list: [1] };
+    applyUpdateOperators(doc, { $set: { 'a.b': 2 }, $push: { list: 2 } });
+    assert.deepEqual(doc, { a: { b: 1 }, list: [1] });
+  });
+
+  describe('$set and $unset', () => {
+    it('creates missing intermediate objects', () => {
+      assert.deepEqual(applyUpdateOperators({}, { $set: { 'a.b.c': 1 } }), { a: { b: { c: 1 } } });
+    });
+
+    it('pads arrays with null when setting past the end', () => {
+      assert.deepEqual(applyUpdateOperators({ list: [1] }, { $set: { 'list.3': 4 } }), { list: [1, null, null, 4] });
+    });
+
+    it('pads arrays with null when creating a document past the end', () => {
+      const result = applyUpdateOperators({ a: [1] }, { $set: { 'a.3.x': 1 } });
+
+      assert.deepEqual(result, { a: [1, null, null, { x: 1 }] });
+      assert.ok(1 in result.a && 2 in result.a);
+    });
+
+    it('sets array elements to null instead of removing them', () => {
+      assert.deepEqual(applyUpdateOperators({ list: [1, 2, 3] }, { $unset: { 'list.1': '' } }), { list: [1, null, 3] });
+    });
+
+    it('ignores missing paths on $unset', () => {
+      assert.deepEqual(applyUpdateOperators({ a: 1 }, { $unset: { 'b.c': '' } }), { a: 1 });
+    });
+
+    it('refuses to create a field inside a scalar', () => {
+      assert.throws(
+        () => applyUpdateOperators({ a: 5 }, { $set: { 'a.b': 1 } }),
+        { statusCode: 400, message: "Cannot create the field 'a.b' inside a int value" }
+      );
+    });
+  });
+
+  describe('arithmetic', () => {
+    it('$inc sets the amount when the field is missing', () => {
+      assert.deepEqual(applyUpdateOperators({}, { $inc: { n: 5 } }), { n: 5 });
+    });
+
+    it('$mul sets 0 when the field is missing', () => {
+      assert.deepEqual(applyUpdateOperators({}, { $mul: { n: 5 } }), { n: 0 });
+    });
+
+    it('keeps the widest numeric type of the operands', () => {
+      const result = applyUpdateOperators(
+        { i: 1, l: Long.fromNumber(2), d: 1.5, w: new Double(2) },
+        { $inc: { i: new Double(1), l: 1, d: 1 }, $mul: { w: 2 } }
+      );
+
+      assert.ok(result.i instanceof Double);
+      assert.equal(result.i.value, 2);
+      assert.ok(result.l instanceof Long);
+      assert.equal(result.l.toNumber(), 3);
+      assert.ok(result.d instanceof Double);
+      assert.equal(result.d.value, 2.5);
+      // Still a double when the result is a whole number
+      assert.ok(result.w instanceof Double);
+      assert.equal(result.w.value, 4);
+    });
+
+    it('computes long results exactly', () => {
+      const result = applyUpdateOperators(
+        { n: Long.fromString('9007199254740993'), m: Long.fromString('3037000499') },
+        { $inc: { n: 1 }, $mul: { m: Long.fromString('3037000499') } }
+      );
+
+      assert.equal(result.n.toString(), '9007199254740994');
+      assert.equal(result.m.toString(), '9223372030926249001');
+    });
+
+    it('promotes int overflows to long, as the server does', () => {
+      const result = applyUpdateOperators({ a: 2147483647, b: 65536 }, { $inc: { a: 1 }, $mul: { b: 65536 } });
+
+      assert.ok(result.a instanceof Long);
+      assert.equal(result.a.toString(), '2147483648');
+      assert.ok(result.b instanceof Long);
+      assert.equal(result.b.toString(), '4294967296');
+      assert.equal(applyUpdateOperators({ a: 2147483646 }, { $inc: { a: 1 } }).a, 2147483647);
+    });
+
+    it('rejects long overflows', () => {
+      assert.throws(
+        () => applyUpdateOperators({ n: Long.MAX_VALUE }, { $inc: { n: 1 } }),
+        { statusCode: 400, message: 'Result 9223372036854775808 overflows a 64-bit integer' }
+      );
+    });
+
+    it('rejects decimal arithmetic', () => {
+      for (const update of [{ $inc: { d: 1 } }, { $mul: { n: Decimal128.fromString('2') } }]) {
+        assert.throws(
+          () => applyUpdateOperators({ d: Decimal128.fromString('1.5'), n: 1 }, update),
+          { statusCode: 400, message: 'Arithmetic on decimal values cannot be applied locally' }
+        );
+      }
+    });
+
+    it('rejects non-numeric fields and operands', () => {
+      assert.throws(() => applyUpdateOperators({ n: 'x' }, { $inc: { n: 1 } }), { statusCode: 400 });
+      assert.throws(() => applyUpdateOperators({ n: 1 }, { $inc: { n: 'x' } }), { statusCode: 400 });
+    });
+
+    it('$min and $max compare in the MongoDB sort order', () => {
+      assert.deepEqual(applyUpdateOperators({ a: 5, b: 5 }, { $min: { a: 3 }, $max: { b: 3 } }), { a: 3, b: 5 });
+      // Strings sort after numbers
+      assert.deepEqual(applyUpdateOperators({ a: 5 }, { $max: { a: 'x' } }), { a: 'x' });
+      assert.deepEqual(applyUpdateOperators({ a: null }, { $min: { a: 1 } }), { a: null });
+    });
+  });
+
+  describe('$rename and $currentDate', () => {
+    it('moves the value to the new path', () => {
+      assert.deepEqual(applyUpdateOperators({ a: { b: 1 } }, { $rename: { 'a.b': 'c' } }), { a: {}, c: 1 });
+    });
+
+    it('ignores missing fields', () => {
+      assert.deepEqual(applyUpdateOperators({ a: 1 }, { $rename: { b: 'c' } }), { a: 1 });
+    });
+
+    it('sets a date or a timestamp', () => {
+      const result = applyUpdateOperators({}, { $currentDate: { d: true, t: { $type: 'timestamp' } } });
+      assert.ok(result.d instanceof Date);
+      assert.ok(result.t instanceof Timestamp);
+    });
+  });
+
+  describe('array operators', () => {
+    it('$push creates the array and appends', () => {
+      assert.deepEqual(applyUpdateOperators({}, { $push: { list: 1 } }), { list: [1] });
+      assert.deepEqual(applyUpdateOperators({ list: [1] }, { $push: { list: [2] } }), { list: [1, [2]] });
+    });
+
+    it('$push applies $position, then $sort, then $slice', () => {
+      const update = { $push: { list: { $each: [5, 0], $position: 1, $sort: -1, $slice: 3 } } };
+      assert.deepEqual(applyUpdateOperators({ list: [3, 1, 4] }, update), { list: [5, 4, 3] });
+    });
+
+    it('$push accepts a negative $position and $slice', () => {
+      const update = { $push: { list: { $each: ['x'], $position: -1, $slice: -2 } } };
+      assert.deepEqual(applyUpdateOperators({ list: ['a', 'b', 'c'] }, update), { list: ['x', 'c'] });
+    });
+
+    it('$push $sort orders documents by field', () => {
+      const update = { $push: { list: { $each: [{ n: 2 }], $sort: { n: 1 } } } };
+      assert.deepEqual(applyUpdateOperators({ list: [{ n: 3 }, { n: 1 }] }, update), { list: [{ n: 1 }, { n: 2 }, { n: 3 }] });
+    });
+
+    it('$push rejects a field that is not an array', () => {
+      assert.throws(() => applyUpdateOperators({ list: 1 }, { $push: { list: 2 } }), { statusCode: 400 });
+    });
+
+    it('$addToSet skips values already present, across numeric types', () => {
+      const update = { $addToSet: { list: { $each: [new Double(1), 2, 2] } } };
+      assert.deepEqual(applyUpdateOperators({ list: [1] }, update), { list: [1, 2] });
+    });
+
+    it('$pop removes the first or last element', () => {
+      assert.deepEqual(applyUpdateOperators({ a: [1, 2, 3], b: [1, 2, 3] }, { $pop: { a: -1, b: 1 } }), { a: [2, 3], b: [1, 2] });
+    });
+
+    it('$pullAll and $pull remove every equal value', () => {
+      assert.deepEqual(applyUpdateOperators({ list: [1, 2, 1, 3] }, { $pullAll: { list: [1, 3] } }), { list: [2] });
+      assert.deepEqual(applyUpdateOperators({ list: [{ a: 1 }, { a: 2 }] }, { $pull: { list: 1 } }), { list: [{ a: 1 }, { a: 2 }] });
+      assert.deepEqual(applyUpdateOperators({ list: ['x', 'y', 'x'] }, { $pull: { list: 'x' } }), { list: ['y'] });
+    });
+  });
+
+  describe('unsupported updates', () => {
+    it('rejects what cannot be evaluated without the server', () => {
+      for (const update of [
+        [{ $set: { a: 1 } }],
+        { $bit: { a: { and: 1 } } },
+        { $set: { 'list.$': 1 } },
+        { $set: { 'list.$[].a': 1 } },
+        { $pull: { list: { a: { $gt: 1 } } } }
+      ]) {
+        assert.throws(() => applyUpdateOperators({ list: [] }, update), { statusCode: 400 });
+      }
+    });
+
+    it('ignores $setOnInsert because the document exists', () => {
+      assert.deepEqual(applyUpdateOperators({ a: 1 }, { $setOnInsert: { b: 1 } }), { a: 1 });
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAgainstCollection, describeValidation } from '../controllers/validatorController.js';
+
+/**
+ * Database stub returning the given collection options from listCollections
+ * @param {Object} [options] - Collection options, undefined for a missing collection
+ * @returns {Object} - Db stand-in
+ */
+function stubDb(options) {
+  return {
+    listCollections: () => ({ next: async () => (options ? { options } : null) })
+  };
+}
+
+const validator = { $jsonSchema: { required: ['name'], properties: { name: { bsonType: 'string' } } } };
+
+describe('validateAgainstCollection', () => {
+  it('reports each document with its violations', async () => {
+    const report = await validateAgainstCollection(stubDb({ validator }), 'people', [
+      { _id: 1, name: 'Ada' },
+      { _id: 2, name: 5 },
+      {}
+    ]);
+
+    assert.equal(report.valid, false);
+    assert.equal(report.invalidCount, 2);
+    assert.equal(report.rejectedCount, 2);
+    assert.deepEqual(report.results.map(result => [result.index, result._id, result.valid]), [[0, 1, true], [1, 2, false], [2, null, false]]);
+    assert.deepEqual(report.results[2].violations.map(violation => violation.path), ['name']);
+    assert.deepEqual(report.validator, {
+      hasValidator: true,
+      validationLevel: 'strict',
+      validationAction: 'error',
+      unsupportedClauses: []
+    });
+  });
+
+  it('accepts every document of a collection without a validator', async () => {
+    const report = await validateAgainstCollection(stubDb(undefined), 'missing', [{ any: 'thing' }]);
+
+    assert.equal(report.valid, true);
+    assert.equal(report.validator.hasValidator, false);
+  });
+
+  it('does not reject writes when the action is warn or validation is off', async () => {
+    for (const options of [{ validator, validationAction: 'warn' }, { validator, validationLevel: 'off' }]) {
+      const report = await validateAgainstCollection(stubDb(options), 'people', [{}]);
+      assert.equal(report.invalidCount, 1);
+      assert.equal(report.rejectedCount, 0);
+    }
+  });
+
+  it('exempts updates of invalid documents under moderate validation', async () => {
+    const options = { validator, validationLevel: 'moderate' };
+    const report = await validateAgainstCollection(stubDb(options), 'people', [{ name: 1 }, { name: 2 }], [{}, { name: 'Ada' }]);
+
+    assert.deepEqual(report.results.map(result => result.wouldBeRejected), [false, true]);
+  });
+
+  it('lists clauses only the server can check', async () => {
+    const report = await validateAgainstCollection(stubDb({ validator: { ...validator, $expr: { $gt: ['$a', 1] } } }), 'people', [{ name: 'Ada' }]);
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(report.validator.unsupportedClauses, ['$expr']);
+  });
+});
+
+describe('describeValidation', () => {
+  it('summarizes the report', async () => {
+    assert.equal(describeValidation(await validateAgainstCollection(stubDb(undefined), 'c', [{}])), 'Collection has no validator');
+    assert.equal(describeValidation(await validateAgainstCollection(stubDb({ validator }), 'c', [{ name: 'Ada' }])), 'All documents passed validation');
+    assert.equal(describeValidation(await validateAgainstCollection(stubDb({ validator }), 'c', [{}, { name: 'Ada' }])), '1 of 2 documents failed validation');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Document Diff Utilities
+ * Field-level differences between two versions of a document
+ *
+ * Nested objects and arrays are compared element by element; every other
+ * value (including BSON values such as ObjectId or Date) is compared by its
+ * canonical Extended JSON form.
+ */
+import { isPlainObject, stringifyExtendedJson } from './ejson.js';
+
+/**
+ * Check whether two leaf values are equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function sameValue(a, b) {
+  return stringifyExtendedJson(a ?? null, 'canonical') === stringifyExtendedJson(b ?? null, 'canonical');
+}
+
+/**
+ * Collect the differences between two values
+ * @param {*} from - Old value
+ * @param {*} to - New value
+ * @param {string} path - Dotted path of the values
+ * @param {Array} changes - Accumulated changes
+ */
+function collectChanges(from, to, path, changes) {
+  const bothObjects = isPlainObject(from) && isPlainObject(to);
+  const bothArrays = Array.isArray(from) && Array.isArray(to);
+
+  if (bothObjects || bothArrays) {
+    const keys = bothArrays
+      ? Array.from({ length: Math.max(from.length, to.length) }, (_, index) => String(index))
+      : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+    for (const key of keys) {
+      const childPath = path ? `${path}.${key}` : key;
+      const inFrom = Object.hasOwn(from, key);
+      const inTo = Object.hasOwn(to, key);
+
+      if (inFrom && !inTo) {
+        changes.push({ path: childPath, type: 'removed', from: from[key] });
+      } else if (!inFrom && inTo) {
+        changes.push({ path: childPath, type: 'added', to: to[key] });
+      } else {
+        collectChanges(from[key], to[key], childPath, changes);
+      }
+    }
+    return;
+  }
+
+  if (!sameValue(from, to)) {
+    changes.push({ path, type: 'changed', from, to });
+  }
+}
+
+/**
+ * Diff two versions of a document
+ * A null version stands for a document that did not exist
+ * @param {Object|null} from - Old version
+ * @param {Object|null} to - New version
+ * @returns {Array<Object>} - Changes ({ path, type: 'added'|'removed'|'changed', from, to })
+ */
+export function diffDocuments(from, to) {
+  const changes = [];
+  collectChanges(from ?? {}, to ?? {}, '', changes);
+  return changes;
+}
@@ -0,0 +1,34 @@
+/**
+ * Document ETag Utilities
+ * Content-based entity tags for optimistic concurrency on documents
+ *
+ * The ETag is a hash of the document's canonical Extended JSON, so it changes
+ * whenever any field (or its BSON type) changes, whoever made the change.
+ */
+import crypto from 'crypto';
+import { stringifyExtendedJson } from './ejson.js';
+
+/**
+ * Compute the strong ETag of a document
+ * @param {Object} document - Document as stored
+ * @returns {string} - Quoted ETag
+ */
+export function computeDocumentEtag(document) {
+  const hash = crypto.createHash('sha256').update(stringifyExtendedJson(document, 'canonical')).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Check an If-Match header against the current ETag
+ * Uses strong comparison: weak tags (W/"...") never match
+ * @param {string} ifMatch - If-Match header value (list of ETags or *)
+ * @param {string|null} etag - Current ETag, null if the document does not exist
+ * @returns {boolean} - True if the precondition holds
+ */
+export function matchesIfMatch(ifMatch, etag) {
+  if (!etag) {
+    return false;
+  }
+
+  return ifMatch.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etag);
+}
@@ -0,0 +1,134 @@
+/**
+ * Document ID Utilities
+ * Turns the :id route parameter into a typed _id value
+ *
+ * Without a hint the type is detected as follows:
+ *   1. Values starting with '{', '[' or '"' are parsed as Extended JSON
+ *      ({"$oid": ...}, {"$numberLong": ...}, {"$uuid": ...}, compound ids,
+ *      or a quoted string to force a string _id)
+ *   2. 24 hexadecimal characters are an ObjectId
+ *   3. Anything else is a plain string
+ *
+ * An explicit idType hint skips detection and converts the raw value.
+ */
+import { ObjectId, Long, Double, UUID, BSON } from 'mongodb';
+
+const { EJSON } = BSON;
+
+export const DOCUMENT_ID_TYPES = ['auto', 'objectId', 'string', 'int', 'long', 'double', 'uuid', 'date', 'ejson'];
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Create a 400 error for an identifier that cannot be converted
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function invalidId(message) {
+  const error = new Error(`Invalid document ID: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Parse an Extended JSON identifier
+ * @param {string} raw - Extended JSON text
+ * @returns {*} - Parsed _id value
+ */
+function parseExtendedJson(raw) {
+  try {
+    return EJSON.parse(raw, { relaxed: true });
+  } catch (error) {
+    throw invalidId(`not valid Extended JSON (${error.message})`);
+  }
+}
+
+/**
+ * Convert a raw identifier to the requested type
+ * @param {string} raw - Raw identifier
+ * @param {string} idType - Type from DOCUMENT_ID_TYPES (except 'auto')
+ * @returns {*} - Typed _id value
+ */
+function convertId(raw, idType) {
+  switch (idType) {
+    case 'objectId':
+      if (!OBJECT_ID_PATTERN.test(raw)) {
+        throw invalidId('an ObjectId must be 24 hexadecimal characters');
+      }
+      return new ObjectId(raw);
+
+    case 'string':
+      return raw;
+
+    case 'int': {
+      const value = Number(raw);
+      if (!INTEGER_PATTERN.test(raw) || !Number.isSafeInteger(value)) {
+        throw invalidId(`'${raw}' is not an integer`);
+      }
+      return value;
+    }
+
+    case 'long':
+      if (!INTEGER_PATTERN.test(raw)) {
+        throw invalidId(`'${raw}' is not a 64-bit integer`);
+      }
+      return Long.fromString(raw);
+
+    case 'double': {
+      const value = Number(raw);
+      if (raw.trim() === '' || !Number.isFinite(value)) {
+        throw invalidId(`'${raw}' is not a number`);
+      }
+      return new Double(value);
+    }
+
+    case 'uuid':
+      try {
+        return new UUID(raw);
+      } catch (error) {
+        throw invalidId(`'${raw}' is not a UUID`);
+      }
+
+    case 'date': {
+      const value = new Date(INTEGER_PATTERN.test(raw) ? Number(raw) : raw);
+      if (Number.isNaN(value.getTime())) {
+        throw invalidId(`'${raw}' is not a date`);
+      }
+      return value;
+    }
+
+    case 'ejson':
+      return parseExtendedJson(raw);
+
+    default:
+      throw invalidId(`unknown idType '${idType}'`);
+  }
+}
+
+/**
+ * Parse the :id route parameter into a typed _id value
+ * @param {string} raw - Raw identifier from the URL (already URL-decoded)
+ * @param {string} [idType] - Type hint, 'auto' detects the type
+ * @returns {*} - Value to match against _id
+ * @throws {Error} - With statusCode 400 if the identifier cannot be converted
+ */
+export function parseDocumentId(raw, idType = 'auto') {
+  if (typeof raw !== 'string' || raw.length === 0) {
+    throw invalidId('an identifier is required');
+  }
+
+  if (idType !== 'auto') {
+    return convertId(raw, idType);
+  }
+
+  if (/^[{["]/.test(raw)) {
+    return parseExtendedJson(raw);
+  }
+
+  if (OBJECT_ID_PATTERN.test(raw)) {
+    return new ObjectId(raw);
+  }
+
+  return raw;
+}
@@ -0,0 +1,107 @@
+/**
+ * Extended JSON Utilities
+ * Conversion between MongoDB Extended JSON (EJSON) and BSON values
+ *
+ * Incoming EJSON is always parsed in canonical mode so type wrappers such as
+ * {"$numberLong": ...} or {"$numberDouble": ...} keep their BSON type. Plain
+ * JSON numbers are then turned back into JS numbers, which the driver stores
+ * exactly as it would without EJSON.
+ */
+import { BSON, Int32, Double } from 'mongodb';
+
+const { EJSON } = BSON;
+
+export const EJSON_MODES = ['canonical', 'relaxed'];
+
+/**
+ * Check whether a value is a plain object (not a BSON value, Date, array, ...)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Replace Int32 values and fractional Doubles with JS numbers
+ * Integral Doubles stay Doubles, they only come from explicit {"$numberDouble": ...}
+ * @param {*} value - Deserialized value
+ * @returns {*} - Value with plain numbers
+ */
+function unwrapNumbers(value) {
+  if (value instanceof Int32) {
+    return value.value;
+  }
+  if (value instanceof Double) {
+    return Number.isInteger(value.value) ? value : value.value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(unwrapNumbers);
+  }
+  if (isPlainObject(value)) {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = unwrapNumbers(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Convert an already JSON-parsed EJSON value into BSON values
+ * @param {*} value - JSON value (e.g. a request body)
+ * @returns {*} - Value with Dates, ObjectIds, Longs, ...
+ * @throws {Error} - With statusCode 400 on malformed type wrappers
+ */
+export function deserializeExtendedJson(value) {
+  try {
+    return unwrapNumbers(EJSON.deserialize(value, { relaxed: false }));
+  } catch (error) {
+    const invalid = new Error(`Invalid Extended JSON: ${error.message}`);
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+}
+
+/**
+ * Parse EJSON text into BSON values
+ * @param {string} text - EJSON text
+ * @returns {*} - Parsed value
+ * @throws {Error} - With statusCode 400 on invalid input
+ */
+export function parseExtendedJson(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (error) {
+    const invalid = new Error(`Invalid Extended JSON: ${error.message}`);
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+  return deserializeExtendedJson(value);
+}
+
+/**
+ * Convert BSON values into a JSON-safe EJSON value
+ * @param {*} value - Value to serialize
+ * @param {string} mode - 'canonical' or 'relaxed'
+ * @returns {*} - EJSON value
+ */
+export function serializeExtendedJson(value, mode) {
+  return EJSON.serialize(value, { relaxed: mode === 'relaxed' });
+}
+
+/**
+ * Convert BSON values into EJSON text
+ * @param {*} value - Value to stringify
+ * @param {string} mode - 'canonical' or 'relaxed'
+ * @returns {string} - EJSON text
+ */
+export function stringifyExtendedJson(value, mode) {
+  return EJSON.stringify(value, { relaxed: mode === 'relaxed' });
+}
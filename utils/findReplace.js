@@ -0,0 +1,230 @@
+/**
+ * Find-and-Replace Utilities
+ * Aggregation expressions replacing text inside a field of every matching document
+ *
+ * The same expression is used to preview ($project) and to apply (pipeline
+ * update), so the preview shows exactly what will be written. Field paths
+ * walk through arrays: 'tags' replaces in every string of a tags array and
+ * 'items.sku' in the sku of every element of items. Non-string values are
+ * left untouched.
+ */
+import { BSONRegExp } from 'mongodb';
+
+/**
+ * Create a 400 error
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Split and check a field path
+ * @param {string} field - Dotted field path
+ * @returns {string[]} - Path segments
+ * @throws {Error} - With statusCode 400 for empty, $-prefixed or positional segments
+ */
+export function parseFieldPath(field) {
+  const segments = field.split('.');
+
+  for (const segment of segments) {
+    if (segment === '' || segment.startsWith('$')) {
+      throw badRequest(`Invalid field path '${field}'`);
+    }
+    if (/^\d+$/.test(segment)) {
+      throw badRequest(`Array positions are not supported in '${field}', use the array field to replace in every element`);
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Escape a literal for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the regular expression matching the text to find
+ * @param {Object} options - Find options
+ * @param {string} options.find - Literal text or pattern
+ * @param {boolean} options.regex - find is a regular expression
+ * @param {string} options.flags - Regex options (i, m, s, x)
+ * @returns {BSONRegExp} - Server-side regular expression
+ */
+export function buildFindRegex({ find, regex, flags }) {
+  return new BSONRegExp(regex ? find : escapeRegex(find), flags);
+}
+
+/**
+ * Build the filter of documents whose field contains the text to find
+ * @param {Object} filter - User filter
+ * @param {string} field - Field path
+ * @param {Object} options - Find options (see buildFindRegex)
+ * @returns {Object} - Combined filter
+ */
+export function buildMatchFilter(filter, field, options) {
+  const match = { [field]: buildFindRegex(options) };
+  return Object.keys(filter).length > 0 ? { $and: [filter, match] } : match;
+}
+
+/**
+ * Build the expression of the replacement text for one regex match
+ * Supports $1-$99 (capture groups), $& (whole match) and $$ (literal $)
+ * @param {string} replacement - Replacement template
+ * @param {string} matchVar - Variable holding the $regexFind match
+ * @returns {Object} - Expression
+ */
+function buildReplacementExpression(replacement, matchVar) {
+  const parts = [];
+  let literal = '';
+  const pushLiteral = () => {
+    if (literal) {
+      parts.push({ $literal: literal });
+      literal = '';
+    }
+  };
+
+  for (let i = 0; i < replacement.length; i++) {
+    const char = replacement[i];
+    const next = replacement[i + 1];
+
+    if (char === '$' && next === '$') {
+      literal += '$';
+      i++;
+    } else if (char === '$' && next === '&') {
+      pushLiteral();
+      parts.push(`$$${matchVar}.match`);
+      i++;
+    } else if (char === '$' && /\d/.test(next ?? '')) {
+      const digits = /^\d{1,2}/.exec(replacement.slice(i + 1))[0];
+      pushLiteral();
+      parts.push({ $ifNull: [{ $arrayElemAt: [`$$${matchVar}.captures`, Number(digits) - 1] }, ''] });
+      i += digits.length;
+    } else {
+      literal += char;
+    }
+  }
+  pushLiteral();
+
+  return parts.length === 0 ? { $literal: '' } : { $concat: parts };
+}
+
+/**
+ * Build the expression replacing the matches in one string
+ * @param {string} input - Expression of the string
+ * @param {Object} options - Find options
+ * @returns {Object} - Expression
+ */
+function buildStringReplaceExpression(input, { find, regex, flags, replacement, replaceAll }) {
+  // Plain literals use the native operators
+  if (!regex && !flags.includes('i')) {
+    const operator = replaceAll ? '$replaceAll' : '$replaceOne';
+    return { [operator]: { input, find: { $literal: find }, replacement: { $literal: replacement } } };
+  }
+
+  const pattern = regex ? find : escapeRegex(find);
+  const template = regex ? replacement : replacement.replace(/\$/g, '$$$$');
+  const matches = replaceAll
+    ? { $regexFindAll: { input, regex: pattern, options: flags } }
+    : { $let: { vars: { m: { $regexFind: { input, regex: pattern, options: flags } } }, in: { $cond: [{ $eq: ['$$m', null] }, [], ['$$m']] } } };
+
+  // Rebuild the string: text before each match, its replacement, then the tail
+  return {
+    $let: {
+      vars: {
+        done: {
+          $reduce: {
+            input: matches,
+            initialValue: { out: '', pos: 0 },
+            in: {
+              out: {
+                $concat: [
+                  '$$value.out',
+                  { $substrCP: [input, '$$value.pos', { $subtract: ['$$this.idx', '$$value.pos'] }] },
+                  { $let: { vars: { match: '$$this' }, in: buildReplacementExpression(template, 'match') } }
+                ]
+              },
+              pos: { $add: ['$$this.idx', { $strLenCP: '$$this.match' }] }
+            }
+          }
+        }
+      },
+      in: {
+        $concat: [
+          '$$done.out',
+          { $substrCP: [input, '$$done.pos', { $subtract: [{ $strLenCP: input }, '$$done.pos'] }] }
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Build the expression of a value after replacement, walking objects and arrays
+ * Like query paths, an array at any step of the path is walked one level deep
+ * @param {string} input - Expression of the value
+ * @param {string[]} segments - Remaining path segments
+ * @param {Object} options - Find options
+ * @param {number} depth - Nesting depth (for variable names)
+ * @returns {Object} - Expression
+ */
+function buildValueExpression(input, segments, options, depth) {
+  const value = `v${depth}`;
+  const element = `e${depth}`;
+  const [segment, ...rest] = segments;
+
+  // Replacement in one non-array value
+  const step = (item) => (segment === undefined
+    ? {
+      $cond: [
+        { $eq: [{ $type: item }, 'string'] },
+        buildStringReplaceExpression(item, options),
+        item
+      ]
+    }
+    : {
+      $cond: [
+        { $eq: [{ $type: item }, 'object'] },
+        { $mergeObjects: [item, { [segment]: buildValueExpression(`${item}.${segment}`, rest, options, depth + 1) }] },
+        item
+      ]
+    });
+
+  return {
+    $let: {
+      vars: { [value]: input },
+      in: {
+        $cond: [
+          { $isArray: `$$${value}` },
+          { $map: { input: `$$${value}`, as: element, in: step(`$$${element}`) } },
+          step(`$$${value}`)
+        ]
+      }
+    }
+  };
+}
+
+/**
+ * Build the $set stage applying a find-and-replace to a field
+ * @param {string} field - Dotted field path (arrays are walked)
+ * @param {Object} options - Find options
+ * @param {string} options.find - Literal text or pattern
+ * @param {boolean} options.regex - find is a regular expression
+ * @param {string} options.flags - Regex options (i, m, s, x)
+ * @param {string} options.replacement - Replacement ($1, $& and $$ in regex mode)
+ * @param {boolean} options.replaceAll - Replace every occurrence, not only the first
+ * @returns {Object} - { root, expression } where root is the top-level field to $set
+ * @throws {Error} - With statusCode 400 for an invalid field path
+ */
+export function buildReplaceStage(field, options) {
+  const [root, ...rest] = parseFieldPath(field);
+  return { root, expression: buildValueExpression(`$${root}`, rest, options, 0) };
+}
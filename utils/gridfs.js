@@ -0,0 +1,120 @@
+/**
+ * GridFS Utilities
+ * Bucket detection, file filters and HTTP Range parsing for the GridFS file browser
+ *
+ * A bucket named 'fs' is stored in two collections: 'fs.files' (one document
+ * per file: filename, length, chunkSize, uploadDate, metadata) and
+ * 'fs.chunks' (the file content).
+ */
+
+const FILES_SUFFIX = '.files';
+const CHUNKS_SUFFIX = '.chunks';
+
+/**
+ * Find the GridFS buckets among the collections of a database
+ * @param {string[]} collectionNames - Collection names
+ * @returns {string[]} - Bucket names (a .files collection with its .chunks collection), sorted
+ */
+export function findBucketNames(collectionNames) {
+  const names = new Set(collectionNames);
+
+  return collectionNames
+    .filter(name => name.endsWith(FILES_SUFFIX))
+    .map(name => name.slice(0, -FILES_SUFFIX.length))
+    .filter(bucket => bucket && names.has(`${bucket}${CHUNKS_SUFFIX}`))
+    .sort();
+}
+
+/**
+ * Describe the part a collection plays in a GridFS bucket
+ * @param {string} collName - Collection name
+ * @param {string[]} bucketNames - Buckets of the database (see findBucketNames)
+ * @returns {Object|null} - { bucket, role: 'files'|'chunks' } or null for regular collections
+ */
+export function getGridFSRole(collName, bucketNames) {
+  for (const [suffix, role] of [[FILES_SUFFIX, 'files'], [CHUNKS_SUFFIX, 'chunks']]) {
+    const bucket = collName.slice(0, -suffix.length);
+    if (collName.endsWith(suffix) && bucketNames.includes(bucket)) {
+      return { bucket, role };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the Content-Type of a stored file
+ * The driver stores it in metadata.contentType; older drivers used a top-level contentType
+ * @param {Object} file - Files collection document
+ * @returns {string} - MIME type
+ */
+export function getFileContentType(file) {
+  return file.metadata?.contentType || file.contentType || 'application/octet-stream';
+}
+
+/**
+ * Build the filter of the files list
+ * @param {Object} filter - Parsed user filter on the files documents
+ * @param {Object} options - Shortcuts
+ * @param {string} [options.search] - Case-insensitive text in the filename
+ * @param {string} [options.contentType] - MIME type, or a prefix ending with '/' (e.g. 'image/')
+ * @returns {Object} - MongoDB filter
+ */
+export function buildFileFilter(filter, { search, contentType }) {
+  const clauses = Object.keys(filter).length > 0 ? [filter] : [];
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  if (search) {
+    clauses.push({ filename: { $regex: escape(search), $options: 'i' } });
+  }
+
+  if (contentType) {
+    const value = contentType.endsWith('/')
+      ? { $regex: `^${escape(contentType)}`, $options: 'i' }
+      : contentType;
+    clauses.push({ $or: [{ 'metadata.contentType': value }, { contentType: value }] });
+  }
+
+  if (clauses.length === 0) {
+    return {};
+  }
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Parse a Range header for a file of the given size
+ * Only single byte ranges are served; other or malformed ranges are ignored
+ * and the whole file is sent, as RFC 9110 allows
+ * @param {string|undefined} header - Range header
+ * @param {number} size - File length in bytes
+ * @returns {Object|null|false} - { start, end } (end inclusive), null for the
+ *   whole file, or false when the range cannot be satisfied (416)
+ */
+export function parseRangeHeader(header, size) {
+  const match = header ? /^bytes=(\d*)-(\d*)$/.exec(header.trim()) : null;
+
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  // Suffix range: the last N bytes
+  if (match[1] === '') {
+    const suffixLength = Number(match[2]);
+    if (suffixLength === 0 || size === 0) {
+      return false;
+    }
+    return { start: Math.max(0, size - suffixLength), end: size - 1 };
+  }
+
+  const start = Number(match[1]);
+  const end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+
+  if (match[2] !== '' && Number(match[2]) < start) {
+    return null;
+  }
+  if (start >= size) {
+    return false;
+  }
+
+  return { start, end };
+}
@@ -0,0 +1,428 @@
+/**
+ * JSON Patch Utilities
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396) for MongoDB documents
+ *
+ * Patches are applied in memory to the current document. The result is then
+ * turned into a minimal update ($set with array index paths, $unset, $push,
+ * $pull) plus a guard filter on the original values of the touched fields and
+ * of the fields named by test operations, so the write only succeeds if nobody
+ * changed those fields in the meantime.
+ */
+import { isPlainObject, stringifyExtendedJson } from './ejson.js';
+import { diffDocuments } from './documentDiff.js';
+import { bsonEquals } from './jsonSchemaValidator.js';
+
+export const JSON_PATCH_TYPE = 'application/json-patch+json';
+export const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+export const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Create an error with an HTTP status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} - Error with statusCode
+ */
+function patchError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Deep clone plain objects and arrays, BSON values are shared
+ * @param {*} value - Value to clone
+ * @returns {*} - Clone
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+/**
+ * Deep equality as defined for the JSON Patch test operation (object key order is ignored)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+function deepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => deepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      return false;
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return stringifyExtendedJson(a ?? null, 'canonical') === stringifyExtendedJson(b ?? null, 'canonical');
+}
+
+/**
+ * Split a JSON Pointer into unescaped segments
+ * @param {string} pointer - JSON Pointer (e.g. /tags/0)
+ * @returns {string[]} - Segments
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw patchError(`Invalid JSON Pointer '${pointer}'`, 400);
+  }
+  if (pointer === '') {
+    throw patchError('Patching the whole document is not supported, use a replacement update instead', 400);
+  }
+
+  const segments = pointer.slice(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (segments[0] === '_id') {
+    throw patchError('_id is immutable and cannot be patched', 400);
+  }
+
+  return segments;
+}
+
+/**
+ * Resolve the parent container and key of a pointer
+ * @param {Object} doc - Document
+ * @param {string[]} segments - Pointer segments
+ * @param {string} pointer - Original pointer (for messages)
+ * @returns {Object} - { parent, key }
+ */
+function resolveParent(doc, segments, pointer) {
+  let parent = doc;
+
+  for (const segment of segments.slice(0, -1)) {
+    const next = Array.isArray(parent) ? parent[arrayIndex(parent, segment, pointer, false)] : parent?.[segment];
+    if (!Array.isArray(next) && !isPlainObject(next)) {
+      throw patchError(`Path '${pointer}' does not exist`, 422);
+    }
+    parent = next;
+  }
+
+  return { parent, key: segments[segments.length - 1] };
+}
+
+/**
+ * Convert a pointer segment to an array index
+ * @param {Array} array - Target array
+ * @param {string} segment - Segment
+ * @param {string} pointer - Original pointer (for messages)
+ * @param {boolean} allowEnd - Accept '-' and length (positions after the last element)
+ * @returns {number} - Index
+ */
+function arrayIndex(array, segment, pointer, allowEnd) {
+  if (segment === '-' && allowEnd) {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(segment)) {
+    throw patchError(`Invalid array index '${segment}' in '${pointer}'`, 422);
+  }
+
+  const index = Number(segment);
+  if (index > array.length || (index === array.length && !allowEnd)) {
+    throw patchError(`Array index out of bounds in '${pointer}'`, 422);
+  }
+  return index;
+}
+
+/**
+ * Read the value at a pointer
+ * @param {Object} doc - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} - Value
+ */
+function getValue(doc, pointer) {
+  const segments = parsePointer(pointer);
+  const { parent, key } = resolveParent(doc, segments, pointer);
+
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key, pointer, false)];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw patchError(`Path '${pointer}' does not exist`, 422);
+  }
+  return parent[key];
+}
+
+/**
+ * Add a value at a pointer (inserting into arrays)
+ * @param {Object} doc - Document
+ * @param {string} pointer - JSON Pointer
+ * @param {*} value - Value
+ */
+function addValue(doc, pointer, value) {
+  const segments = parsePointer(pointer);
+  const { parent, key } = resolveParent(doc, segments, pointer);
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, pointer, true), 0, value);
+  } else {
+    Object.defineProperty(parent, key, { value, enumerable: true, writable: true, configurable: true });
+  }
+}
+
+/**
+ * Remove the value at a pointer
+ * @param {Object} doc - Document
+ * @param {string} pointer - JSON Pointer
+ * @returns {*} - Removed value
+ */
+function removeValue(doc, pointer) {
+  const segments = parsePointer(pointer);
+  const { parent, key } = resolveParent(doc, segments, pointer);
+
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, pointer, false), 1)[0];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw patchError(`Path '${pointer}' does not exist`, 422);
+  }
+
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a document
+ * The patch is atomic: any failing operation rejects the whole patch
+ * @param {Object} doc - Current document (not modified)
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {Object} - Patched document
+ * @throws {Error} - 400 for malformed operations, 422 for missing paths, 409 when a test fails
+ */
+export function applyJsonPatch(doc, operations) {
+  const result = clone(doc);
+
+  operations.forEach((operation, index) => {
+    const { op, path, value, from } = operation;
+
+    switch (op) {
+      case 'add':
+        addValue(result, path, clone(value));
+        break;
+      case 'remove':
+        removeValue(result, path);
+        break;
+      case 'replace':
+        getValue(result, path);
+        removeValue(result, path);
+        addValue(result, path, clone(value));
+        break;
+      case 'move':
+        if (path.startsWith(`${from}/`)) {
+          throw patchError(`Operation ${index}: cannot move '${from}' into one of its children`, 422);
+        }
+        addValue(result, path, removeValue(result, from));
+        break;
+      case 'copy':
+        addValue(result, path, clone(getValue(result, from)));
+        break;
+      case 'test':
+        if (!deepEqual(getValue(result, path), value)) {
+          throw patchError(`Operation ${index}: test failed, '${path}' does not have the expected value`, 409);
+        }
+        break;
+      default:
+        throw patchError(`Operation ${index}: unknown op '${op}'`, 400);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * List the top-level fields whose values test operations check
+ * @param {Array<Object>} operations - Patch operations
+ * @returns {string[]} - Field names
+ * @throws {Error} - 400 for invalid pointers
+ */
+export function listTestedFields(operations) {
+  const fields = operations
+    .filter(operation => operation.op === 'test')
+    .map(operation => parsePointer(operation.path)[0]);
+  return [...new Set(fields)];
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a document
+ * null removes a field, objects are merged recursively, anything else replaces
+ * @param {Object} doc - Current document (not modified)
+ * @param {Object} patch - Merge patch
+ * @returns {Object} - Patched document
+ * @throws {Error} - 400 when the patch changes _id
+ */
+export function applyMergePatch(doc, patch) {
+  if (Object.hasOwn(patch, '_id')) {
+    throw patchError('_id is immutable and cannot be patched', 400);
+  }
+
+  const merge = (target, changes) => {
+    const result = isPlainObject(target) ? clone(target) : {};
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete result[key];
+      } else if (isPlainObject(value)) {
+        result[key] = merge(result[key], value);
+      } else {
+        result[key] = clone(value);
+      }
+    }
+
+    return result;
+  };
+
+  return merge(doc, patch);
+}
+
+/**
+ * Check whether a dotted path is the same as or inside another path
+ * @param {string} path - Path
+ * @param {string} ancestor - Possible ancestor
+ * @returns {boolean} - True if path equals or is below ancestor
+ */
+function isWithin(path, ancestor) {
+  return path === ancestor || path.startsWith(`${ancestor}.`);
+}
+
+/**
+ * Find the values to $pull from an array to get the patched array
+ * $pull removes every element equal to a value, so this only works when the
+ * patched array is the original without all occurrences of some values.
+ * Arrays holding arrays are excluded: the $in query would also match
+ * nested arrays that only contain a pulled value.
+ * @param {*} from - Original value
+ * @param {*} to - Patched value
+ * @returns {Array|null} - Values to pull, null if the change is not a pure removal
+ */
+function findPulledValues(from, to) {
+  if (!Array.isArray(from) || !Array.isArray(to) || from.some(item => Array.isArray(item))) {
+    return null;
+  }
+
+  const pulled = [];
+  for (const item of from) {
+    if (!to.some(kept => bsonEquals(kept, item)) && !pulled.some(value => bsonEquals(value, item))) {
+      pulled.push(item);
+    }
+  }
+
+  const remaining = from.filter(item => !pulled.some(value => bsonEquals(value, item)));
+  return pulled.length > 0 && bsonEquals(remaining, to) ? pulled : null;
+}
+
+/**
+ * Build the minimal update turning one version of a document into another
+ * Changed values and object fields use $set (with array index paths), removed
+ * object fields $unset, pure appends $push, and arrays that only lost every
+ * occurrence of some values $pull. Arrays that lost elements in any other way
+ * (e.g. one of two equal elements, or removals mixed with other changes), and
+ * paths MongoDB cannot update together, are collapsed into a $set of the
+ * enclosing path.
+ * @param {Object} original - Current document
+ * @param {Object} patched - Desired document
+ * @param {string[]} [checkedFields] - Top-level fields the patch depends on without changing
+ *   them (see listTestedFields), guarded as well
+ * @returns {Object} - { update, guard } where guard is a filter on the original values
+ * @throws {Error} - With statusCode 400 when a field name cannot be used in an update path
+ */
+export function buildPatchUpdate(original, patched, checkedFields = []) {
+  const changes = diffDocuments(original, patched);
+  const valueAt = (doc, path) => path.split('.').reduce((current, key) => current?.[key], doc);
+  const parentOf = (path) => path.split('.').slice(0, -1).join('.');
+
+  for (const { path } of changes) {
+    if (path.split('.').some(segment => segment === '' || segment.startsWith('$'))) {
+      throw patchError(`Field path '${path}' cannot be updated`, 400);
+    }
+  }
+
+  // Arrays that lost elements: $pull the removed values when possible, otherwise set as a whole
+  const shrunk = new Set(changes
+    .filter(change => change.type === 'removed' && Array.isArray(valueAt(original, parentOf(change.path))))
+    .map(change => parentOf(change.path)));
+
+  let pulls = new Map();
+  let wholeSets = new Set();
+  for (const path of shrunk) {
+    const pulled = findPulledValues(valueAt(original, path), valueAt(patched, path));
+    if (pulled) {
+      pulls.set(path, pulled);
+    } else {
+      wholeSets.add(path);
+    }
+  }
+
+  let sets = [];
+  let unsets = [];
+  let pushes = new Map();
+
+  const plan = () => {
+    sets = [...wholeSets];
+    unsets = [];
+    pushes = new Map();
+
+    for (const change of changes) {
+      if ([...wholeSets, ...pulls.keys()].some(path => isWithin(change.path, path))) {
+        continue;
+      }
+
+      const parent = parentOf(change.path);
+      const parentIsArray = Array.isArray(valueAt(original, parent)) && Array.isArray(valueAt(patched, parent));
+
+      if (change.type === 'removed') {
+        unsets.push(change.path);
+      } else if (change.type === 'added' && parentIsArray) {
+        pushes.set(parent, [...(pushes.get(parent) || []), change.to]);
+      } else {
+        sets.push(change.path);
+      }
+    }
+  };
+
+  // Collapse conflicting paths (one inside another, or a $push next to index updates) until none is left
+  for (;;) {
+    plan();
+
+    const paths = [...sets, ...unsets, ...pushes.keys(), ...pulls.keys()];
+    const conflict = paths.flatMap((a, i) => paths.slice(i + 1).map(b => [a, b]))
+      .find(([a, b]) => isWithin(a, b) || isWithin(b, a));
+
+    if (!conflict) {
+      break;
+    }
+
+    const [a, b] = conflict;
+    const target = isWithin(a, b) ? b : a;
+    wholeSets = new Set([...[...wholeSets].filter(path => !isWithin(path, target)), target]);
+    pulls = new Map([...pulls].filter(([path]) => !isWithin(path, target)));
+  }
+
+  const update = {};
+  if (sets.length > 0) {
+    update.$set = Object.fromEntries(sets.map(path => [path, valueAt(patched, path)]));
+  }
+  if (unsets.length > 0) {
+    update.$unset = Object.fromEntries(unsets.map(path => [path, '']));
+  }
+  if (pushes.size > 0) {
+    update.$push = Object.fromEntries([...pushes].map(([path, values]) => [path, { $each: values }]));
+  }
+  if (pulls.size > 0) {
+    update.$pull = Object.fromEntries([...pulls].map(([path, values]) => [path, { $in: values }]));
+  }
+
+  // Guard on the original value of every touched or tested top-level field
+  const roots = new Set([...[...sets, ...unsets, ...pushes.keys(), ...pulls.keys()].map(path => path.split('.')[0]), ...checkedFields]);
+  const guard = Object.fromEntries([...roots].map(root => [
+    root,
+    original[root] === undefined ? { $exists: false } : { $eq: original[root] }
+  ]));
+
+  return { update, guard };
+}
@@ -0,0 +1,421 @@
+/**
+ * JSON Schema Validator
+ * Checks documents locally against a collection's $jsonSchema validator
+ *
+ * Implements the MongoDB dialect of JSON Schema draft 4: bsonType, type,
+ * required, properties, patternProperties, additionalProperties,
+ * dependencies, enum, numeric, string, array and object bounds, allOf,
+ * anyOf, oneOf and not. Each violation carries the dotted path of the
+ * offending field (array positions included, e.g. 'items.2.sku') so editors
+ * can highlight it. Regex patterns run with JavaScript semantics, which match
+ * PCRE for common patterns; patterns JavaScript cannot compile (e.g. inline
+ * flags like '(?i)') are skipped and reported by splitValidator instead.
+ */
+import { isPlainObject, stringifyExtendedJson } from './ejson.js';
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+
+// BSON types by the driver's _bsontype tag
+const BSON_TYPES = {
+  ObjectId: 'objectId',
+  Long: 'long',
+  Int32: 'int',
+  Double: 'double',
+  Decimal128: 'decimal',
+  Binary: 'binData',
+  Timestamp: 'timestamp',
+  Code: 'javascript',
+  BSONRegExp: 'regex',
+  BSONSymbol: 'symbol',
+  DBRef: 'object',
+  MinKey: 'minKey',
+  MaxKey: 'maxKey'
+};
+
+const NUMERIC_TYPES = ['int', 'long', 'double', 'decimal'];
+
+// JSON Schema 'type' names to BSON types
+const JSON_TYPES = {
+  object: ['object'],
+  array: ['array'],
+  number: NUMERIC_TYPES,
+  boolean: ['bool'],
+  string: ['string'],
+  null: ['null']
+};
+
+/**
+ * Get the BSON type a value is stored as
+ * Plain JavaScript numbers are stored as int when they are 32-bit integers, as double otherwise
+ * @param {*} value - Value
+ * @returns {string} - BSON type alias (as used by $type and bsonType)
+ */
+export function getBsonType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'bool';
+  if (typeof value === 'bigint') return 'long';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= INT32_MIN && value <= INT32_MAX ? 'int' : 'double';
+  }
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regex';
+  if (value._bsontype) return BSON_TYPES[value._bsontype] || 'object';
+  return 'object';
+}
+
+/**
+ * Convert a numeric BSON value to a JavaScript number
+ * @param {*} value - Numeric value
+ * @returns {number} - Number
+ */
+function toNumber(value) {
+  return typeof value === 'object' ? Number(value.toString()) : Number(value);
+}
+
+/**
+ * Compare values the way the server does for enum and uniqueItems
+ * Numbers are equal across numeric types (1 and 1.0), object key order matters
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if equal
+ */
+export function bsonEquals(a, b) {
+  const typeA = getBsonType(a);
+  const typeB = getBsonType(b);
+
+  if (NUMERIC_TYPES.includes(typeA) && NUMERIC_TYPES.includes(typeB)) {
+    return toNumber(a) === toNumber(b);
+  }
+  if (typeA !== typeB) {
+    return false;
+  }
+  if (typeA === 'array') {
+    return a.length === b.length && a.every((item, index) => bsonEquals(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key, index) => key === keysB[index] && bsonEquals(a[key], b[key]));
+  }
+  return stringifyExtendedJson(a, 'canonical') === stringifyExtendedJson(b, 'canonical');
+}
+
+// Compiled pattern and patternProperties regexes (null when JavaScript cannot compile them)
+const regexCache = new Map();
+
+/**
+ * Compile a schema regex
+ * @param {string} pattern - Regex source
+ * @returns {RegExp|null} - Regex, null if it cannot be compiled locally
+ */
+function compilePattern(pattern) {
+  if (!regexCache.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, 'u');
+    } catch (error) {
+      // Left to the server
+    }
+    regexCache.set(pattern, regex);
+  }
+  return regexCache.get(pattern);
+}
+
+/**
+ * Find the regexes of a schema that cannot be checked locally
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Location of the schema (e.g. '$jsonSchema.properties.name')
+ * @returns {string[]} - Locations of the pattern and patternProperties entries
+ */
+function findUncheckedPatterns(schema, path) {
+  if (!isPlainObject(schema)) {
+    return [];
+  }
+
+  const found = [];
+  if (typeof schema.pattern === 'string' && !compilePattern(schema.pattern)) {
+    found.push(`${path}.pattern`);
+  }
+
+  const children = [];
+  for (const keyword of ['properties', 'patternProperties', 'dependencies']) {
+    for (const [key, subschema] of Object.entries(schema[keyword] || {})) {
+      if (keyword === 'patternProperties' && !compilePattern(key)) {
+        found.push(`${path}.patternProperties.${key}`);
+      }
+      children.push([subschema, `${path}.${keyword}.${key}`]);
+    }
+  }
+  for (const keyword of ['additionalProperties', 'additionalItems', 'not']) {
+    children.push([schema[keyword], `${path}.${keyword}`]);
+  }
+  for (const keyword of ['items', 'allOf', 'anyOf', 'oneOf']) {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((subschema, index) => children.push([subschema, `${path}.${keyword}.${index}`]));
+    } else {
+      children.push([schema[keyword], `${path}.${keyword}`]);
+    }
+  }
+
+  return found.concat(children.flatMap(([subschema, subpath]) => findUncheckedPatterns(subschema, subpath)));
+}
+
+/**
+ * Split a collection validator into its $jsonSchema parts and the clauses that cannot be checked locally
+ * @param {Object} validator - Validator from the collection options
+ * @returns {Object} - { schemas, unsupported } where unsupported lists query operators, fields
+ *   and $jsonSchema regexes JavaScript cannot compile
+ */
+export function splitValidator(validator) {
+  const schemas = [];
+  const unsupported = [];
+
+  const visit = (clause) => {
+    for (const [key, value] of Object.entries(clause)) {
+      if (key === '$jsonSchema') {
+        schemas.push(value);
+        unsupported.push(...findUncheckedPatterns(value, '$jsonSchema'));
+      } else if (key === '$and' && Array.isArray(value)) {
+        value.forEach(visit);
+      } else {
+        unsupported.push(key);
+      }
+    }
+  };
+
+  visit(validator || {});
+  return { schemas, unsupported };
+}
+
+/**
+ * Join a path and a key
+ * @param {string} path - Parent path ('' for the document)
+ * @param {string|number} key - Field name or array position
+ * @returns {string} - Dotted path
+ */
+function childPath(path, key) {
+  return path ? `${path}.${key}` : String(key);
+}
+
+/**
+ * Check that a number is a multiple of another
+ * Decimal fractions are compared as scaled integers, so 0.3 is a multiple of 0.1
+ * @param {number} number - Value
+ * @param {number} divisor - multipleOf
+ * @returns {boolean} - True if number is a multiple of divisor
+ */
+export function isMultipleOf(number, divisor) {
+  const decimals = (value) => {
+    const [mantissa, exponent = '0'] = String(Math.abs(value)).split('e');
+    return Math.max(0, (mantissa.split('.')[1] || '').length - Number(exponent));
+  };
+
+  const scale = 10 ** Math.max(decimals(number), decimals(divisor));
+  const scaledNumber = Math.round(number * scale);
+  const scaledDivisor = Math.round(divisor * scale);
+
+  if (Number.isSafeInteger(scaledNumber) && Number.isSafeInteger(scaledDivisor) && scaledDivisor !== 0) {
+    return scaledNumber % scaledDivisor === 0;
+  }
+
+  // Too large to scale: accept a rounding error relative to the quotient
+  const quotient = number / divisor;
+  return Math.abs(quotient - Math.round(quotient)) <= Number.EPSILON * Math.max(1, Math.abs(quotient));
+}
+
+/**
+ * Describe a list of allowed values for messages
+ * @param {Array} values - Allowed values
+ * @returns {string} - Description
+ */
+function describeValues(values) {
+  return values.map(value => stringifyExtendedJson(value, 'relaxed')).join(', ');
+}
+
+/**
+ * Check a value against a schema and collect the violations
+ * @param {*} value - Value
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value
+ * @param {Array<Object>} violations - Accumulated { path, keyword, message }
+ */
+function checkValue(value, schema, path, violations) {
+  const add = (keyword, message, at = path) => violations.push({ path: at, keyword, message });
+  const type = getBsonType(value);
+  const isNumeric = NUMERIC_TYPES.includes(type);
+
+  // Types
+  if (schema.bsonType !== undefined) {
+    const allowed = [].concat(schema.bsonType);
+    const matches = allowed.some(name => name === type || (name === 'number' && isNumeric));
+    if (!matches) {
+      add('bsonType', `must be of BSON type ${allowed.join(' or ')}, found ${type}`);
+      return;
+    }
+  }
+  if (schema.type !== undefined) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.some(name => JSON_TYPES[name]?.includes(type))) {
+      add('type', `must be of type ${allowed.join(' or ')}, found ${type}`);
+      return;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some(item => bsonEquals(item, value))) {
+    add('enum', `must be one of: ${describeValues(schema.enum)}`);
+  }
+
+  // Numbers
+  if (isNumeric) {
+    const number = toNumber(value);
+    if (schema.minimum !== undefined) {
+      const minimum = toNumber(schema.minimum);
+      if (schema.exclusiveMinimum ? number <= minimum : number < minimum) {
+        add('minimum', `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      const maximum = toNumber(schema.maximum);
+      if (schema.exclusiveMaximum ? number >= maximum : number > maximum) {
+        add('maximum', `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${maximum}`);
+      }
+    }
+    if (schema.multipleOf !== undefined && !isMultipleOf(number, toNumber(schema.multipleOf))) {
+      add('multipleOf', `must be a multiple of ${toNumber(schema.multipleOf)}`);
+    }
+  }
+
+  // Strings (lengths count characters, not UTF-16 code units)
+  if (type === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      add('minLength', `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      add('maxLength', `must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined) {
+      const regex = compilePattern(schema.pattern);
+      if (regex && !regex.test(value)) {
+        add('pattern', `must match the pattern ${schema.pattern}`);
+      }
+    }
+  }
+
+  // Arrays
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => bsonEquals(other, item)) !== index)) {
+      add('uniqueItems', 'must not contain duplicate items');
+    }
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        if (index < schema.items.length) {
+          checkValue(item, schema.items[index], childPath(path, index), violations);
+        } else if (schema.additionalItems === false) {
+          add('additionalItems', `must have at most ${schema.items.length} items`, childPath(path, index));
+        } else if (isPlainObject(schema.additionalItems)) {
+          checkValue(item, schema.additionalItems, childPath(path, index), violations);
+        }
+      });
+    } else if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => checkValue(item, schema.items, childPath(path, index), violations));
+    }
+  }
+
+  // Objects
+  if (type === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      add('minProperties', `must have at least ${schema.minProperties} fields`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      add('maxProperties', `must have at most ${schema.maxProperties} fields`);
+    }
+    for (const field of schema.required || []) {
+      if (!keys.includes(field)) {
+        add('required', 'is required', childPath(path, field));
+      }
+    }
+
+    const properties = schema.properties || {};
+    const patterns = Object.entries(schema.patternProperties || {})
+      .map(([pattern, subschema]) => [compilePattern(pattern), subschema]);
+    // A key might match a pattern that cannot be compiled: leave additionalProperties to the server
+    const allPatternsChecked = patterns.every(([regex]) => regex);
+
+    for (const key of keys) {
+      const keyPath = childPath(path, key);
+      let described = false;
+
+      if (Object.hasOwn(properties, key)) {
+        described = true;
+        checkValue(value[key], properties[key], keyPath, violations);
+      }
+      for (const [regex, subschema] of patterns) {
+        if (regex?.test(key)) {
+          described = true;
+          checkValue(value[key], subschema, keyPath, violations);
+        }
+      }
+
+      if (!described && schema.additionalProperties === false && allPatternsChecked) {
+        add('additionalProperties', 'is not allowed by the schema', keyPath);
+      } else if (!described && isPlainObject(schema.additionalProperties)) {
+        checkValue(value[key], schema.additionalProperties, keyPath, violations);
+      }
+    }
+
+    for (const [field, dependency] of Object.entries(schema.dependencies || {})) {
+      if (!keys.includes(field)) {
+        continue;
+      }
+      if (Array.isArray(dependency)) {
+        dependency
+          .filter(required => !keys.includes(required))
+          .forEach(required => add('dependencies', `is required when ${field} is present`, childPath(path, required)));
+      } else {
+        checkValue(value, dependency, path, violations);
+      }
+    }
+  }
+
+  // Combinations
+  for (const subschema of schema.allOf || []) {
+    checkValue(value, subschema, path, violations);
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validateJsonSchema(value, subschema, path).length === 0)) {
+    add('anyOf', 'must match at least one of the allowed schemas');
+  }
+  if (schema.oneOf) {
+    const matched = schema.oneOf.filter(subschema => validateJsonSchema(value, subschema, path).length === 0).length;
+    if (matched !== 1) {
+      add('oneOf', `must match exactly one of the allowed schemas, matches ${matched}`);
+    }
+  }
+  if (schema.not && validateJsonSchema(value, schema.not, path).length === 0) {
+    add('not', 'must not match the excluded schema');
+  }
+}
+
+/**
+ * Check a document (or a value inside one) against a $jsonSchema
+ * @param {*} value - Document
+ * @param {Object} schema - $jsonSchema
+ * @param {string} [path] - Path of the value ('' for a whole document)
+ * @returns {Array<Object>} - Violations { path, keyword, message }, empty if valid
+ */
+export function validateJsonSchema(value, schema, path = '') {
+  const violations = [];
+  checkValue(value, schema, path, violations);
+  return violations;
+}
@@ -0,0 +1,146 @@
+/**
+ * Keyset Pagination Utilities
+ * Opaque continuation cursors based on the sort key plus _id
+ *
+ * A cursor records the sort values of the last document of a page. The next
+ * page is fetched with a range predicate on those values instead of skip(),
+ * so deep pages cost the same as the first one. Cursors are bound to the
+ * filter and sort they were created for.
+ *
+ * Range predicates only match values of the same BSON type, so sort fields
+ * should hold one type and be present in every document.
+ */
+import crypto from 'crypto';
+import { parseExtendedJson, stringifyExtendedJson } from './ejson.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Create a 400 error for a cursor that cannot be used
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function invalidCursor(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Normalize a sort specification to [field, direction] pairs ending with _id
+ * _id makes the order total, it uses the direction of the last sort field
+ * @param {Object} sort - Sort specification (1/-1 or 'asc'/'desc')
+ * @returns {Array<[string, number]>} - Sort keys
+ * @throws {Error} - With statusCode 400 on unsupported directions
+ */
+export function normalizeSort(sort = {}) {
+  const keys = Object.entries(sort).map(([field, direction]) => {
+    if (direction === 1 || direction === 'asc' || direction === 'ascending') {
+      return [field, 1];
+    }
+    if (direction === -1 || direction === 'desc' || direction === 'descending') {
+      return [field, -1];
+    }
+    throw invalidCursor(`Keyset pagination only supports 1/-1 sort directions (field '${field}')`);
+  });
+
+  if (!keys.some(([field]) => field === '_id')) {
+    keys.push(['_id', keys.length > 0 ? keys[keys.length - 1][1] : 1]);
+  }
+
+  return keys;
+}
+
+/**
+ * Convert sort keys back to a sort specification for the driver
+ * @param {Array<[string, number]>} sortKeys - Sort keys
+ * @returns {Object} - Sort specification
+ */
+export function toSortSpec(sortKeys) {
+  return Object.fromEntries(sortKeys);
+}
+
+/**
+ * Fingerprint a query so cursors cannot be replayed against another filter or sort
+ * @param {Object} filter - Query filter
+ * @param {Array<[string, number]>} sortKeys - Sort keys
+ * @returns {string} - Short hash
+ */
+export function queryFingerprint(filter, sortKeys) {
+  return crypto
+    .createHash('sha256')
+    .update(stringifyExtendedJson({ filter, sortKeys }, 'canonical'))
+    .digest('base64url')
+    .substring(0, 16);
+}
+
+/**
+ * Read a (possibly dotted) field of a document
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @returns {*} - Value or undefined
+ */
+export function getFieldValue(doc, path) {
+  return path.split('.').reduce((current, key) => current?.[key], doc);
+}
+
+/**
+ * Create the cursor pointing after a document
+ * @param {Object} doc - Last document of the page
+ * @param {Array<[string, number]>} sortKeys - Sort keys
+ * @param {string} fingerprint - Query fingerprint
+ * @returns {string} - Opaque cursor
+ */
+export function encodeCursor(doc, sortKeys, fingerprint) {
+  const values = sortKeys.map(([field]) => getFieldValue(doc, field) ?? null);
+  const payload = stringifyExtendedJson({ v: CURSOR_VERSION, f: fingerprint, k: values }, 'canonical');
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Decode a cursor into the sort values it points after
+ * @param {string} cursor - Opaque cursor
+ * @param {Array<[string, number]>} sortKeys - Sort keys of the query
+ * @param {string} fingerprint - Fingerprint of the query
+ * @returns {Array} - Sort values
+ * @throws {Error} - With statusCode 400 if the cursor is malformed or belongs to another query
+ */
+export function decodeCursor(cursor, sortKeys, fingerprint) {
+  let payload;
+  try {
+    payload = parseExtendedJson(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor('Invalid pagination cursor');
+  }
+
+  if (payload?.v !== CURSOR_VERSION || !Array.isArray(payload.k) || payload.k.length !== sortKeys.length) {
+    throw invalidCursor('Invalid pagination cursor');
+  }
+
+  if (payload.f !== fingerprint) {
+    throw invalidCursor('Pagination cursor does not match the filter and sort of this query');
+  }
+
+  return payload.k;
+}
+
+/**
+ * Build the range predicate selecting documents after the given sort values
+ * For keys (a, b, _id) this is: a > x OR (a = x AND b > y) OR (a = x AND b = y AND _id > z)
+ * @param {Array<[string, number]>} sortKeys - Sort keys
+ * @param {Array} values - Sort values from the cursor
+ * @returns {Object} - Filter fragment
+ */
+export function buildKeysetFilter(sortKeys, values) {
+  const branches = sortKeys.map(([field, direction], index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      // $eq keeps cursor values from being interpreted as operators
+      branch[sortKeys[i][0]] = { $eq: values[i] };
+    }
+    branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[index] };
+    return branch;
+  });
+
+  return branches.length === 1 ? branches[0] : { $or: branches };
+}
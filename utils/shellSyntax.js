@@ -0,0 +1,496 @@
+/**
+ * Shell Syntax Parser
+ * Parses mongosh-style query text into typed BSON values without eval
+ *
+ * Accepts JSON plus what users type in the shell: unquoted and single-quoted
+ * keys and strings, trailing commas, comments, regex literals (/abc/i) and
+ * the shell helpers below (with or without `new`):
+ *
+ *   ObjectId('...')      ISODate('...')      Date('...')      NumberInt(1)
+ *   NumberLong('1')      NumberDecimal('1')  Int32(1)         Long('1')
+ *   Double(1)            Decimal128('1')     UUID('...')      BinData(0, 'base64')
+ *   HexData(0, 'hex')    Timestamp(t, i)     MinKey()         MaxKey()
+ *   RegExp('a', 'i')     DBRef('coll', id)
+ *
+ * Nothing is ever executed: any other identifier or call is a syntax error.
+ */
+import {
+  ObjectId, Int32, Long, Double, Decimal128, UUID, Binary,
+  Timestamp, MinKey, MaxKey, BSONRegExp, DBRef
+} from 'mongodb';
+import { parseExtendedJson } from './ejson.js';
+
+const MAX_DEPTH = 100;
+const IDENTIFIER_START = /[A-Za-z_$]/;
+const IDENTIFIER_PART = /[\w$]/;
+const NUMBER_PATTERN = /^[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?|Infinity)/;
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+
+/**
+ * Require an argument of a given type
+ * @param {Array} args - Call arguments
+ * @param {number} index - Argument index
+ * @param {string|string[]} types - Accepted typeof values
+ * @param {string} name - Helper name for the error message
+ * @returns {*} - Argument
+ */
+function arg(args, index, types, name) {
+  const value = args[index];
+  const accepted = Array.isArray(types) ? types : [types];
+  if (!accepted.includes(typeof value)) {
+    throw new Error(`${name}() expects a ${accepted.join(' or ')} as argument ${index + 1}`);
+  }
+  return value;
+}
+
+/**
+ * Require a numeric argument (a number or a numeric string)
+ * @param {Array} args - Call arguments
+ * @param {number} index - Argument index
+ * @param {string} name - Helper name for the error message
+ * @returns {number} - Finite number
+ */
+function numberArg(args, index, name) {
+  const raw = arg(args, index, ['number', 'string'], name);
+  const value = Number(raw);
+  if ((typeof raw === 'string' && raw.trim() === '') || !Number.isFinite(value)) {
+    throw new Error(`${name}() expects a finite number, received '${raw}'`);
+  }
+  return value;
+}
+
+/**
+ * Require a 64-bit integer argument (a safe integer or an integer string)
+ * @param {Array} args - Call arguments
+ * @param {number} index - Argument index
+ * @param {string} name - Helper name for the error message
+ * @returns {Long} - Long
+ */
+function longArg(args, index, name) {
+  const raw = arg(args, index, ['number', 'string'], name);
+  const valid = typeof raw === 'number'
+    ? Number.isSafeInteger(raw)
+    : /^[+-]?\d+$/.test(raw) && BigInt(raw) >= -(2n ** 63n) && BigInt(raw) < 2n ** 63n;
+  if (!valid) {
+    throw new Error(`${name}() expects an integer within the 64-bit range, received '${raw}'`);
+  }
+  return typeof raw === 'number' ? Long.fromNumber(raw) : Long.fromString(raw.replace(/^\+/, ''));
+}
+
+// Shell helpers: name -> factory receiving the parsed arguments
+const HELPERS = {
+  ObjectId: (args) => (args.length === 0 ? new ObjectId() : new ObjectId(arg(args, 0, 'string', 'ObjectId'))),
+  ISODate: (args) => createDate(args, 'ISODate'),
+  Date: (args) => createDate(args, 'Date'),
+  NumberInt: (args) => {
+    const value = numberArg(args, 0, 'NumberInt');
+    if (value < -(2 ** 31) || value >= 2 ** 31) {
+      throw new Error(`NumberInt() value ${value} is outside the 32-bit integer range`);
+    }
+    return new Int32(value);
+  },
+  NumberLong: (args) => longArg(args, 0, 'NumberLong'),
+  NumberDecimal: (args) => Decimal128.fromString(String(arg(args, 0, ['number', 'string'], 'NumberDecimal'))),
+  Double: (args) => new Double(numberArg(args, 0, 'Double')),
+  UUID: (args) => (args.length === 0 ? new UUID() : new UUID(arg(args, 0, 'string', 'UUID'))),
+  BinData: (args) => new Binary(Buffer.from(arg(args, 1, 'string', 'BinData'), 'base64'), arg(args, 0, 'number', 'BinData')),
+  HexData: (args) => new Binary(Buffer.from(arg(args, 1, 'string', 'HexData'), 'hex'), arg(args, 0, 'number', 'HexData')),
+  Timestamp: (args) => {
+    if (args.length === 1 && args[0] && typeof args[0] === 'object') {
+      return new Timestamp({ t: Number(args[0].t), i: Number(args[0].i) });
+    }
+    return new Timestamp({ t: arg(args, 0, 'number', 'Timestamp'), i: arg(args, 1, 'number', 'Timestamp') });
+  },
+  MinKey: () => new MinKey(),
+  MaxKey: () => new MaxKey(),
+  RegExp: (args) => new BSONRegExp(arg(args, 0, 'string', 'RegExp'), args.length > 1 ? arg(args, 1, 'string', 'RegExp') : ''),
+  DBRef: (args) => new DBRef(arg(args, 0, 'string', 'DBRef'), args[1], args.length > 2 ? arg(args, 2, 'string', 'DBRef') : undefined)
+};
+
+// Aliases used by older shells and by the driver
+HELPERS.ObjectID = HELPERS.ObjectId;
+HELPERS.Int32 = HELPERS.NumberInt;
+HELPERS.Long = HELPERS.NumberLong;
+HELPERS.Decimal128 = HELPERS.NumberDecimal;
+
+/**
+ * Create a Date from ISODate()/Date() arguments
+ * @param {Array} args - Call arguments
+ * @param {string} name - Helper name
+ * @returns {Date} - Date
+ */
+function createDate(args, name) {
+  const date = args.length === 0
+    ? new Date()
+    : args.length === 1
+      ? new Date(arg(args, 0, ['string', 'number'], name))
+      : new Date(Date.UTC(...args.map((value, index) => arg(args, index, 'number', name))));
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`${name}() received an invalid date`);
+  }
+  return date;
+}
+
+/**
+ * Recursive descent parser over the query text
+ */
+class ShellSyntaxParser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    this.depth = 0;
+  }
+
+  parse() {
+    const value = this.parseValue();
+    this.skipWhitespace();
+    if (this.pos < this.text.length) {
+      this.fail(`Unexpected '${this.text[this.pos]}'`);
+    }
+    return value;
+  }
+
+  fail(message) {
+    const error = new Error(`Invalid query syntax at position ${this.pos}: ${message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  peek() {
+    return this.text[this.pos];
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.peek() !== char) {
+      this.fail(this.pos < this.text.length ? `Expected '${char}' but found '${this.peek()}'` : `Expected '${char}' but reached the end`);
+    }
+    this.pos++;
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length) {
+      const char = this.peek();
+      const next = this.text[this.pos + 1];
+
+      if (/\s/.test(char)) {
+        this.pos++;
+      } else if (char === '/' && next === '/') {
+        const end = this.text.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.text.length : end + 1;
+      } else if (char === '/' && next === '*') {
+        const end = this.text.indexOf('*/', this.pos + 2);
+        if (end === -1) {
+          this.fail('Unterminated comment');
+        }
+        this.pos = end + 2;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseValue() {
+    this.skipWhitespace();
+    const char = this.peek();
+
+    if (char === undefined) {
+      this.fail('Unexpected end of input');
+    }
+    if (char === '{') {
+      return this.nested(() => this.parseObject());
+    }
+    if (char === '[') {
+      return this.nested(() => this.parseArray());
+    }
+    if (char === '"' || char === '\'') {
+      return this.parseString();
+    }
+    if (char === '/') {
+      return this.parseRegex();
+    }
+    if (/[-+\d.]/.test(char)) {
+      return this.parseNumber();
+    }
+    if (IDENTIFIER_START.test(char)) {
+      return this.parseIdentifierValue();
+    }
+
+    this.fail(`Unexpected '${char}'`);
+  }
+
+  nested(parse) {
+    if (++this.depth > MAX_DEPTH) {
+      this.fail(`Nesting deeper than ${MAX_DEPTH} levels`);
+    }
+    const value = parse();
+    this.depth--;
+    return value;
+  }
+
+  parseObject() {
+    const result = {};
+    this.pos++; // {
+
+    this.skipWhitespace();
+    while (this.peek() !== '}') {
+      const key = this.parseKey();
+      this.expect(':');
+      // defineProperty so keys like __proto__ stay plain data
+      Object.defineProperty(result, key, { value: this.parseValue(), enumerable: true, writable: true, configurable: true });
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+        this.skipWhitespace();
+      } else if (this.peek() !== '}') {
+        this.fail(this.pos < this.text.length ? `Expected ',' or '}' but found '${this.peek()}'` : 'Unterminated object');
+      }
+    }
+
+    this.pos++; // }
+    return result;
+  }
+
+  parseKey() {
+    this.skipWhitespace();
+    const char = this.peek();
+
+    if (char === '"' || char === '\'') {
+      return this.parseString();
+    }
+    if (char !== undefined && IDENTIFIER_START.test(char)) {
+      return this.readIdentifier();
+    }
+    if (char !== undefined && /\d/.test(char)) {
+      return String(this.parseNumber());
+    }
+
+    this.fail(char === undefined ? 'Unterminated object' : `Unexpected '${char}' in object key`);
+  }
+
+  parseArray() {
+    const result = [];
+    this.pos++; // [
+
+    this.skipWhitespace();
+    while (this.peek() !== ']') {
+      result.push(this.parseValue());
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+        this.skipWhitespace();
+      } else if (this.peek() !== ']') {
+        this.fail(this.pos < this.text.length ? `Expected ',' or ']' but found '${this.peek()}'` : 'Unterminated array');
+      }
+    }
+
+    this.pos++; // ]
+    return result;
+  }
+
+  parseString() {
+    const quote = this.peek();
+    let result = '';
+    this.pos++;
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+
+      if (char === quote) {
+        return result;
+      }
+      if (char === '\n') {
+        this.fail('Unterminated string');
+      }
+      if (char !== '\\') {
+        result += char;
+        continue;
+      }
+
+      const escaped = this.text[this.pos++];
+      if (escaped === 'u') {
+        const braced = this.peek() === '{';
+        const match = braced
+          ? /^\{([0-9a-fA-F]{1,6})\}/.exec(this.text.slice(this.pos))
+          : /^[0-9a-fA-F]{4}/.exec(this.text.slice(this.pos));
+        if (!match) {
+          this.fail('Invalid unicode escape');
+        }
+        result += String.fromCodePoint(parseInt(braced ? match[1] : match[0], 16));
+        this.pos += match[0].length;
+      } else if (escaped === 'x') {
+        const hex = this.text.slice(this.pos, this.pos + 2);
+        if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+          this.fail('Invalid hexadecimal escape');
+        }
+        result += String.fromCharCode(parseInt(hex, 16));
+        this.pos += 2;
+      } else if (escaped === '\n') {
+        // Line continuation
+      } else if (escaped !== undefined) {
+        result += ESCAPES[escaped] ?? escaped;
+      }
+    }
+
+    this.fail('Unterminated string');
+  }
+
+  parseRegex() {
+    const start = this.pos;
+    let pattern = '';
+    let inClass = false;
+    this.pos++; // /
+
+    while (this.pos < this.text.length) {
+      const char = this.text[this.pos++];
+
+      if (char === '\n') {
+        break;
+      }
+      if (char === '\\') {
+        pattern += char + (this.text[this.pos++] ?? '');
+        continue;
+      }
+      if (char === '[') {
+        inClass = true;
+      } else if (char === ']') {
+        inClass = false;
+      } else if (char === '/' && !inClass) {
+        let flags = '';
+        while (this.pos < this.text.length && /[a-z]/.test(this.peek())) {
+          flags += this.text[this.pos++];
+        }
+        if (!/^[imxsu]*$/.test(flags)) {
+          this.fail(`Unsupported regular expression flags '${flags}'`);
+        }
+        return new BSONRegExp(pattern, flags);
+      }
+      pattern += char;
+    }
+
+    this.pos = start;
+    this.fail('Unterminated regular expression');
+  }
+
+  parseNumber() {
+    const match = NUMBER_PATTERN.exec(this.text.slice(this.pos));
+    if (!match) {
+      this.fail(`Unexpected '${this.peek()}'`);
+    }
+    this.pos += match[0].length;
+
+    const literal = match[0];
+    const negative = literal.startsWith('-');
+    const unsigned = literal.replace(/^[+-]/, '');
+
+    let value;
+    if (unsigned === 'Infinity') {
+      value = Infinity;
+    } else if (/^0[xX]/.test(unsigned)) {
+      value = parseInt(unsigned, 16);
+    } else {
+      value = Number(unsigned);
+    }
+
+    return negative ? -value : value;
+  }
+
+  readIdentifier() {
+    const start = this.pos;
+    while (this.pos < this.text.length && IDENTIFIER_PART.test(this.peek())) {
+      this.pos++;
+    }
+    return this.text.slice(start, this.pos);
+  }
+
+  parseIdentifierValue() {
+    const start = this.pos;
+    let name = this.readIdentifier();
+
+    switch (name) {
+      case 'true': return true;
+      case 'false': return false;
+      case 'null': return null;
+      case 'undefined': return null;
+      case 'NaN': return NaN;
+      case 'Infinity': return Infinity;
+    }
+
+    if (name === 'new') {
+      this.skipWhitespace();
+      if (this.peek() === undefined || !IDENTIFIER_START.test(this.peek())) {
+        this.fail('Expected a constructor after \'new\'');
+      }
+      name = this.readIdentifier();
+    }
+
+    if (!Object.hasOwn(HELPERS, name)) {
+      this.pos = start;
+      this.fail(`Unsupported identifier '${name}'`);
+    }
+
+    // MinKey and MaxKey may be written without parentheses
+    this.skipWhitespace();
+    if (this.peek() !== '(') {
+      if (name === 'MinKey' || name === 'MaxKey') {
+        return HELPERS[name]([]);
+      }
+      this.fail(`Expected '(' after '${name}'`);
+    }
+
+    const args = this.parseArguments();
+    try {
+      return HELPERS[name](args);
+    } catch (error) {
+      this.pos = start;
+      this.fail(error.message);
+    }
+  }
+
+  parseArguments() {
+    const args = [];
+    this.pos++; // (
+
+    this.skipWhitespace();
+    while (this.peek() !== ')') {
+      args.push(this.parseValue());
+
+      this.skipWhitespace();
+      if (this.peek() === ',') {
+        this.pos++;
+        this.skipWhitespace();
+      } else if (this.peek() !== ')') {
+        this.fail(this.pos < this.text.length ? `Expected ',' or ')' but found '${this.peek()}'` : 'Unterminated argument list');
+      }
+    }
+
+    this.pos++; // )
+    return args;
+  }
+}
+
+/**
+ * Parse mongosh-style text into a value with BSON types
+ * @param {string} text - Query text, e.g. "{ _id: ObjectId('...'), n: { $gt: 5 } }"
+ * @returns {*} - Parsed value
+ * @throws {Error} - With statusCode 400 on syntax errors
+ */
+export function parseShellSyntax(text) {
+  return new ShellSyntaxParser(text).parse();
+}
+
+/**
+ * Parse query text sent by a client
+ * In EJSON mode the text is Extended JSON, otherwise shell syntax (a superset of JSON)
+ * @param {string} text - Query text
+ * @param {string} [ejsonMode] - Negotiated EJSON mode
+ * @returns {*} - Parsed value
+ * @throws {Error} - With statusCode 400 on invalid input
+ */
+export function parseQueryText(text, ejsonMode) {
+  return ejsonMode ? parseExtendedJson(text) : parseShellSyntax(text);
+}
@@ -0,0 +1,233 @@
+/**
+ * Text Search Utilities
+ * Search terms, regex fallback filters and highlighting of search results
+ *
+ * Terms follow the $text syntax: words match any of them, "quoted phrases"
+ * must all match and -words exclude documents. Highlighting is literal and
+ * case-insensitive, so stemmed $text matches (e.g. "runs" for "run") are
+ * highlighted only where the typed term appears.
+ */
+import { isPlainObject } from './ejson.js';
+
+// Fields discovered for the regex fallback when none are given
+const MAX_DISCOVERED_FIELDS = 20;
+const MAX_FIELD_DEPTH = 5;
+
+/**
+ * Parse search text into words, phrases and negated terms
+ * @param {string} text - Search text
+ * @returns {Object} - { words, phrases, negated }
+ */
+export function parseSearchTerms(text) {
+  const words = [];
+  const phrases = [];
+  const negated = [];
+  const tokenPattern = /(-?)"([^"]+)"|(\S+)/g;
+
+  for (const [, minus, phrase, word] of text.matchAll(tokenPattern)) {
+    if (phrase !== undefined) {
+      (minus ? negated : phrases).push(phrase.trim());
+    } else if (word.startsWith('-') && word.length > 1) {
+      negated.push(word.slice(1));
+    } else {
+      words.push(word);
+    }
+  }
+
+  return {
+    words: words.filter(Boolean),
+    phrases: phrases.filter(Boolean),
+    negated: negated.filter(Boolean)
+  };
+}
+
+/**
+ * Find the text index of a collection
+ * @param {Array<Object>} indexes - Indexes from collection.indexes()
+ * @returns {Object|null} - { name, fields, wildcard } or null if there is none
+ */
+export function findTextIndex(indexes) {
+  const index = indexes.find(idx => Object.values(idx.key).includes('text') || idx.key._fts === 'text');
+
+  if (!index) {
+    return null;
+  }
+
+  const fields = Object.keys(index.weights || {});
+  return {
+    name: index.name,
+    fields: fields.filter(field => field !== '$**'),
+    wildcard: fields.includes('$**')
+  };
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} - Escaped pattern
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the case-insensitive regex filter used without a text index
+ * @param {Object} terms - Parsed terms (see parseSearchTerms)
+ * @param {string[]} fields - String fields to search
+ * @returns {Object} - MongoDB filter
+ */
+export function buildRegexSearchFilter({ words, phrases, negated }, fields) {
+  const anyField = (term) => fields.map(field => ({ [field]: { $regex: escapeRegex(term), $options: 'i' } }));
+  const clauses = [];
+
+  if (words.length > 0) {
+    clauses.push({ $or: words.flatMap(anyField) });
+  }
+  for (const phrase of phrases) {
+    clauses.push({ $or: anyField(phrase) });
+  }
+  if (negated.length > 0) {
+    clauses.push({ $nor: negated.flatMap(anyField) });
+  }
+
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Collect the paths of string fields in sample documents
+ * @param {Array<Object>} documents - Sample documents
+ * @returns {string[]} - Dotted paths, most frequent first
+ */
+export function collectStringPaths(documents) {
+  const counts = new Map();
+
+  const visit = (value, path, depth) => {
+    if (typeof value === 'string' && path && path !== '_id') {
+      counts.set(path, (counts.get(path) || 0) + 1);
+    } else if (Array.isArray(value) && depth < MAX_FIELD_DEPTH) {
+      value.forEach(item => visit(item, path, depth + 1));
+    } else if (isPlainObject(value) && depth < MAX_FIELD_DEPTH) {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, path ? `${path}.${key}` : key, depth + 1);
+      }
+    }
+  };
+
+  documents.forEach(doc => visit(doc, '', 0));
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_DISCOVERED_FIELDS)
+    .map(([path]) => path);
+}
+
+/**
+ * Remove array positions from a path (tags.2 -> tags)
+ * @param {string} path - Path with array positions
+ * @returns {string} - Field path
+ */
+function toFieldPath(path) {
+  return path.replace(/\.\d+(?=\.|$)/g, '');
+}
+
+/**
+ * Collect the string values of a document with their paths
+ * @param {*} value - Value to walk
+ * @param {string} path - Path of the value (with array positions)
+ * @param {Array<Object>} out - Accumulated { path, text }
+ * @param {string[]|null} fields - Only these fields (and their children), or all
+ */
+function collectStrings(value, path, out, fields) {
+  if (typeof value === 'string') {
+    const fieldPath = toFieldPath(path);
+    if (path && fieldPath !== '_id' && (!fields || fields.some(field => fieldPath === field || fieldPath.startsWith(`${field}.`)))) {
+      out.push({ path, text: value });
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => collectStrings(item, `${path}.${index}`, out, fields));
+  } else if (isPlainObject(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      collectStrings(child, path ? `${path}.${key}` : key, out, fields);
+    }
+  }
+}
+
+/**
+ * Cut a snippet around the matches of a string and split it into hit/text parts
+ * @param {string} text - Field value
+ * @param {Array<Object>} matches - Sorted, non-overlapping { start, end }
+ * @param {number} snippetLength - Maximum snippet length
+ * @returns {Array<Object>} - [{ value, type: 'hit'|'text' }]
+ */
+function buildSnippet(text, matches, snippetLength) {
+  const first = matches[0];
+  const context = Math.max(0, Math.floor((snippetLength - (first.end - first.start)) / 2));
+  const start = Math.max(0, first.start - context);
+  const end = Math.min(text.length, Math.max(first.end, start + snippetLength));
+
+  const texts = [];
+  let position = start;
+
+  if (start > 0) {
+    texts.push({ value: '…', type: 'text' });
+  }
+
+  for (const match of matches) {
+    if (match.start < position || match.end > end) {
+      continue;
+    }
+    if (match.start > position) {
+      texts.push({ value: text.slice(position, match.start), type: 'text' });
+    }
+    texts.push({ value: text.slice(match.start, match.end), type: 'hit' });
+    position = match.end;
+  }
+
+  if (end > position) {
+    texts.push({ value: text.slice(position, end), type: 'text' });
+  }
+  if (end < text.length) {
+    texts.push({ value: '…', type: 'text' });
+  }
+
+  return texts;
+}
+
+/**
+ * Find the search terms in a document and build highlighted snippets
+ * @param {Object} document - Result document
+ * @param {Object} terms - Parsed terms (see parseSearchTerms)
+ * @param {Object} options - Highlight options
+ * @param {string[]|null} options.fields - Searched fields, null for every string field
+ * @param {number} options.snippetLength - Maximum snippet length
+ * @returns {Object} - { matchedFields, highlights, hits }
+ */
+export function highlightDocument(document, { words, phrases }, { fields, snippetLength }) {
+  const searchTerms = [...phrases, ...words];
+  const pattern = searchTerms.length > 0
+    ? new RegExp(searchTerms.map(escapeRegex).sort((a, b) => b.length - a.length).join('|'), 'gi')
+    : null;
+
+  const strings = [];
+  collectStrings(document, '', strings, fields);
+
+  const highlights = [];
+  let hits = 0;
+
+  for (const { path, text } of strings) {
+    const matches = pattern
+      ? [...text.matchAll(pattern)].map(match => ({ start: match.index, end: match.index + match[0].length }))
+      : [];
+
+    if (matches.length > 0) {
+      hits += matches.length;
+      highlights.push({ path, texts: buildSnippet(text, matches, snippetLength) });
+    }
+  }
+
+  return {
+    matchedFields: [...new Set(highlights.map(highlight => toFieldPath(highlight.path)))],
+    highlights,
+    hits
+  };
+}
@@ -0,0 +1,440 @@
+/**
+ * Update Operator Utilities
+ * Applies an update document to a copy of a document in memory
+ *
+ * Used to preview the document an update would produce (e.g. to check it
+ * against the collection validator before writing). Supports $set, $unset,
+ * $inc, $mul, $min, $max, $rename, $currentDate, $push ($each, $position,
+ * $slice, $sort), $addToSet, $pop, $pullAll and $pull with a value.
+ * $setOnInsert is ignored because the document already exists. Positional
+ * paths ($, $[], $[<id>]), $pull conditions, $bit, $inc/$mul on decimals and
+ * update pipelines cannot be evaluated without the server and are rejected.
+ */
+import { Double, Long, Timestamp } from 'mongodb';
+import { isPlainObject } from './ejson.js';
+import { getBsonType, bsonEquals } from './jsonSchemaValidator.js';
+
+const NUMERIC_TYPES = ['int', 'long', 'double', 'decimal'];
+const INT32_MIN = -(2n ** 31n);
+const INT32_MAX = 2n ** 31n - 1n;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+// Comparison order of BSON types (see the MongoDB sort order)
+const TYPE_ORDER = {
+  minKey: 0,
+  null: 1,
+  int: 2,
+  long: 2,
+  double: 2,
+  decimal: 2,
+  string: 3,
+  symbol: 3,
+  object: 4,
+  array: 5,
+  binData: 6,
+  objectId: 7,
+  bool: 8,
+  date: 9,
+  timestamp: 10,
+  regex: 11,
+  javascript: 12,
+  maxKey: 13
+};
+
+/**
+ * Create an error with statusCode 400
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode 400
+ */
+function updateError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Deep clone plain objects and arrays, BSON values are shared
+ * @param {*} value - Value to clone
+ * @returns {*} - Clone
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+/**
+ * Split a dotted update path, rejecting the positional forms
+ * @param {string} path - Field path
+ * @returns {string[]} - Segments
+ */
+function splitPath(path) {
+  const segments = path.split('.');
+  if (segments.some(segment => segment === '$' || segment.startsWith('$['))) {
+    throw updateError(`Positional path '${path}' cannot be applied locally`);
+  }
+  return segments;
+}
+
+/**
+ * Fill an array with null up to a position, as the server does when writing past the end
+ * @param {Array} array - Array, extended in place
+ * @param {number} index - Position about to be written
+ */
+function padArray(array, index) {
+  while (array.length < index) {
+    array.push(null);
+  }
+}
+
+/**
+ * Find the container holding the last segment of a path
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @param {boolean} create - Create missing intermediate objects
+ * @returns {Object|null} - { parent, key }, null if the path does not exist and create is false
+ */
+function locate(doc, path, create) {
+  const segments = splitPath(path);
+  let parent = doc;
+
+  for (const segment of segments.slice(0, -1)) {
+    const key = Array.isArray(parent) ? Number(segment) : segment;
+    if (Array.isArray(parent) && !Number.isInteger(key)) {
+      throw updateError(`Cannot use the part '${segment}' of '${path}' to traverse an array`);
+    }
+
+    if (parent[key] === undefined || parent[key] === null) {
+      if (!create) {
+        return null;
+      }
+      if (Array.isArray(parent)) {
+        padArray(parent, key);
+      }
+      parent[key] = {};
+    } else if (!isPlainObject(parent[key]) && !Array.isArray(parent[key])) {
+      if (!create) {
+        return null;
+      }
+      throw updateError(`Cannot create the field '${path}' inside a ${getBsonType(parent[key])} value`);
+    }
+    parent = parent[key];
+  }
+
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    const index = Number(last);
+    if (!Number.isInteger(index)) {
+      throw updateError(`Cannot use the part '${last}' of '${path}' to traverse an array`);
+    }
+    return { parent, key: index };
+  }
+  return { parent, key: last };
+}
+
+/**
+ * Read the value at a path
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @returns {*} - Value, undefined if missing
+ */
+function getPath(doc, path) {
+  const location = locate(doc, path, false);
+  return location ? location.parent[location.key] : undefined;
+}
+
+/**
+ * Write the value at a path, creating missing objects (arrays are padded with null)
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ * @param {*} value - Value
+ */
+function setPath(doc, path, value) {
+  const { parent, key } = locate(doc, path, true);
+  if (Array.isArray(parent)) {
+    padArray(parent, key);
+  }
+  parent[key] = value;
+}
+
+/**
+ * Remove the value at a path (array elements become null, as on the server)
+ * @param {Object} doc - Document
+ * @param {string} path - Field path
+ */
+function unsetPath(doc, path) {
+  const location = locate(doc, path, false);
+  if (!location) {
+    return;
+  }
+  if (Array.isArray(location.parent)) {
+    if (location.key < location.parent.length) {
+      location.parent[location.key] = null;
+    }
+  } else {
+    delete location.parent[location.key];
+  }
+}
+
+/**
+ * Combine two numbers with the result type the server stores
+ * int and long are combined exactly (int overflows to long), anything with a
+ * double gives a double. Decimal arithmetic is not reproduced locally.
+ * @param {*} a - Current value
+ * @param {*} b - Operand
+ * @param {Function} operation - (x, y) => x op y, called with numbers or bigints
+ * @returns {*} - Result
+ * @throws {Error} - With statusCode 400 for non-numeric or decimal operands and long overflows
+ */
+function combineNumbers(a, b, operation) {
+  const types = [getBsonType(a), getBsonType(b)];
+
+  if (!types.every(type => NUMERIC_TYPES.includes(type))) {
+    throw updateError(`Cannot apply arithmetic to a ${types.find(type => !NUMERIC_TYPES.includes(type))} operand`);
+  }
+  if (types.includes('decimal')) {
+    throw updateError('Arithmetic on decimal values cannot be applied locally');
+  }
+  if (types.includes('double')) {
+    return new Double(operation(Number(a.toString()), Number(b.toString())));
+  }
+
+  const result = operation(BigInt(a.toString()), BigInt(b.toString()));
+  if (types.every(type => type === 'int') && result >= INT32_MIN && result <= INT32_MAX) {
+    return Number(result);
+  }
+  if (result < INT64_MIN || result > INT64_MAX) {
+    throw updateError(`Result ${result} overflows a 64-bit integer`);
+  }
+  return Long.fromBigInt(result);
+}
+
+/**
+ * Compare two values in the MongoDB sort order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const typeA = getBsonType(a);
+  const typeB = getBsonType(b);
+
+  if (TYPE_ORDER[typeA] !== TYPE_ORDER[typeB]) {
+    return TYPE_ORDER[typeA] - TYPE_ORDER[typeB];
+  }
+  if (NUMERIC_TYPES.includes(typeA)) {
+    return Number(a.toString()) - Number(b.toString());
+  }
+  if (typeA === 'date') {
+    return a.getTime() - b.getTime();
+  }
+  if (typeA === 'string' || typeA === 'objectId') {
+    const [x, y] = [a.toString(), b.toString()];
+    return x < y ? -1 : (x > y ? 1 : 0);
+  }
+  if (typeA === 'bool') {
+    return Number(a) - Number(b);
+  }
+  if (typeA === 'timestamp') {
+    return a.compare(b);
+  }
+  return 0;
+}
+
+/**
+ * Read the array an array operator changes
+ * @param {Object} doc - Document
+ * @param {string} operator - Operator name
+ * @param {string} path - Field path
+ * @param {boolean} create - Create an empty array when the field is missing
+ * @returns {Array|null} - Array, null if missing and create is false
+ */
+function getArray(doc, operator, path, create) {
+  const current = getPath(doc, path);
+  if (current === undefined) {
+    if (!create) {
+      return null;
+    }
+    const array = [];
+    setPath(doc, path, array);
+    return array;
+  }
+  if (!Array.isArray(current)) {
+    throw updateError(`${operator} requires '${path}' to be an array, found ${getBsonType(current)}`);
+  }
+  return current;
+}
+
+/**
+ * Sort array items for $push $sort
+ * @param {Array} array - Array, sorted in place
+ * @param {number|Object} spec - 1/-1, or { field: 1/-1 } for documents
+ */
+function sortArray(array, spec) {
+  if (typeof spec === 'number') {
+    array.sort((a, b) => spec * compareValues(a, b));
+    return;
+  }
+  array.sort((a, b) => {
+    for (const [field, direction] of Object.entries(spec)) {
+      const order = compareValues(
+        isPlainObject(a) ? getPath(a, field) ?? null : null,
+        isPlainObject(b) ? getPath(b, field) ?? null : null
+      );
+      if (order !== 0) {
+        return direction * order;
+      }
+    }
+    return 0;
+  });
+}
+
+// Appliers by operator: (doc, path, operand) => void
+const OPERATORS = {
+  $set(doc, path, value) {
+    setPath(doc, path, clone(value));
+  },
+
+  $unset(doc, path) {
+    unsetPath(doc, path);
+  },
+
+  $setOnInsert() {
+    // Only applies when an upsert inserts
+  },
+
+  $inc(doc, path, amount) {
+    const current = getPath(doc, path);
+    if (current !== undefined && !NUMERIC_TYPES.includes(getBsonType(current))) {
+      throw updateError(`$inc requires '${path}' to be numeric, found ${getBsonType(current)}`);
+    }
+    setPath(doc, path, current === undefined ? amount : combineNumbers(current, amount, (x, y) => x + y));
+  },
+
+  $mul(doc, path, factor) {
+    const current = getPath(doc, path);
+    if (current !== undefined && !NUMERIC_TYPES.includes(getBsonType(current))) {
+      throw updateError(`$mul requires '${path}' to be numeric, found ${getBsonType(current)}`);
+    }
+    setPath(doc, path, combineNumbers(current === undefined ? 0 : current, factor, (x, y) => x * y));
+  },
+
+  $min(doc, path, value) {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) < 0) {
+      setPath(doc, path, clone(value));
+    }
+  },
+
+  $max(doc, path, value) {
+    const current = getPath(doc, path);
+    if (current === undefined || compareValues(value, current) > 0) {
+      setPath(doc, path, clone(value));
+    }
+  },
+
+  $rename(doc, path, target) {
+    const current = getPath(doc, path);
+    if (current !== undefined) {
+      unsetPath(doc, path);
+      setPath(doc, target, current);
+    }
+  },
+
+  $currentDate(doc, path, spec) {
+    const now = new Date();
+    const value = spec?.$type === 'timestamp'
+      ? new Timestamp({ t: Math.floor(now.getTime() / 1000), i: 1 })
+      : now;
+    setPath(doc, path, value);
+  },
+
+  $push(doc, path, operand) {
+    const array = getArray(doc, '$push', path, true);
+    const modifiers = isPlainObject(operand) && Object.hasOwn(operand, '$each');
+    const items = (modifiers ? operand.$each : [operand]).map(clone);
+    const position = modifiers && operand.$position !== undefined
+      ? Number(operand.$position)
+      : array.length;
+
+    array.splice(position < 0 ? Math.max(0, array.length + position) : position, 0, ...items);
+
+    if (modifiers && operand.$sort !== undefined) {
+      sortArray(array, operand.$sort);
+    }
+    if (modifiers && operand.$slice !== undefined) {
+      const slice = Number(operand.$slice);
+      const kept = slice < 0 ? array.slice(slice) : array.slice(0, slice);
+      array.splice(0, array.length, ...(slice === 0 ? [] : kept));
+    }
+  },
+
+  $addToSet(doc, path, operand) {
+    const array = getArray(doc, '$addToSet', path, true);
+    const items = isPlainObject(operand) && Object.hasOwn(operand, '$each') ? operand.$each : [operand];
+
+    for (const item of items) {
+      if (!array.some(existing => bsonEquals(existing, item))) {
+        array.push(clone(item));
+      }
+    }
+  },
+
+  $pop(doc, path, direction) {
+    const array = getArray(doc, '$pop', path, false);
+    if (array) {
+      Number(direction) === -1 ? array.shift() : array.pop();
+    }
+  },
+
+  $pullAll(doc, path, values) {
+    const array = getArray(doc, '$pullAll', path, false);
+    if (array) {
+      const kept = array.filter(item => !values.some(value => bsonEquals(item, value)));
+      array.splice(0, array.length, ...kept);
+    }
+  },
+
+  $pull(doc, path, condition) {
+    if (isPlainObject(condition)) {
+      throw updateError(`$pull with a condition on '${path}' cannot be applied locally`);
+    }
+    OPERATORS.$pullAll(doc, path, [condition]);
+  }
+};
+
+/**
+ * Apply an update document to a copy of a document
+ * @param {Object} doc - Current document
+ * @param {Object|Array} update - Update operators
+ * @returns {Object} - Updated copy
+ * @throws {Error} - With statusCode 400 for pipelines, unsupported operators and invalid paths
+ */
+export function applyUpdateOperators(doc, update) {
+  if (Array.isArray(update)) {
+    throw updateError('Update pipelines cannot be applied locally');
+  }
+
+  const result = clone(doc);
+
+  for (const [operator, fields] of Object.entries(update)) {
+    const apply = OPERATORS[operator];
+    if (!apply) {
+      throw updateError(`Update operator ${operator} cannot be applied locally`);
+    }
+    if (!isPlainObject(fields)) {
+      throw updateError(`${operator} expects an object of field paths`);
+    }
+
+    for (const [path, operand] of Object.entries(fields)) {
+      apply(result, path, operand);
+    }
+  }
+
+  return result;
+}